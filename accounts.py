@@ -0,0 +1,325 @@
+import re
+import json
+import hmac
+import sqlite3
+import hashlib
+import secrets
+from datetime import datetime, timedelta
+
+# 🗄️ قاعدة بيانات الحسابات (SQLite محلي)
+ACCOUNTS_DB_PATH = "securelink.db"
+
+# 🔐 إعدادات كلمة المرور والجلسات
+PASSWORD_HASH_ITERATIONS = 600000
+# 🕵️ hash وهمي يُفحص عند عدم وجود المستخدم، حتى يستغرق تسجيل الدخول نفس الوقت ولا يكشف الحسابات الموجودة
+DUMMY_PASSWORD_HASH = f"pbkdf2_sha256${PASSWORD_HASH_ITERATIONS}${'0' * 32}${'0' * 64}"
+SESSION_DURATION = timedelta(days=30)
+USERNAME_PATTERN = re.compile(r"^[A-Za-z0-9_.-]{3,32}$")
+EMAIL_PATTERN = re.compile(r"^[^\s@]+@[^\s@]+\.[^\s@]+$")
+MIN_PASSWORD_LENGTH = 8
+MAX_PASSWORD_LENGTH = 128
+
+# 🗂️ حدود سجل المستخدم المحفوظ في الحساب
+MAX_USER_HISTORY_ITEMS = 5000
+MAX_HISTORY_RECORD_BYTES = 20000
+
+# 🔑 مفاتيح API: البادئة، عدد الأحرف المعروضة من المفتاح، والحدود لكل مستخدم
+API_KEY_PREFIX = "sl_"
+API_KEY_DISPLAY_LENGTH = 11
+MAX_API_KEYS_PER_USER = 10
+MAX_API_KEY_NAME_LENGTH = 64
+
+# ⚠️ خطأ عند تسجيل اسم مستخدم أو بريد مستخدم من قبل
+class AccountConflictError(ValueError):
+    pass
+
+# 🔌 فتح اتصال بقاعدة البيانات (اتصال لكل طلب لأن SQLite لا يُشارك بين الخيوط)
+def get_connection():
+    connection = sqlite3.connect(ACCOUNTS_DB_PATH, timeout=10)
+    connection.row_factory = sqlite3.Row
+    connection.execute("PRAGMA foreign_keys = ON")
+    return connection
+
+# 🏗️ إنشاء الجداول إذا لم تكن موجودة
+def init_accounts_db():
+    connection = get_connection()
+    try:
+        connection.executescript("""
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                password_hash TEXT NOT NULL,
+                created_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS sessions (
+                token_hash TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                created_at TEXT NOT NULL,
+                expires_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS user_history (
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                id TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                record TEXT NOT NULL,
+                PRIMARY KEY (user_id, id)
+            );
+            CREATE INDEX IF NOT EXISTS user_history_timestamp ON user_history (user_id, timestamp);
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                key_hash TEXT NOT NULL UNIQUE,
+                prefix TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                last_used_at TEXT
+            );
+        """)
+    finally:
+        connection.close()
+
+# 🧂 تشفير كلمة المرور بـ PBKDF2-SHA256 مع salt عشوائي
+def hash_password(password):
+    salt = secrets.token_hex(16)
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode("utf-8"), salt.encode("ascii"), PASSWORD_HASH_ITERATIONS)
+    return f"pbkdf2_sha256${PASSWORD_HASH_ITERATIONS}${salt}${digest.hex()}"
+
+# ✅ مقارنة كلمة المرور مع الـ hash المحفوظ (مقارنة بزمن ثابت)
+def verify_password(password, password_hash):
+    try:
+        algorithm, iterations, salt, expected = password_hash.split("$")
+    except ValueError:
+        return False
+    if algorithm != "pbkdf2_sha256":
+        return False
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode("utf-8"), salt.encode("ascii"), int(iterations))
+    return hmac.compare_digest(digest.hex(), expected)
+
+# 🔍 التحقق من بيانات التسجيل (يرجع رسالة خطأ أو None)
+def validate_registration(username, email, password):
+    if not isinstance(username, str) or not USERNAME_PATTERN.match(username):
+        return 'Username must be 3-32 characters: letters, digits, ".", "_" or "-"'
+    if not isinstance(email, str) or len(email) > 254 or not EMAIL_PATTERN.match(email):
+        return 'Email address is not valid'
+    if not isinstance(password, str) or not MIN_PASSWORD_LENGTH <= len(password) <= MAX_PASSWORD_LENGTH:
+        return f'Password must be {MIN_PASSWORD_LENGTH}-{MAX_PASSWORD_LENGTH} characters'
+    return None
+
+# 👤 تحويل صف المستخدم إلى JSON (بدون كلمة المرور)
+def serialize_user(row):
+    return {'id': row['id'], 'username': row['username'], 'email': row['email'], 'created_at': row['created_at']}
+
+# ➕ إنشاء حساب جديد (يرفع AccountConflictError إذا كان الاسم أو البريد مستخدمًا)
+def create_user(username, email, password):
+    created_at = datetime.now().isoformat(timespec="seconds")
+    connection = get_connection()
+    try:
+        with connection:
+            cursor = connection.execute(
+                "INSERT INTO users (username, email, password_hash, created_at) VALUES (?, ?, ?, ?)",
+                (username, email.lower(), hash_password(password), created_at)
+            )
+        return {'id': cursor.lastrowid, 'username': username, 'email': email.lower(), 'created_at': created_at}
+    except sqlite3.IntegrityError:
+        raise AccountConflictError('Username or email is already registered')
+    finally:
+        connection.close()
+
+# 🔑 تسجيل الدخول باسم المستخدم أو البريد (يرجع المستخدم أو None)
+def authenticate(login, password):
+    if not isinstance(login, str) or not isinstance(password, str):
+        return None
+
+    connection = get_connection()
+    try:
+        row = connection.execute(
+            "SELECT * FROM users WHERE username = ? OR email = ?", (login.strip(), login.strip().lower())
+        ).fetchone()
+    finally:
+        connection.close()
+
+    if row is None:
+        verify_password(password, DUMMY_PASSWORD_HASH)
+        return None
+    if not verify_password(password, row['password_hash']):
+        return None
+    return serialize_user(row)
+
+# 🎫 إنشاء رمز جلسة (يُحفظ الـ hash فقط في قاعدة البيانات)
+def create_session(user_id):
+    token = secrets.token_urlsafe(32)
+    now = datetime.now()
+    expires_at = (now + SESSION_DURATION).isoformat(timespec="seconds")
+    connection = get_connection()
+    try:
+        with connection:
+            connection.execute("DELETE FROM sessions WHERE expires_at < ?", (now.isoformat(timespec="seconds"),))
+            connection.execute(
+                "INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)",
+                (hash_token(token), user_id, now.isoformat(timespec="seconds"), expires_at)
+            )
+    finally:
+        connection.close()
+    return token, expires_at
+
+# #️⃣ hash رمز الجلسة
+def hash_token(token):
+    return hashlib.sha256(token.encode("utf-8")).hexdigest()
+
+# 👤 المستخدم صاحب الجلسة (None إذا كان الرمز غير صالح أو منتهي)
+def get_session_user(token):
+    if not token:
+        return None
+
+    connection = get_connection()
+    try:
+        row = connection.execute(
+            "SELECT users.* FROM sessions JOIN users ON users.id = sessions.user_id "
+            "WHERE sessions.token_hash = ? AND sessions.expires_at > ?",
+            (hash_token(token), datetime.now().isoformat(timespec="seconds"))
+        ).fetchone()
+    finally:
+        connection.close()
+    return serialize_user(row) if row else None
+
+# 🚪 إنهاء الجلسة
+def delete_session(token):
+    connection = get_connection()
+    try:
+        with connection:
+            connection.execute("DELETE FROM sessions WHERE token_hash = ?", (hash_token(token),))
+    finally:
+        connection.close()
+
+# 🧩 التحقق من سجل تحليل قبل حفظه في الحساب (يرجع رسالة خطأ أو None)
+def validate_history_record(record):
+    if not isinstance(record, dict):
+        return 'Record must be an object'
+    if not isinstance(record.get('id'), str) or not record['id'] or len(record['id']) > 100:
+        return 'Record must have a string "id"'
+    if not isinstance(record.get('url'), str) or not record['url']:
+        return 'Record must have a string "url"'
+    if not isinstance(record.get('timestamp'), int) or isinstance(record.get('timestamp'), bool):
+        return 'Record must have a numeric "timestamp"'
+    if record.get('result') not in ('safe', 'dangerous'):
+        return 'Record "result" must be "safe" or "dangerous"'
+    if len(json.dumps(record)) > MAX_HISTORY_RECORD_BYTES:
+        return f'Record is larger than {MAX_HISTORY_RECORD_BYTES} bytes'
+    return None
+
+# 📖 سجل المستخدم من الأحدث للأقدم
+def get_user_history(user_id):
+    connection = get_connection()
+    try:
+        rows = connection.execute(
+            "SELECT record FROM user_history WHERE user_id = ? ORDER BY timestamp DESC", (user_id,)
+        ).fetchall()
+    finally:
+        connection.close()
+    return [json.loads(row['record']) for row in rows]
+
+# 💾 حفظ سجلات (إضافة أو استبدال بنفس id) مع حذف الأقدم بعد الحد الأقصى
+def save_user_history(user_id, records):
+    connection = get_connection()
+    try:
+        with connection:
+            connection.executemany(
+                "INSERT OR REPLACE INTO user_history (user_id, id, timestamp, record) VALUES (?, ?, ?, ?)",
+                [(user_id, record['id'], record['timestamp'], json.dumps(record)) for record in records]
+            )
+            connection.execute(
+                "DELETE FROM user_history WHERE user_id = ? AND id NOT IN "
+                "(SELECT id FROM user_history WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?)",
+                (user_id, user_id, MAX_USER_HISTORY_ITEMS)
+            )
+        return connection.execute("SELECT COUNT(*) FROM user_history WHERE user_id = ?", (user_id,)).fetchone()[0]
+    finally:
+        connection.close()
+
+# 🗑️ حذف سجل واحد أو كل السجل
+def delete_user_history(user_id, item_id=None):
+    connection = get_connection()
+    try:
+        with connection:
+            if item_id is None:
+                connection.execute("DELETE FROM user_history WHERE user_id = ?", (user_id,))
+            else:
+                connection.execute("DELETE FROM user_history WHERE user_id = ? AND id = ?", (user_id, item_id))
+    finally:
+        connection.close()
+
+# 🔍 التحقق من اسم مفتاح API (يرجع رسالة خطأ أو None)
+def validate_api_key_name(name):
+    if not isinstance(name, str) or not name.strip():
+        return 'Give the API key a name'
+    if len(name.strip()) > MAX_API_KEY_NAME_LENGTH:
+        return f'API key name must be at most {MAX_API_KEY_NAME_LENGTH} characters'
+    return None
+
+# 🔑 تحويل صف المفتاح إلى JSON (بدون الـ hash)
+def serialize_api_key(row):
+    return {
+        'id': row['id'],
+        'name': row['name'],
+        'prefix': row['prefix'],
+        'created_at': row['created_at'],
+        'last_used_at': row['last_used_at']
+    }
+
+# ➕ إنشاء مفتاح API (المفتاح الكامل يُرجع مرة واحدة فقط، ويرفع ValueError عند بلوغ الحد)
+def create_api_key(user_id, name):
+    secret = API_KEY_PREFIX + secrets.token_urlsafe(32)
+    created_at = datetime.now().isoformat(timespec="seconds")
+    connection = get_connection()
+    try:
+        with connection:
+            key_count = connection.execute("SELECT COUNT(*) FROM api_keys WHERE user_id = ?", (user_id,)).fetchone()[0]
+            if key_count >= MAX_API_KEYS_PER_USER:
+                raise ValueError(f'You can have at most {MAX_API_KEYS_PER_USER} API keys; revoke one first')
+            cursor = connection.execute(
+                "INSERT INTO api_keys (user_id, name, key_hash, prefix, created_at) VALUES (?, ?, ?, ?, ?)",
+                (user_id, name.strip(), hash_token(secret), secret[:API_KEY_DISPLAY_LENGTH], created_at)
+            )
+        row = connection.execute("SELECT * FROM api_keys WHERE id = ?", (cursor.lastrowid,)).fetchone()
+    finally:
+        connection.close()
+    return secret, serialize_api_key(row)
+
+# 📋 مفاتيح المستخدم من الأحدث للأقدم
+def list_api_keys(user_id):
+    connection = get_connection()
+    try:
+        rows = connection.execute("SELECT * FROM api_keys WHERE user_id = ? ORDER BY id DESC", (user_id,)).fetchall()
+    finally:
+        connection.close()
+    return [serialize_api_key(row) for row in rows]
+
+# 🗑️ إلغاء مفتاح (يرجع False إذا لم يكن المفتاح لهذا المستخدم)
+def revoke_api_key(user_id, key_id):
+    connection = get_connection()
+    try:
+        with connection:
+            cursor = connection.execute("DELETE FROM api_keys WHERE user_id = ? AND id = ?", (user_id, key_id))
+    finally:
+        connection.close()
+    return cursor.rowcount > 0
+
+# 🔎 المفتاح المطابق لترويسة X-API-Key مع تحديث وقت آخر استخدام (None إذا كان غير صالح أو ملغى)
+def get_api_key(secret):
+    if not secret or not secret.startswith(API_KEY_PREFIX):
+        return None
+
+    connection = get_connection()
+    try:
+        with connection:
+            row = connection.execute("SELECT * FROM api_keys WHERE key_hash = ?", (hash_token(secret),)).fetchone()
+            if row is None:
+                return None
+            connection.execute(
+                "UPDATE api_keys SET last_used_at = ? WHERE id = ?",
+                (datetime.now().isoformat(timespec="seconds"), row['id'])
+            )
+    finally:
+        connection.close()
+    return {**serialize_api_key(row), 'user_id': row['user_id']}
\ No newline at end of file
@@ -1,9 +1,25 @@
-from flask import Flask, request, jsonify
+from flask import Flask, request, jsonify, make_response
 import joblib
 import numpy as np
-import re
 import csv
-from datetime import datetime
+import os
+import json
+import time
+import threading
+from collections import Counter
+from datetime import datetime, date
+from functools import partial, wraps
+from features import FEATURE_NAMES, extract_features_from_url
+from model_metrics import LATEST_METRICS_PATH, read_json_file, read_metrics_report, list_metrics_reports, read_live_model_info
+from accounts import (
+    AccountConflictError, init_accounts_db, validate_registration, create_user, authenticate,
+    create_session, get_session_user, delete_session, validate_history_record,
+    get_user_history, save_user_history, delete_user_history, validate_api_key_name,
+    create_api_key, list_api_keys, revoke_api_key, get_api_key
+)
+from rate_limit import RATE_LIMIT_CAPACITY, AUTH_RATE_LIMIT_CAPACITY, AUTH_RATE_LIMIT_REFILL_PER_SECOND, take_token
+from redirects import expand_url
+from content_analysis import analyze_content
 
 # 🚀 إنشاء تطبيق Flask
 app = Flask(__name__)
@@ -13,56 +29,578 @@ model = joblib.load("model.pkl")
 scaler = joblib.load("scaler.pkl")
 label_encoder = joblib.load("label_encoder.pkl")
 
-# ✨ دالة استخراج الميزات من الرابط
-def extract_features_from_url(url):
-    features = []
-    features.append(len(url))  # طول الرابط
-    features.append(url.count('.'))  # عدد النقاط
-    features.append(sum(url.count(c) for c in ['@', '?', '=', '&', '-', '_']))  # الرموز الخاصة
-    features.append(1 if re.match(r'\d+\.\d+\.\d+\.\d+', url) else 0)  # يحتوي على IP
-    features.append(1 if "https" in url.lower() else 0)  # يحتوي على https
-    features.append(len(url.split('/')))  # عدد الأجزاء
-    features.append(1 if any(tag in url.lower() for tag in ["base64", "javascript:", "data:"]) else 0)  # ترميز
-    features.append(sum(c.isdigit() for c in url))  # عدد الأرقام
-    features.append(sum(c.isupper() for c in url))  # عدد الحروف الكبيرة
-    features.append(len(url.split('/')[2]) if len(url.split('/')) > 2 else 0)  # طول الدومين
-    features.append(len(url.split('.')) - 2 if len(url.split('.')) > 2 else 0)  # عدد الساب دومين
-    features.append(1 if re.search(r":\d+", url) else 0)  # يحتوي على بورت
-    features.append(len(url.split('?')[1]) if '?' in url else 0)  # طول الاستعلام
-    suspicious_words = ["login", "verify", "secure", "account", "update", "confirm", "bank", "reset", "free", "click", "offer", "win", "paypal", "ebay"]
-    features.append(1 if any(word in url.lower() for word in suspicious_words) else 0)  # كلمات مشبوهة
-    return np.array(features)
+# 🚀 نسخة النموذج الذي تم تحميله (من model_info.json الذي يكتبه train_model.py)
+LIVE_MODEL_INFO = read_live_model_info()
+
+# 📦 حدود الطلب الجماعي (كل رابط يسحب رمزًا، فالدفعة الكاملة يجب أن تتسع في دلو واحد)
+MAX_BATCH_SIZE = RATE_LIMIT_CAPACITY
+MAX_URL_LENGTH = 2048
+
+# 🗂️ سجل الروابط الضارة (timestamp,url,label) وحدود صفحات /history
+HISTORY_CSV_PATH = "classified_history.csv"
+DEFAULT_PAGE_SIZE = 20
+MAX_PAGE_SIZE = 100
+
+# 🔒 قفل يمنع تداخل الكتابة والقراءة بين الطلبات المتزامنة
+history_lock = threading.Lock()
+
+# 👤 قاعدة بيانات الحسابات وحد السجلات في طلب المزامنة الواحد
+init_accounts_db()
+MAX_HISTORY_SYNC_ITEMS = 500
+
+# 🔑 إلزام مفتاح API في /predict (SECURELINK_REQUIRE_API_KEY=1)، وإلا تُحدّ الطلبات بدون مفتاح حسب عنوان IP
+REQUIRE_API_KEY = os.environ.get("SECURELINK_REQUIRE_API_KEY") == "1"
+
+# 📈 عدّادات كل التنبؤات (آمن/ضار ومدة التحليل)
+PREDICTION_STATS_PATH = "prediction_stats.json"
+SAFE_LABELS = ["benign", "safe"]
+stats_lock = threading.Lock()
+
+# 🌐 السماح لصفحة الفحص بالاتصال بالسيرفر من أي أصل (CORS)
+@app.after_request
+def add_cors_headers(response):
+    response.headers["Access-Control-Allow-Origin"] = "*"
+    response.headers["Access-Control-Allow-Headers"] = "Content-Type, Authorization, X-API-Key"
+    response.headers["Access-Control-Allow-Methods"] = "GET, POST, DELETE, OPTIONS"
+    response.headers["Access-Control-Expose-Headers"] = "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining"
+    return response
+
+# 🧠 تصنيف رابط واحد مع الاحتمال والميزات (بدون حفظ أو تحديث العدّادات)
+def predict_url(url):
+    # استخراج الميزات وتحجيمها
+    features = extract_features_from_url(url)
+    scaled = scaler.transform([features])
+
+    # التنبؤ باستخدام النموذج مع احتمال كل تصنيف
+    probabilities = model.predict_proba(scaled)[0]
+    best_index = int(np.argmax(probabilities))
+    prediction_label = label_encoder.inverse_transform([model.classes_[best_index]])[0]
+    if any(tag in url.lower() for tag in ["vulnweb", "acunetix", "testphp", "demo"]):
+        prediction_label = "phishing"
+
+    return {
+        'prediction': prediction_label,
+        'probability': float(probabilities[best_index]),
+        'features': dict(zip(FEATURE_NAMES, features.tolist()))
+    }
+
+# 🧠 تصنيف رابط واحد وتسجيل النتيجة
+def classify_url(url):
+    started_at = time.perf_counter()
+    result = predict_url(url)
+    record_classification(url, result['prediction'], started_at)
+    return result
+
+# 📝 حفظ الرابط إذا كان ضارًا وتحديث العدّادات (مرة واحدة لكل رابط مطلوب)
+def record_classification(url, prediction_label, started_at):
+    save_malicious_url(url, prediction_label)
+    record_prediction(prediction_label, (time.perf_counter() - started_at) * 1000)
+
+# 📝 حفظ الرابط في السجل إذا كان ضارًا
+def save_malicious_url(url, prediction_label):
+    if prediction_label.lower() in ["phishing", "malicious", "unsafe"]:
+        append_history_row([datetime.now().isoformat(), url, prediction_label])
+
+# 🔒 إضافة سطر للسجل تحت القفل، مع بدء سطر جديد إذا كان الملف لا ينتهي بسطر جديد
+def append_history_row(row):
+    with history_lock:
+        needs_newline = False
+        if os.path.exists(HISTORY_CSV_PATH) and os.path.getsize(HISTORY_CSV_PATH) > 0:
+            with open(HISTORY_CSV_PATH, mode="rb") as file:
+                file.seek(-1, os.SEEK_END)
+                needs_newline = file.read(1) not in (b"\n", b"\r")
+
+        with open(HISTORY_CSV_PATH, mode="a", newline="", encoding="utf-8") as file:
+            if needs_newline:
+                file.write("\r\n")
+            csv.writer(file).writerow(row)
+
+# 📖 قراءة السجل كاملاً من الأحدث للأقدم (الأسطر التالفة تُتجاهل)
+def read_history():
+    with history_lock:
+        try:
+            with open(HISTORY_CSV_PATH, newline="", encoding="utf-8") as file:
+                rows = list(csv.reader(file))
+        except FileNotFoundError:
+            return []
+
+    entries = [entry for entry in (parse_history_row(row) for row in rows) if entry]
+    entries.sort(key=lambda entry: entry['timestamp'], reverse=True)
+    return entries
+
+# 🧩 تحويل سطر من السجل إلى قاموس (يرجع None للسطر غير الصالح)
+def parse_history_row(row):
+    if len(row) != 3:
+        return None
+
+    timestamp, url, label = (cell.strip() for cell in row)
+    try:
+        parsed_timestamp = datetime.fromisoformat(timestamp)
+    except ValueError:
+        return None
+
+    if not url or not label:
+        return None
+
+    return {'timestamp': parsed_timestamp, 'url': url, 'label': label.lower()}
+
+# 📖 قراءة عدّادات التنبؤات (ملف مفقود أو تالف = أصفار)
+def read_prediction_stats():
+    stats = {'urls_analyzed': 0, 'safe': 0, 'dangerous': 0, 'total_duration_ms': 0.0, 'updated_at': None}
+    try:
+        with open(PREDICTION_STATS_PATH, encoding="utf-8") as file:
+            stored = json.load(file)
+        stats.update({key: stored[key] for key in stats if key in stored})
+    except (FileNotFoundError, ValueError, TypeError):
+        pass
+    return stats
+
+# ➕ إضافة تنبؤ للعدّادات وحفظها تحت القفل
+def record_prediction(prediction_label, duration_ms):
+    with stats_lock:
+        stats = read_prediction_stats()
+        stats['urls_analyzed'] += 1
+        stats['safe' if prediction_label.lower() in SAFE_LABELS else 'dangerous'] += 1
+        stats['total_duration_ms'] += duration_ms
+        stats['updated_at'] = datetime.now().isoformat(timespec="seconds")
+        with open(PREDICTION_STATS_PATH, "w", encoding="utf-8") as file:
+            json.dump(stats, file)
+
+# 📄 تقرير تقييم النموذج الحي (None إذا لم يُسجَّل بعد)
+def read_live_metrics():
+    if not LIVE_MODEL_INFO or 'version' not in LIVE_MODEL_INFO:
+        return None
+    try:
+        return read_metrics_report(LIVE_MODEL_INFO['version'])
+    except ValueError:
+        return None
+
+# 🎯 دقة النموذج الحي، أو آخر تقييم إذا لم يُسجَّل نموذج حي (None إذا لم يُقيَّم بعد)
+def read_model_metrics():
+    metrics = read_live_metrics() or read_json_file(LATEST_METRICS_PATH)
+    try:
+        return {'accuracy': float(metrics['accuracy']), 'evaluated_at': metrics.get('evaluated_at')}
+    except (TypeError, KeyError, ValueError):
+        return None
+
+# 🔍 قراءة فلاتر السجل من الاستعلام: label, from, to, q (يرفع ValueError برسالة واضحة)
+def parse_history_filters(args):
+    filters = {
+        'label': args.get('label', '').strip().lower() or None,
+        'query': args.get('q', '').strip().lower() or None,
+        'date_from': None,
+        'date_to': None
+    }
+
+    for key, param in (('date_from', 'from'), ('date_to', 'to')):
+        value = args.get(param, '').strip()
+        if value:
+            try:
+                filters[key] = date.fromisoformat(value)
+            except ValueError:
+                raise ValueError(f'"{param}" must be a date in YYYY-MM-DD format')
+
+    if filters['date_from'] and filters['date_to'] and filters['date_from'] > filters['date_to']:
+        raise ValueError('"from" must not be after "to"')
+
+    return filters
+
+# ✅ هل يطابق السطر الفلاتر؟ (التواريخ شاملة للطرفين)
+def matches_history_filters(entry, filters):
+    entry_date = entry['timestamp'].date()
+    if filters['label'] and entry['label'] != filters['label']:
+        return False
+    if filters['query'] and filters['query'] not in entry['url'].lower():
+        return False
+    if filters['date_from'] and entry_date < filters['date_from']:
+        return False
+    if filters['date_to'] and entry_date > filters['date_to']:
+        return False
+    return True
+
+# 🔢 قراءة رقم صحيح موجب من الاستعلام مع حد أعلى اختياري
+def parse_positive_int(args, name, default, maximum=None):
+    value = args.get(name)
+    if value is None or value == '':
+        return default
+
+    try:
+        number = int(value)
+    except ValueError:
+        raise ValueError(f'"{name}" must be a whole number')
+
+    if number < 1:
+        raise ValueError(f'"{name}" must be at least 1')
+    if maximum is not None and number > maximum:
+        raise ValueError(f'"{name}" must be at most {maximum}')
+
+    return number
+
+# 🧾 تحويل سطر السجل إلى JSON
+def serialize_history_entry(entry):
+    return {'timestamp': entry['timestamp'].isoformat(), 'url': entry['url'], 'label': entry['label']}
+
+# 🎫 قراءة رمز الجلسة من ترويسة Authorization: Bearer <token>
+def get_bearer_token():
+    header = request.headers.get('Authorization', '')
+    return header[7:].strip() if header.startswith('Bearer ') else None
+
+# ✂️ قراءة حقل نصي من الطلب بدون مسافات زائدة (None إذا لم يكن نصًا)
+def get_text_field(data, name):
+    value = data.get(name)
+    return value.strip() if isinstance(value, str) else None
+
+# 🔐 نقاط تتطلب تسجيل الدخول: تمرير المستخدم للدالة أو إرجاع 401
+def require_auth(view):
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        user = get_session_user(get_bearer_token())
+        if not user:
+            return jsonify({'error': 'Please log in again'}), 401
+        return view(user, *args, **kwargs)
+    return wrapper
+
+# 🪣 نقاط التنبؤ: التحقق من X-API-Key وسحب رمز من دلو المفتاح (أو دلو IP) وإرجاع 429 مع Retry-After عند تجاوز الحد
+# 🎟️ cost دالة اختيارية تحسب عدد الرموز التي يسحبها الطلب (رمز واحد إذا لم تُحدَّد)
+def rate_limited(view=None, cost=None):
+    if view is None:
+        return partial(rate_limited, cost=cost)
+
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        secret = request.headers.get('X-API-Key', '').strip()
+        if secret:
+            api_key = get_api_key(secret)
+            if not api_key:
+                return jsonify({'error': 'API key is invalid or has been revoked'}), 401
+            bucket_id = f"key:{api_key['id']}"
+        elif REQUIRE_API_KEY:
+            return jsonify({'error': 'Send your API key in the X-API-Key header'}), 401
+        else:
+            bucket_id = f"ip:{request.remote_addr}"
+
+        allowed, retry_after, remaining = take_token(bucket_id, cost() if cost else 1)
+        if not allowed:
+            response = rate_limit_exceeded(retry_after)
+        else:
+            response = make_response(view(*args, **kwargs))
+            response.headers['X-RateLimit-Remaining'] = str(remaining)
+        response.headers['X-RateLimit-Limit'] = str(RATE_LIMIT_CAPACITY)
+        return response
+    return wrapper
+
+# 🔐 نقاط كلمة المرور: دلو لكل عنوان IP منفصل عن دلو التنبؤ، حتى لا تُجرَّب كلمات المرور بلا حد
+def auth_throttled(view):
+    @wraps(view)
+    def wrapper(*args, **kwargs):
+        allowed, retry_after, remaining = take_token(
+            f"auth:{request.remote_addr}",
+            capacity=AUTH_RATE_LIMIT_CAPACITY,
+            refill_per_second=AUTH_RATE_LIMIT_REFILL_PER_SECOND
+        )
+        if not allowed:
+            response = rate_limit_exceeded(retry_after)
+        else:
+            response = make_response(view(*args, **kwargs))
+            response.headers['X-RateLimit-Remaining'] = str(remaining)
+        response.headers['X-RateLimit-Limit'] = str(AUTH_RATE_LIMIT_CAPACITY)
+        return response
+    return wrapper
+
+# ⛔ رد 429 مع Retry-After بالثواني
+def rate_limit_exceeded(retry_after):
+    response = make_response(jsonify({
+        'error': f'Rate limit exceeded. Try again in {retry_after}s',
+        'retry_after': retry_after
+    }), 429)
+    response.headers['Retry-After'] = str(retry_after)
+    return response
+
+# 🔍 التحقق من رابط داخل الطلب الجماعي (يرجع رسالة خطأ أو None)
+def validate_batch_url(url):
+    if not isinstance(url, str) or not url.strip():
+        return 'URL must be a non-empty string'
+    if len(url) > MAX_URL_LENGTH:
+        return f'URL is longer than {MAX_URL_LENGTH} characters'
+    return None
+
+# 🎟️ تكلفة الطلب الجماعي: رمز لكل رابط (الطلب غير الصالح يسحب رمزًا واحدًا ويُرفض في الدالة)
+def count_batch_urls():
+    urls = (request.get_json(silent=True) or {}).get('urls')
+    return len(urls) if isinstance(urls, list) and 0 < len(urls) <= MAX_BATCH_SIZE else 1
+
 # 🔮 نقطة استقبال الرابط من الإضافة والتنبؤ
 @app.route('/predict', methods=['POST'])
+@rate_limited
 def predict():
-    data = request.get_json()
+    data = request.get_json(silent=True) or {}
     url = data.get('url')
 
     if not url:
         return jsonify({'error': 'No URL provided'}), 400
 
     try:
-        # استخراج الميزات وتحجيمها
-        features = extract_features_from_url(url)
-        scaled = scaler.transform([features])
+        result = classify_url(url)
+        return jsonify({'prediction': result['prediction'], 'probability': result['probability']})
+
+    except Exception as e:
+        return jsonify({'error': str(e)}), 500
+
+# 📦 التنبؤ لمجموعة روابط دفعة واحدة (خطأ كل رابط يرجع في نتيجته)
+@app.route('/predict/batch', methods=['POST'])
+@rate_limited(cost=count_batch_urls)
+def predict_batch():
+    data = request.get_json(silent=True) or {}
+    urls = data.get('urls')
+
+    if not isinstance(urls, list) or not urls:
+        return jsonify({'error': 'Request body must include a non-empty "urls" array'}), 400
+
+    if len(urls) > MAX_BATCH_SIZE:
+        return jsonify({'error': f'A batch can contain at most {MAX_BATCH_SIZE} URLs'}), 413
 
-        # التنبؤ باستخدام النموذج
-        prediction_encoded = model.predict(scaled)[0]
-        prediction_label = label_encoder.inverse_transform([prediction_encoded])[0]
-        if any(tag in url.lower() for tag in ["vulnweb", "acunetix", "testphp", "demo"]):
-             prediction_label = "phishing"
+    results = []
+    for url in urls:
+        validation_error = validate_batch_url(url)
+        if validation_error:
+            results.append({'url': url, 'error': validation_error})
+            continue
 
-        
-        # 📝 حفظ الرابط إذا كان ضارًا
-        if prediction_label.lower() in ["phishing", "malicious", "unsafe"]:
-            with open("classified_history.csv", mode="a", newline="", encoding="utf-8") as file:
-                writer = csv.writer(file)
-                writer.writerow([datetime.now().isoformat(), url, prediction_label])
+        try:
+            results.append({'url': url, **classify_url(url)})
+        except Exception as e:
+            results.append({'url': url, 'error': str(e)})
 
-        return jsonify({'prediction': prediction_label})
+    return jsonify({'results': results, 'max_batch_size': MAX_BATCH_SIZE})
 
+# 🔁 تتبع تحويلات الرابط (مثل الروابط المختصرة) وتصنيف كل قفزة؛ الحكم النهائي هو أسوأ قفزة
+# 📝 يُسجَّل تنبؤ واحد فقط لكل طلب: أسوأ قفزة وحكمها
+# 📄 مع "content": true تُحمَّل الصفحة الأخيرة ويُحلَّل محتواها (اختياري لكل طلب)
+@app.route('/expand', methods=['POST'])
+@rate_limited
+def expand():
+    data = request.get_json(silent=True) or {}
+    url = data.get('url')
+    analyze_page = data.get('content', False)
+
+    validation_error = validate_batch_url(url)
+    if validation_error:
+        return jsonify({'error': validation_error}), 400
+    if not url.strip().lower().startswith(('http://', 'https://')):
+        return jsonify({'error': 'Only http and https URLs can be expanded'}), 400
+    if not isinstance(analyze_page, bool):
+        return jsonify({'error': '"content" must be true or false'}), 400
+
+    try:
+        started_at = time.perf_counter()
+        result = expand_url(url.strip(), predict_url, SAFE_LABELS)
+        record_classification(result['hops'][result['worst_hop']]['url'], result['prediction'], started_at)
+        if analyze_page:
+            result['content'] = analyze_content(result['final_url'])
+        return jsonify(result)
     except Exception as e:
         return jsonify({'error': str(e)}), 500
+
+# 📝 إنشاء حساب جديد وتسجيل الدخول مباشرة
+@app.route('/auth/register', methods=['POST'])
+@auth_throttled
+def register():
+    data = request.get_json(silent=True) or {}
+    username = get_text_field(data, 'username')
+    email = get_text_field(data, 'email')
+    password = data.get('password')
+
+    validation_error = validate_registration(username, email, password)
+    if validation_error:
+        return jsonify({'error': validation_error}), 400
+
+    try:
+        user = create_user(username, email, password)
+    except AccountConflictError as e:
+        return jsonify({'error': str(e)}), 409
+
+    token, expires_at = create_session(user['id'])
+    return jsonify({'user': user, 'token': token, 'expires_at': expires_at}), 201
+
+# 🔑 تسجيل الدخول باسم المستخدم أو البريد
+@app.route('/auth/login', methods=['POST'])
+@auth_throttled
+def login():
+    data = request.get_json(silent=True) or {}
+    user = authenticate(data.get('username'), data.get('password'))
+
+    if not user:
+        return jsonify({'error': 'Incorrect username or password'}), 401
+
+    token, expires_at = create_session(user['id'])
+    return jsonify({'user': user, 'token': token, 'expires_at': expires_at})
+
+# 🚪 تسجيل الخروج (حذف الجلسة)
+@app.route('/auth/logout', methods=['POST'])
+@require_auth
+def logout(user):
+    delete_session(get_bearer_token())
+    return jsonify({'logged_out': True})
+
+# 👤 بيانات المستخدم الحالي
+@app.route('/auth/me', methods=['GET'])
+@require_auth
+def current_user(user):
+    return jsonify({'user': user})
+
+# 📖 سجل تحليلات المستخدم المحفوظ في حسابه
+@app.route('/user/history', methods=['GET'])
+@require_auth
+def user_history(user):
+    return jsonify({'items': get_user_history(user['id'])})
+
+# 💾 مزامنة سجلات من المتصفح (السجلات غير الصالحة تُتجاهل وتُحسب)
+@app.route('/user/history', methods=['POST'])
+@require_auth
+def save_history(user):
+    data = request.get_json(silent=True) or {}
+    items = data.get('items')
+
+    if not isinstance(items, list):
+        return jsonify({'error': 'Request body must include an "items" array'}), 400
+    if len(items) > MAX_HISTORY_SYNC_ITEMS:
+        return jsonify({'error': f'A request can contain at most {MAX_HISTORY_SYNC_ITEMS} items'}), 413
+
+    valid_items = [item for item in items if validate_history_record(item) is None]
+    total = save_user_history(user['id'], valid_items) if valid_items else len(get_user_history(user['id']))
+    return jsonify({'saved': len(valid_items), 'invalid': len(items) - len(valid_items), 'total': total})
+
+# 🗑️ حذف كل سجل المستخدم
+@app.route('/user/history', methods=['DELETE'])
+@require_auth
+def clear_user_history(user):
+    delete_user_history(user['id'])
+    return jsonify({'deleted': True})
+
+# 🗑️ حذف سجل واحد
+@app.route('/user/history/<item_id>', methods=['DELETE'])
+@require_auth
+def delete_user_history_item(user, item_id):
+    delete_user_history(user['id'], item_id)
+    return jsonify({'deleted': True})
+
+# 🔑 مفاتيح API الخاصة بالمستخدم
+@app.route('/user/api-keys', methods=['GET'])
+@require_auth
+def api_keys(user):
+    return jsonify({'keys': list_api_keys(user['id'])})
+
+# ➕ إنشاء مفتاح API (المفتاح الكامل يظهر في هذا الرد فقط)
+@app.route('/user/api-keys', methods=['POST'])
+@require_auth
+def new_api_key(user):
+    data = request.get_json(silent=True) or {}
+    name = data.get('name')
+
+    validation_error = validate_api_key_name(name)
+    if validation_error:
+        return jsonify({'error': validation_error}), 400
+
+    try:
+        secret, api_key = create_api_key(user['id'], name)
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 409
+
+    return jsonify({'key': api_key, 'secret': secret}), 201
+
+# 🗑️ إلغاء مفتاح API
+@app.route('/user/api-keys/<int:key_id>', methods=['DELETE'])
+@require_auth
+def delete_api_key(user, key_id):
+    if not revoke_api_key(user['id'], key_id):
+        return jsonify({'error': 'API key not found'}), 404
+    return jsonify({'revoked': True})
+
+# 🗂️ سجل الروابط الضارة مع الصفحات والفلاتر والبحث
+@app.route('/history', methods=['GET'])
+def history():
+    try:
+        filters = parse_history_filters(request.args)
+        page = parse_positive_int(request.args, 'page', 1)
+        per_page = parse_positive_int(request.args, 'per_page', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
+
+    entries = [entry for entry in read_history() if matches_history_filters(entry, filters)]
+    start = (page - 1) * per_page
+
+    return jsonify({
+        'items': [serialize_history_entry(entry) for entry in entries[start:start + per_page]],
+        'total': len(entries),
+        'page': page,
+        'per_page': per_page,
+        'pages': max(1, -(-len(entries) // per_page))
+    })
+
+# 🏠 ملخص الصفحة الرئيسية: عدد الروابط ونسبة الآمن/الضار ومتوسط المدة ودقة النموذج
+@app.route('/stats/summary', methods=['GET'])
+def stats_summary():
+    with stats_lock:
+        stats = read_prediction_stats()
+    metrics = read_model_metrics()
+    analyzed = stats['urls_analyzed']
+
+    return jsonify({
+        'urls_analyzed': analyzed,
+        'safe': stats['safe'],
+        'dangerous': stats['dangerous'],
+        'average_analysis_ms': stats['total_duration_ms'] / analyzed if analyzed else None,
+        'model_accuracy': metrics['accuracy'] if metrics else None,
+        'evaluated_at': metrics['evaluated_at'] if metrics else None,
+        'updated_at': stats['updated_at']
+    })
+
+# 🚀 النموذج الحي وتقرير تقييمه
+@app.route('/model', methods=['GET'])
+def live_model():
+    return jsonify({'live': LIVE_MODEL_INFO, 'metrics': read_live_metrics()})
+
+# 📚 كل تقارير التقييم من الأحدث للأقدم
+@app.route('/metrics', methods=['GET'])
+def metrics_index():
+    return jsonify({
+        'live_version': LIVE_MODEL_INFO.get('version') if LIVE_MODEL_INFO else None,
+        'reports': list_metrics_reports()
+    })
+
+# 📄 تقرير تقييم نسخة معينة
+@app.route('/metrics/<version>', methods=['GET'])
+def metrics_report(version):
+    try:
+        report = read_metrics_report(version)
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
+
+    if report is None:
+        return jsonify({'error': f'No metrics found for version "{version}"'}), 404
+    return jsonify(report)
+
+# 📊 إحصائيات السجل: العدد لكل تصنيف ولكل يوم (بنفس فلاتر /history)
+@app.route('/stats', methods=['GET'])
+def stats():
+    try:
+        filters = parse_history_filters(request.args)
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 400
+
+    entries = [entry for entry in read_history() if matches_history_filters(entry, filters)]
+    daily_labels = {}
+    for entry in entries:
+        daily_labels.setdefault(entry['timestamp'].date().isoformat(), Counter())[entry['label']] += 1
+
+    return jsonify({
+        'total': len(entries),
+        'by_label': dict(Counter(entry['label'] for entry in entries).most_common()),
+        'by_day': [
+            {'date': day, 'total': sum(labels.values()), 'by_label': dict(labels)}
+            for day, labels in sorted(daily_labels.items())
+        ]
+    })
 # ⚙️ تشغيل السيرفر
 if __name__ == '__main__':
     app.run(debug=True)
\ No newline at end of file
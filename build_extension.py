@@ -0,0 +1,58 @@
+import json
+import os
+import shutil
+import zipfile
+
+# 📦 مجلدات المصدر والإخراج
+EXTENSION_DIR = "extension"
+BUILD_DIR = "build"
+DOWNLOADS_DIR = "downloads"
+BROWSERS = ["chrome", "firefox", "edge"]
+
+# 🔗 ملفات الموقع التي تشاركها الإضافة (model.json اختياري، يُنشأ بـ export_model.py)
+SHARED_FILES = ["script.js", "public_suffix_list.dat"]
+OPTIONAL_SHARED_FILES = ["model.json"]
+
+# 🦊 إعدادات Firefox (لا يدعم service_worker في الخلفية)
+FIREFOX_ADDON_ID = "securelink@securelink.app"
+FIREFOX_MIN_VERSION = "115.0"
+
+# 🧩 تعديل manifest حسب المتصفح
+def build_manifest(browser):
+    with open(os.path.join(EXTENSION_DIR, "manifest.json"), encoding="utf-8") as file:
+        manifest = json.load(file)
+    if browser == "firefox":
+        manifest["background"] = {"scripts": ["script.js", "background.js"]}
+        manifest["browser_specific_settings"] = {
+            "gecko": {"id": FIREFOX_ADDON_ID, "strict_min_version": FIREFOX_MIN_VERSION}
+        }
+    return manifest
+
+# 🏗️ بناء مجلد الإضافة لمتصفح واحد ثم ضغطه
+def build_extension(browser):
+    build_path = os.path.join(BUILD_DIR, f"extension-{browser}")
+    shutil.rmtree(build_path, ignore_errors=True)
+    shutil.copytree(EXTENSION_DIR, build_path)
+
+    for filename in SHARED_FILES:
+        shutil.copy(filename, build_path)
+    for filename in OPTIONAL_SHARED_FILES:
+        if os.path.exists(filename):
+            shutil.copy(filename, build_path)
+
+    with open(os.path.join(build_path, "manifest.json"), "w", encoding="utf-8") as file:
+        json.dump(build_manifest(browser), file, indent=2)
+
+    zip_path = os.path.join(DOWNLOADS_DIR, f"securelink-{browser}.zip")
+    with zipfile.ZipFile(zip_path, "w", zipfile.ZIP_DEFLATED) as archive:
+        for filename in sorted(os.listdir(build_path)):
+            archive.write(os.path.join(build_path, filename), filename)
+    return build_path, zip_path
+
+os.makedirs(DOWNLOADS_DIR, exist_ok=True)
+if not os.path.exists(OPTIONAL_SHARED_FILES[0]):
+    print("⚠️ model.json not found: the extension will use the offline heuristic when the endpoint is unreachable (run export_model.py first)")
+
+for browser in BROWSERS:
+    build_path, zip_path = build_extension(browser)
+    print(f"✅ {browser}: {build_path}/ -> {zip_path}")
\ No newline at end of file
@@ -8,15 +8,21 @@ from sklearn.preprocessing import StandardScaler
 from sklearn.metrics import accuracy_score, classification_report
 from imblearn.over_sampling import SMOTE
 import joblib
+from domain_parser import count_subdomains
+from model_metrics import evaluate_classifier, new_metrics_version, create_metrics_report, write_metrics_report
 
 # 🧠 تحميل البيانات
-df = pd.read_csv("malicious_url.csv", names=["url", "label"])
+DATASET_PATH = "malicious_url.csv"
+TEST_SIZE = 0.2
+LABELS = ["benign", "phishing"]
+df = pd.read_csv(DATASET_PATH, names=["url", "label"])
 
 # 🔁 تحويل التصنيفات إلى أرقام
-df["label"] = df["label"].map({"benign": 0, "phishing": 1})
+df["label"] = df["label"].map({label: index for index, label in enumerate(LABELS)})
 
 # 🧹 حذف الصفوف اللي فيها NaN بعد التحويل
 df = df.dropna(subset=["label"])
+df["label"] = df["label"].astype(int)
 
 # ✨ استخراج ميزات محسّنة
 def extract_features(df):
@@ -30,7 +36,7 @@ def extract_features(df):
     df["num_digits"] = df["url"].apply(lambda x: sum(c.isdigit() for c in x))
     df["num_uppercase"] = df["url"].apply(lambda x: sum(c.isupper() for c in x))
     df["domain_length"] = df["url"].apply(lambda x: len(x.split('/')[2]) if len(x.split('/')) > 2 else 0)
-    df["num_subdomains"] = df["url"].apply(lambda x: len(x.split('.')) - 2 if len(x.split('.')) > 2 else 0)
+    df["num_subdomains"] = df["url"].apply(count_subdomains)  # حسب Public Suffix List
     df["has_port"] = df["url"].apply(lambda x: 1 if re.search(r":\d+", x) else 0)
     df["query_length"] = df["url"].apply(lambda x: len(x.split('?')[1]) if '?' in x else 0)
     suspicious_words = ["login", "verify", "secure", "account", "update", "confirm", "bank", "reset", "free", "click", "offer", "win", "paypal", "ebay"]
@@ -52,7 +58,7 @@ scaler = StandardScaler()
 X_scaled = scaler.fit_transform(X_resampled)
 
 # ✂️ تقسيم البيانات
-X_train, X_test, y_train, y_test = train_test_split(X_scaled, y_resampled, test_size=0.2, random_state=42)
+X_train, X_test, y_train, y_test = train_test_split(X_scaled, y_resampled, test_size=TEST_SIZE, random_state=42)
 
 # 📦 المصنفات
 models = {
@@ -71,11 +77,13 @@ models = {
 
 # 📊 اختبار كل مصنف
 results = []
+evaluations = {}
 for name, model in models.items():
     model.fit(X_train, y_train)
     y_pred = model.predict(X_test)
     acc = accuracy_score(y_test, y_pred)
     results.append((name, model, acc))
+    evaluations[name] = evaluate_classifier(model, X_test, y_test, LABELS)
     print(f"\n{name} Accuracy: {acc * 100:.2f}%")
     print(f"{name} Classification Report:")
     print(classification_report(y_test, y_pred))
@@ -85,4 +93,12 @@ best_name, best_model, best_acc = max(results, key=lambda x: x[2])
 print(f"\n✅ Best Classifier: {best_name} With Accuracy: {best_acc * 100:.2f}%")
 
 # 💾 حفظ النموذج الأفضل
-joblib.dump(best_model, "best_model.pkl")
\ No newline at end of file
+joblib.dump(best_model, "best_model.pkl")
+
+# 📝 حفظ تقرير المقارنة (best_model.pkl لا يحمّله app.py، النموذج الحي من train_model.py)
+version = new_metrics_version("compare")
+write_metrics_report(create_metrics_report(
+    version, "compare_models.py", "best_model.pkl", DATASET_PATH, len(df), TEST_SIZE,
+    X.columns.tolist(), LABELS, evaluations, best_name
+))
+print(f"📝 Metrics {version} saved to metrics/ and model_metrics.json")
\ No newline at end of file
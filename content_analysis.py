@@ -0,0 +1,229 @@
+import re
+from html.parser import HTMLParser
+from urllib.parse import urljoin, urlsplit
+from domain_parser import get_registrable_domain
+from redirects import PageFetchError, fetch_page
+
+# 🔍 الفحوصات التي تُجرى على محتوى الصفحة (بنفس الترتيب في الرد)
+CONTENT_CHECKS = ["password_form", "brand_mismatch", "obfuscated_script", "meta_refresh", "iframe"]
+
+# 🏷️ العلامات التجارية المحمية ونطاقاتها الرسمية (نفس قائمة BRAND_PROTECTION_CONFIG في script.js)
+BRAND_DOMAINS = {
+    "PayPal": ["paypal.com"],
+    "Amazon": ["amazon.com"],
+    "Microsoft": ["microsoft.com", "microsoftonline.com", "live.com", "outlook.com", "office.com"],
+    "Google": ["google.com", "gmail.com", "youtube.com"],
+    "Apple": ["apple.com", "icloud.com"],
+    "Facebook": ["facebook.com", "fb.com"],
+    "Instagram": ["instagram.com"],
+    "Netflix": ["netflix.com"],
+    "eBay": ["ebay.com"],
+    "LinkedIn": ["linkedin.com"],
+    "Outlook": ["outlook.com", "live.com", "microsoft.com", "office.com"],
+    "iCloud": ["icloud.com", "apple.com"],
+    "Dropbox": ["dropbox.com"],
+    "GitHub": ["github.com"],
+    "Wells Fargo": ["wellsfargo.com"],
+    "Chase": ["chase.com"],
+    "Bank of America": ["bankofamerica.com"],
+}
+
+# 🧪 علامات JavaScript المشوّش: دوال فك الترميز والتنفيذ، كثرة \x و \u، ونصوص طويلة بدون مسافات
+OBFUSCATION_PATTERNS = {
+    "eval()": re.compile(r"\beval\s*\("),
+    "new Function()": re.compile(r"\bnew\s+Function\s*\("),
+    "atob()": re.compile(r"\batob\s*\("),
+    "unescape()": re.compile(r"\bunescape\s*\("),
+    "String.fromCharCode()": re.compile(r"String\.fromCharCode\s*\("),
+    "document.write()": re.compile(r"document\.write(ln)?\s*\("),
+}
+ESCAPE_SEQUENCE_PATTERN = re.compile(r"\\x[0-9a-fA-F]{2}|\\u[0-9a-fA-F]{4}")
+LONG_TOKEN_PATTERN = re.compile(r"[A-Za-z0-9+/=%\\]{400,}")
+MIN_ESCAPE_SEQUENCES = 20
+MIN_OBFUSCATION_MARKERS = 2
+
+# 🖼️ إطار مخفي: عرض أو ارتفاع ≤ 1 بكسل أو مخفي بـ CSS
+HIDDEN_STYLE_PATTERN = re.compile(r"display\s*:\s*none|visibility\s*:\s*hidden", re.IGNORECASE)
+MAX_HIDDEN_FRAME_SIZE = 1
+
+# 🔁 محتوى meta refresh مثل "0; url=https://..."
+META_REFRESH_PATTERN = re.compile(r"^\s*(\d*\.?\d*)\s*[;,]?\s*(?:url\s*=\s*)?['\"]?([^'\"]*)", re.IGNORECASE)
+
+# 🧩 قارئ HTML يجمع ما تحتاجه الفحوصات فقط
+class PageParser(HTMLParser):
+    def __init__(self):
+        super().__init__(convert_charrefs=True)
+        self.title = ""
+        self.site_names = []
+        self.forms = []
+        self.images = []
+        self.icons = []
+        self.scripts = []
+        self.meta_refreshes = []
+        self.iframes = []
+        self.current_form = None
+        self.has_password_field = False
+        self.in_title = False
+        self.in_script = False
+
+    def handle_starttag(self, tag, attrs):
+        attributes = {name: (value or "") for name, value in attrs}
+        if tag == "title":
+            self.in_title = True
+        elif tag == "form":
+            self.current_form = {"action": attributes.get("action", ""), "has_password": False}
+            self.forms.append(self.current_form)
+        elif tag == "input" and attributes.get("type", "").lower() == "password":
+            self.has_password_field = True
+            if self.current_form is not None:
+                self.current_form["has_password"] = True
+        elif tag == "img":
+            self.images.append(attributes)
+        elif tag == "link" and "icon" in attributes.get("rel", "").lower():
+            self.icons.append(attributes.get("href", ""))
+        elif tag == "meta":
+            self.handle_meta(attributes)
+        elif tag == "script" and not attributes.get("src"):
+            self.in_script = True
+            self.scripts.append("")
+        elif tag in ("iframe", "frame"):
+            self.iframes.append(attributes)
+
+    def handle_meta(self, attributes):
+        if attributes.get("http-equiv", "").lower() == "refresh":
+            self.meta_refreshes.append(attributes.get("content", ""))
+        if attributes.get("property", "").lower() == "og:site_name" or attributes.get("name", "").lower() == "application-name":
+            self.site_names.append(attributes.get("content", ""))
+
+    def handle_endtag(self, tag):
+        if tag == "title":
+            self.in_title = False
+        elif tag == "form":
+            self.current_form = None
+        elif tag == "script":
+            self.in_script = False
+
+    def handle_data(self, data):
+        if self.in_title:
+            self.title += data
+        elif self.in_script:
+            self.scripts[-1] += data
+
+# 🌐 هل الرابط على نطاق آخر غير نطاق الصفحة؟ (الروابط النسبية على نفس النطاق)
+def is_other_domain(page_url, target_url):
+    absolute_url = urljoin(page_url, target_url)
+    if urlsplit(absolute_url).scheme not in ("http", "https"):
+        return False
+    return get_registrable_domain(absolute_url) != get_registrable_domain(page_url)
+
+# 🔐 نماذج كلمة مرور ترسل البيانات إلى نطاق آخر
+def check_password_forms(page_url, parser):
+    findings = []
+    for form in parser.forms:
+        if form["has_password"] and form["action"] and is_other_domain(page_url, form["action"]):
+            target = get_registrable_domain(urljoin(page_url, form["action"]))
+            findings.append(f"Password form sends what you type to another domain ({target})")
+    return findings
+
+# 🏷️ علامة تجارية في العنوان أو الشعار لا تطابق نطاق الصفحة (في صفحات تطلب كلمة مرور فقط، فالمقالات تذكر العلامات كثيرًا)
+def check_brand_mismatch(page_url, parser):
+    if not parser.has_password_field:
+        return []
+
+    page_domain = get_registrable_domain(page_url)
+    names = {
+        "title": " ".join([parser.title, *parser.site_names]),
+        "logo": " ".join(
+            " ".join([image.get("alt", ""), image.get("src", ""), image.get("class", "")])
+            for image in parser.images
+        ) + " " + " ".join(parser.icons),
+    }
+    findings = []
+    for brand, domains in BRAND_DOMAINS.items():
+        if page_domain in domains:
+            continue
+        pattern = re.compile(r"(?<![a-z])" + re.escape(brand.lower()).replace(r"\ ", r"[\s_-]*") + r"(?![a-z])")
+        for place, text in names.items():
+            if pattern.search(text.lower()):
+                findings.append(f"Login page {place} mentions {brand}, but the site is {page_domain}, not {domains[0]}")
+    return findings
+
+# 🧪 سكربتات مضمّنة تستخدم أكثر من أسلوب تشويش
+def check_obfuscated_scripts(page_url, parser):
+    findings = []
+    for script in parser.scripts:
+        markers = [name for name, pattern in OBFUSCATION_PATTERNS.items() if pattern.search(script)]
+        if len(ESCAPE_SEQUENCE_PATTERN.findall(script)) >= MIN_ESCAPE_SEQUENCES:
+            markers.append("escaped characters")
+        if LONG_TOKEN_PATTERN.search(script):
+            markers.append("long encoded string")
+        if len(markers) >= MIN_OBFUSCATION_MARKERS:
+            findings.append(f"Inline script looks obfuscated ({', '.join(markers)})")
+    return findings
+
+# 🔁 meta refresh تنقل الزائر تلقائيًا إلى نطاق آخر (التحديث على نفس النطاق شائع لانتهاء الجلسة)
+def check_meta_refresh(page_url, parser):
+    findings = []
+    for content in parser.meta_refreshes:
+        match = META_REFRESH_PATTERN.match(content)
+        target = match.group(2).strip() if match else ""
+        if not target or not is_other_domain(page_url, target):
+            continue
+        delay = match.group(1) or "0"
+        findings.append(f"Page redirects to {urljoin(page_url, target)} after {delay}s with a meta refresh")
+    return findings
+
+# 🖼️ إطارات مخفية أو من نطاق آخر
+def check_iframes(page_url, parser):
+    findings = []
+    for iframe in parser.iframes:
+        source = iframe.get("src", "")
+        if is_hidden_frame(iframe):
+            findings.append(f"Hidden iframe loads {source or 'inline content'}")
+        elif source and is_other_domain(page_url, source):
+            findings.append(f"Iframe loads a page from another domain ({get_registrable_domain(urljoin(page_url, source))})")
+    return findings
+
+# 🙈 هل الإطار مخفي؟
+def is_hidden_frame(iframe):
+    if HIDDEN_STYLE_PATTERN.search(iframe.get("style", "")) or "hidden" in iframe:
+        return True
+    for dimension in ("width", "height"):
+        value = iframe.get(dimension, "").strip().rstrip("px")
+        if value.isdigit() and int(value) <= MAX_HIDDEN_FRAME_SIZE:
+            return True
+    return False
+
+CHECK_FUNCTIONS = {
+    "password_form": check_password_forms,
+    "brand_mismatch": check_brand_mismatch,
+    "obfuscated_script": check_obfuscated_scripts,
+    "meta_refresh": check_meta_refresh,
+    "iframe": check_iframes,
+}
+
+# 🧠 تحليل HTML صفحة: كل نتيجة {check, description}
+def analyze_html(page_url, html):
+    parser = PageParser()
+    parser.feed(html)
+    parser.close()
+    return [
+        {'check': check, 'description': description}
+        for check in CONTENT_CHECKS
+        for description in CHECK_FUNCTIONS[check](page_url, parser)
+    ]
+
+# 📥 تحميل الصفحة بحماية SSRF ثم تحليلها (الخطأ يرجع في الحقل error بدل رفع استثناء)
+def analyze_content(url, **fetch_options):
+    try:
+        page = fetch_page(url, **fetch_options)
+    except PageFetchError as e:
+        return {'url': url, 'checks': CONTENT_CHECKS, 'findings': [], 'truncated': False, 'error': str(e)}
+
+    return {
+        'url': page['url'],
+        'checks': CONTENT_CHECKS,
+        'findings': analyze_html(page['url'], page['html']),
+        'truncated': page['truncated'],
+        'error': None
+    }
\ No newline at end of file
@@ -0,0 +1,84 @@
+import os
+import re
+from urllib.parse import urlparse
+
+# 📄 نسخة محلية من Public Suffix List (تعمل بدون إنترنت)
+PUBLIC_SUFFIX_LIST_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), "public_suffix_list.dat")
+IP_HOST_PATTERN = re.compile(r"^\d{1,3}(\.\d{1,3}){3}$")
+
+# 📥 تحميل القواعد: عادية، wildcard مثل *.ck، واستثناءات مثل !www.ck
+def load_public_suffix_list(path=PUBLIC_SUFFIX_LIST_PATH):
+    rules, wildcards, exceptions = set(), set(), set()
+    with open(path, encoding="utf-8") as file:
+        for line in file:
+            rule = line.strip().lower()
+            if not rule or rule.startswith("//"):
+                continue
+            if rule.startswith("!"):
+                exceptions.add(rule[1:])
+            elif rule.startswith("*."):
+                wildcards.add(rule[2:])
+            else:
+                rules.add(rule)
+    return {"rules": rules, "wildcards": wildcards, "exceptions": exceptions}
+
+PUBLIC_SUFFIX_RULES = load_public_suffix_list()
+
+# 🌐 استخراج اسم المضيف من الرابط (مع إضافة http:// إذا لم يوجد بروتوكول) بصيغة punycode
+def get_url_hostname(url):
+    candidate = url if "://" in url else "http://" + url
+    try:
+        hostname = urlparse(candidate).hostname or ""
+    except ValueError:
+        return ""
+    return ".".join(to_ascii_label(label) for label in hostname.split("."))
+
+# 🔤 تحويل جزء من الدومين إلى punycode (xn--) إذا كان يحتوي على أحرف Unicode
+def to_ascii_label(label):
+    if label.isascii():
+        return label
+    try:
+        return label.encode("idna").decode("ascii")
+    except UnicodeError:
+        return label
+
+# 🏷️ إيجاد اللاحقة العامة (co.uk في bbc.co.uk) حسب خوارزمية Public Suffix List
+def get_public_suffix(hostname):
+    labels = hostname.lower().strip(".").split(".")
+    for index in range(len(labels)):
+        candidate = ".".join(labels[index:])
+        if candidate in PUBLIC_SUFFIX_RULES["exceptions"]:
+            return ".".join(labels[index + 1:])
+        parent = ".".join(labels[index + 1:])
+        if candidate in PUBLIC_SUFFIX_RULES["rules"] or (parent and parent in PUBLIC_SUFFIX_RULES["wildcards"]):
+            return candidate
+    return labels[-1]
+
+# ✂️ تقسيم المضيف إلى subdomain و registrable domain و public suffix
+def split_hostname(hostname):
+    hostname = hostname.lower().strip(".")
+    if not hostname:
+        return {"subdomain": "", "registrable_domain": "", "public_suffix": ""}
+    if IP_HOST_PATTERN.match(hostname):
+        return {"subdomain": "", "registrable_domain": hostname, "public_suffix": ""}
+
+    labels = hostname.split(".")
+    public_suffix = get_public_suffix(hostname)
+    suffix_label_count = len(public_suffix.split("."))
+    if len(labels) <= suffix_label_count:
+        return {"subdomain": "", "registrable_domain": "", "public_suffix": public_suffix}
+
+    return {
+        "subdomain": ".".join(labels[:-suffix_label_count - 1]),
+        "registrable_domain": ".".join(labels[-suffix_label_count - 1:]),
+        "public_suffix": public_suffix
+    }
+
+# 🔑 الدومين القابل للتسجيل لرابط (bbc.co.uk لـ https://news.bbc.co.uk/path)
+def get_registrable_domain(url):
+    return split_hostname(get_url_hostname(url))["registrable_domain"]
+
+# 🔢 عدد الساب دومين الحقيقي (لا يتأثر بالنقاط في المسار أو اللواحق مثل co.uk)
+def count_subdomains(url):
+    subdomain = split_hostname(get_url_hostname(url))["subdomain"]
+    return len(subdomain.split(".")) if subdomain else 0
\ No newline at end of file
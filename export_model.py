@@ -0,0 +1,61 @@
+import json
+import joblib
+import pandas as pd
+from features import extract_features_from_url, FEATURE_NAMES
+
+# 📦 ملفات الإخراج
+MODEL_JSON_PATH = "model.json"
+PARITY_SAMPLE_PATH = "parity_sample.json"
+PARITY_SAMPLE_SIZE = 500
+
+# 🔌 تحميل النموذج والـ scaler والـ label encoder
+model = joblib.load("model.pkl")
+scaler = joblib.load("scaler.pkl")
+label_encoder = joblib.load("label_encoder.pkl")
+
+# 🌳 تحويل شجرة قرار إلى JSON (القيم في الأوراق احتمالات لكل تصنيف)
+def export_tree(estimator):
+    tree = estimator.tree_
+    leaf_values = []
+    for node_value in tree.value:
+        counts = node_value[0]
+        total = counts.sum()
+        leaf_values.append([float(c / total) if total else 0.0 for c in counts])
+    return {
+        "left": tree.children_left.tolist(),
+        "right": tree.children_right.tolist(),
+        "feature": tree.feature.tolist(),
+        "threshold": tree.threshold.tolist(),
+        "value": leaf_values
+    }
+
+# 🧠 تجميع النموذج كاملاً
+model_json = {
+    "format": "securelink-random-forest",
+    "version": 1,
+    "feature_names": FEATURE_NAMES,
+    "scaler": {
+        "mean": scaler.mean_.tolist(),
+        "scale": scaler.scale_.tolist()
+    },
+    "labels": label_encoder.inverse_transform(model.classes_).tolist(),
+    "trees": [export_tree(estimator) for estimator in model.estimators_]
+}
+
+with open(MODEL_JSON_PATH, "w", encoding="utf-8") as file:
+    json.dump(model_json, file)
+
+# 🧪 عينة للتحقق من تطابق تنبؤات JavaScript مع Python
+df = pd.read_csv("malicious_url.csv")
+sample = df.sample(n=min(PARITY_SAMPLE_SIZE, len(df)), random_state=42)
+parity_sample = []
+for url in sample["url"]:
+    scaled = scaler.transform([extract_features_from_url(url)])
+    prediction_encoded = model.predict(scaled)[0]
+    prediction_label = label_encoder.inverse_transform([prediction_encoded])[0]
+    parity_sample.append({"url": url, "prediction": prediction_label})
+
+with open(PARITY_SAMPLE_PATH, "w", encoding="utf-8") as file:
+    json.dump(parity_sample, file, ensure_ascii=False)
+
+print(f"✅ Exported {len(model_json['trees'])} trees to {MODEL_JSON_PATH} and {len(parity_sample)} samples to {PARITY_SAMPLE_PATH}.")
@@ -0,0 +1,278 @@
+/**
+ * SecureLink Extension Background
+ * Checks URLs with the analysis code shared with the web app (script.js): the configured
+ * /predict endpoint first, then the bundled model, then the offline heuristic
+ */
+
+// Chrome and Edge run this file as a service worker (manifest.json); the Firefox build from build_extension.py
+// lists script.js before this file under background.scripts, so importScripts is not needed there
+if (typeof importScripts === 'function') {
+  importScripts('script.js');
+}
+
+// Extension configuration constants
+const EXTENSION_CONFIG = {
+  settingsKey: 'settings',
+  recentVerdictsKey: 'recentVerdicts',
+  allowedUrlsKey: 'allowedUrls',
+  defaultSettings: {
+    endpoint: API_CLIENT_CONFIG.defaultEndpoint,
+    apiKey: '',
+    checkOnHover: true,
+    checkBeforeNavigation: true
+  },
+  maxRecentVerdicts: 20,
+  maxSignals: 5,
+  cacheTtl: 10 * 60 * 1000,
+  maxCachedVerdicts: 500,
+  warningPage: 'warning.html',
+  checkedProtocols: ['http:', 'https:'],
+  extensionPageMessages: ['get-settings', 'save-settings', 'allow-url', 'clear-verdicts']
+};
+
+// Verdicts by URL, so hovering and then opening a link analyzes it once
+const verdictCache = new Map();
+
+/**
+ * Reads the extension settings saved from the popup
+ * @returns {Promise<Object>} Settings with defaults for missing values
+ */
+async function getExtensionSettings() {
+  const stored = await chrome.storage.local.get(EXTENSION_CONFIG.settingsKey);
+  return { ...EXTENSION_CONFIG.defaultSettings, ...stored[EXTENSION_CONFIG.settingsKey] };
+}
+
+/**
+ * Saves the settings from the popup; cached verdicts are dropped because they came from the old endpoint
+ * @param {Object} settings - endpoint, apiKey, checkOnHover and checkBeforeNavigation
+ * @returns {Promise<Object>} Saved settings
+ * @throws {Error} When the endpoint is not an http or https URL
+ */
+async function saveExtensionSettings(settings) {
+  if (!isCheckableUrl(settings.endpoint)) {
+    throw new Error('Prediction endpoint must be an http or https URL');
+  }
+
+  const savedSettings = {
+    endpoint: settings.endpoint.trim(),
+    apiKey: (settings.apiKey || '').trim(),
+    checkOnHover: Boolean(settings.checkOnHover),
+    checkBeforeNavigation: Boolean(settings.checkBeforeNavigation)
+  };
+
+  await chrome.storage.local.set({ [EXTENSION_CONFIG.settingsKey]: savedSettings });
+  verdictCache.clear();
+  return savedSettings;
+}
+
+/**
+ * Checks whether a URL uses a protocol the extension analyzes
+ * @param {string} url - URL to check
+ * @returns {boolean} True for http and https URLs
+ */
+function isCheckableUrl(url) {
+  try {
+    return EXTENSION_CONFIG.checkedProtocols.includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the verdict for a URL, analyzing it when there is no recent cached verdict
+ * @param {string} url - URL to check
+ * @returns {Promise<Object>} Verdict summary
+ */
+async function checkUrl(url) {
+  const cached = verdictCache.get(url);
+
+  if (cached && Date.now() - cached.checkedAt < EXTENSION_CONFIG.cacheTtl) {
+    return cached;
+  }
+
+  const verdict = createVerdict(url, await analyzeUrl(url, await getExtensionSettings()));
+
+  if (verdictCache.size >= EXTENSION_CONFIG.maxCachedVerdicts) {
+    verdictCache.delete(verdictCache.keys().next().value);
+  }
+  verdictCache.set(url, verdict);
+  await rememberVerdict(verdict);
+
+  return verdict;
+}
+
+/**
+ * Analyzes a URL with the detection engines, using the label from the configured prediction endpoint
+ * The extension has no allowlist or blocklist, and analyzes offline when the endpoint fails
+ * @param {string} url - URL to analyze
+ * @param {Object} settings - Extension settings
+ * @returns {Promise<Object>} Analysis result object
+ */
+async function analyzeUrl(url, settings) {
+  await loadPublicSuffixList();
+
+  try {
+    const headers = settings.apiKey ? { [API_CLIENT_CONFIG.apiKeyHeader]: settings.apiKey } : {};
+    const data = await postJsonWithRetry(settings.endpoint, { url: url }, API_CLIENT_CONFIG.requestTimeout, headers);
+
+    if (!data.prediction) {
+      throw new ApiResponseError('Prediction response did not include a label', 200);
+    }
+    return runDetectionEngines(url, { prediction: data.prediction, listRules: [] });
+  } catch (error) {
+    const notice = getPredictionErrorNotice(error);
+    if (notice) {
+      console.warn(`SecureLink: ${notice}`);
+    }
+    return runDetectionEngines(url, { offline: true, listRules: [] });
+  }
+}
+
+/**
+ * Reduces an analysis result to what the popup, link badge and warning page show
+ * @param {string} url - Analyzed URL
+ * @param {Object} analysisResult - Analysis result object
+ * @returns {Object} Verdict summary
+ */
+function createVerdict(url, analysisResult) {
+  return {
+    url: url,
+    isSafe: analysisResult.isSafe,
+    threatType: analysisResult.threatType,
+    riskScore: analysisResult.riskScore,
+    riskLevel: analysisResult.riskLevel,
+    engine: getAnalysisEngineLabel(analysisResult.engine),
+    signals: (analysisResult.signals || [])
+      .filter(signal => signal.weight > 0)
+      .slice(0, EXTENSION_CONFIG.maxSignals)
+      .map(signal => signal.description),
+    checkedAt: Date.now()
+  };
+}
+
+/**
+ * Adds a verdict to the popup's list of recent verdicts, replacing an older one for the same URL
+ * @param {Object} verdict - Verdict summary
+ * @returns {Promise<void>}
+ */
+async function rememberVerdict(verdict) {
+  const { recentVerdictsKey, maxRecentVerdicts } = EXTENSION_CONFIG;
+  const recentVerdicts = (await getRecentVerdicts()).filter(item => item.url !== verdict.url);
+
+  await chrome.storage.local.set({
+    [recentVerdictsKey]: [verdict, ...recentVerdicts].slice(0, maxRecentVerdicts)
+  });
+}
+
+/**
+ * Reads the recent verdicts for the popup
+ * @returns {Promise<Object[]>} Verdict summaries, newest first
+ */
+async function getRecentVerdicts() {
+  const stored = await chrome.storage.local.get(EXTENSION_CONFIG.recentVerdictsKey);
+  return stored[EXTENSION_CONFIG.recentVerdictsKey] || [];
+}
+
+/**
+ * Reads the URLs the user chose to open despite a warning in this browser session
+ * @returns {Promise<string[]>} Allowed URLs
+ */
+async function getAllowedUrls() {
+  const stored = await chrome.storage.session.get(EXTENSION_CONFIG.allowedUrlsKey);
+  return stored[EXTENSION_CONFIG.allowedUrlsKey] || [];
+}
+
+/**
+ * Lets a URL open without a warning until the browser restarts
+ * @param {string} url - URL the user chose to open
+ * @returns {Promise<void>}
+ */
+async function allowUrl(url) {
+  const allowedUrls = await getAllowedUrls();
+
+  if (!allowedUrls.includes(url)) {
+    await chrome.storage.session.set({ [EXTENSION_CONFIG.allowedUrlsKey]: [...allowedUrls, url] });
+  }
+}
+
+/**
+ * Checks a top-level navigation and replaces dangerous pages with the warning page
+ * The page may start loading while the check runs; the warning replaces it as soon as the verdict arrives
+ * @param {Object} details - webNavigation.onBeforeNavigate details
+ */
+async function handleNavigation(details) {
+  if (details.frameId !== 0 || !isCheckableUrl(details.url)) {
+    return;
+  }
+
+  const settings = await getExtensionSettings();
+  if (!settings.checkBeforeNavigation || (await getAllowedUrls()).includes(details.url)) {
+    return;
+  }
+
+  const verdict = await checkUrl(details.url);
+  if (!verdict.isSafe) {
+    const warningUrl = `${chrome.runtime.getURL(EXTENSION_CONFIG.warningPage)}?url=${encodeURIComponent(details.url)}`;
+    await chrome.tabs.update(details.tabId, { url: warningUrl });
+  }
+}
+
+/**
+ * Checks if a message comes from the extension's own pages (popup or warning page) rather than
+ * a content script, which runs inside web pages and shares the extension id
+ * @param {Object} sender - Message sender
+ * @returns {boolean} True if the sender is a page of this extension
+ */
+function isExtensionPageSender(sender) {
+  return sender.id === chrome.runtime.id && typeof sender.url === 'string' &&
+    sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+/**
+ * Answers messages from the content script, popup and warning page
+ * Reading or changing settings, allowing a URL and clearing verdicts are only answered for the extension's own pages
+ * @param {Object} message - Message with a type, and a url or settings
+ * @param {Object} sender - Message sender
+ * @returns {Promise<*>} Response for the sender
+ * @throws {Error} When the settings sent by the popup are invalid, or a content script sends a page-only message
+ */
+async function handleExtensionMessage(message, sender) {
+  if (EXTENSION_CONFIG.extensionPageMessages.includes(message.type) && !isExtensionPageSender(sender)) {
+    throw new Error(`"${message.type}" is only accepted from the extension's own pages`);
+  }
+
+  switch (message.type) {
+    case 'check-link': {
+      const settings = await getExtensionSettings();
+      return settings.checkOnHover && isCheckableUrl(message.url) ? checkUrl(message.url) : null;
+    }
+    case 'check-url':
+      return isCheckableUrl(message.url) ? checkUrl(message.url) : null;
+    case 'allow-url':
+      await allowUrl(message.url);
+      return true;
+    case 'get-recent-verdicts':
+      return getRecentVerdicts();
+    case 'get-settings':
+      return getExtensionSettings();
+    case 'save-settings':
+      return saveExtensionSettings(message.settings);
+    case 'clear-verdicts':
+      verdictCache.clear();
+      await chrome.storage.local.remove(EXTENSION_CONFIG.recentVerdictsKey);
+      return true;
+    default:
+      return null;
+  }
+}
+
+chrome.webNavigation.onBeforeNavigate.addListener(details => {
+  handleNavigation(details).catch(error => console.warn('SecureLink navigation check failed:', error.message));
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  handleExtensionMessage(message, sender)
+    .then(sendResponse)
+    .catch(error => sendResponse({ error: error.message }));
+  return true;
+});
@@ -0,0 +1,104 @@
+/**
+ * SecureLink Extension Link Checker
+ * Checks a link when the pointer rests on it and shows the verdict next to the link
+ */
+
+// Link checker configuration constants
+const LINK_CHECK_CONFIG = {
+  hoverDelay: 400,
+  badgeClass: 'securelink-badge',
+  safeClass: 'securelink-badge--safe',
+  dangerousClass: 'securelink-badge--dangerous',
+  badgeOffset: 6
+};
+
+// Link under the pointer and the timer that checks it once the pointer rests
+const linkCheckState = {
+  link: null,
+  timerId: null,
+  badge: null
+};
+
+/**
+ * Starts the hover timer when the pointer enters a link
+ * @param {MouseEvent} event - mouseover event
+ */
+function handleLinkHover(event) {
+  const link = event.target.closest ? event.target.closest('a[href]') : null;
+
+  if (!link || link === linkCheckState.link) {
+    return;
+  }
+
+  clearTimeout(linkCheckState.timerId);
+  hideLinkBadge();
+  linkCheckState.link = link;
+  linkCheckState.timerId = setTimeout(() => checkHoveredLink(link), LINK_CHECK_CONFIG.hoverDelay);
+}
+
+/**
+ * Cancels the check and hides the badge when the pointer leaves the link
+ * @param {MouseEvent} event - mouseout event
+ */
+function handleLinkLeave(event) {
+  const { link } = linkCheckState;
+
+  if (link && !link.contains(event.relatedTarget)) {
+    clearTimeout(linkCheckState.timerId);
+    linkCheckState.link = null;
+    hideLinkBadge();
+  }
+}
+
+/**
+ * Asks the background worker for the link's verdict and shows it if the pointer is still there
+ * @param {HTMLAnchorElement} link - Hovered link
+ */
+async function checkHoveredLink(link) {
+  try {
+    const verdict = await chrome.runtime.sendMessage({ type: 'check-link', url: link.href });
+
+    if (verdict && linkCheckState.link === link) {
+      showLinkBadge(link, verdict);
+    }
+  } catch (error) {
+    // The extension was reloaded or updated; this page keeps the old content script until it reloads
+    console.warn('SecureLink could not check the link:', error.message);
+  }
+}
+
+/**
+ * Shows the verdict badge below the link
+ * @param {HTMLAnchorElement} link - Hovered link
+ * @param {Object} verdict - Verdict summary from the background worker
+ */
+function showLinkBadge(link, verdict) {
+  const badge = document.createElement('div');
+  const linkBox = link.getBoundingClientRect();
+
+  badge.className = `${LINK_CHECK_CONFIG.badgeClass} ${verdict.isSafe ? LINK_CHECK_CONFIG.safeClass : LINK_CHECK_CONFIG.dangerousClass}`;
+  badge.setAttribute('role', 'status');
+  badge.textContent = verdict.isSafe ?
+    `✓ SecureLink: looks safe (risk ${verdict.riskScore})` :
+    `⚠️ SecureLink: ${verdict.threatType} (risk ${verdict.riskScore})`;
+  badge.style.left = `${Math.max(0, linkBox.left)}px`;
+  badge.style.top = `${linkBox.bottom + LINK_CHECK_CONFIG.badgeOffset}px`;
+
+  hideLinkBadge();
+  document.body.appendChild(badge);
+  linkCheckState.badge = badge;
+}
+
+/**
+ * Removes the verdict badge
+ */
+function hideLinkBadge() {
+  if (linkCheckState.badge) {
+    linkCheckState.badge.remove();
+    linkCheckState.badge = null;
+  }
+}
+
+document.addEventListener('mouseover', handleLinkHover);
+document.addEventListener('mouseout', handleLinkLeave);
+window.addEventListener('scroll', hideLinkBadge, { passive: true });
@@ -0,0 +1,109 @@
+/**
+ * SecureLink Extension Popup
+ * Lists the last verdicts and edits the prediction endpoint, API key and checks
+ */
+
+// Popup configuration constants
+const POPUP_CONFIG = {
+  statusClearDelay: 3000
+};
+
+/**
+ * Renders the recent verdicts and fills the settings form
+ */
+async function initializePopup() {
+  document.getElementById('popupSettings').addEventListener('submit', saveSettingsFromForm);
+  document.getElementById('popupClear').addEventListener('click', clearVerdicts);
+
+  fillSettingsForm(await chrome.runtime.sendMessage({ type: 'get-settings' }));
+  await renderRecentVerdicts();
+}
+
+/**
+ * Renders the verdicts saved by the background worker, newest first
+ */
+async function renderRecentVerdicts() {
+  const verdicts = await chrome.runtime.sendMessage({ type: 'get-recent-verdicts' });
+
+  document.getElementById('popupEmpty').hidden = verdicts.length > 0;
+  document.getElementById('popupVerdicts').replaceChildren(...verdicts.map(createVerdictItem));
+}
+
+/**
+ * Creates the list item for a verdict
+ * @param {Object} verdict - Verdict summary
+ * @returns {HTMLElement} List item
+ */
+function createVerdictItem(verdict) {
+  const item = document.createElement('li');
+  const url = document.createElement('span');
+  const summary = document.createElement('span');
+  const details = document.createElement('span');
+
+  item.className = 'popup-verdict';
+  url.className = 'popup-verdict__url';
+  url.textContent = verdict.url;
+  url.title = verdict.url;
+  summary.className = verdict.isSafe ? 'verdict--safe' : 'verdict--dangerous';
+  summary.textContent = verdict.isSafe ? '✓ Safe' : `⚠️ ${verdict.threatType}`;
+  details.className = 'muted';
+  details.textContent = ` · risk ${verdict.riskScore} · ${verdict.engine} · ${new Date(verdict.checkedAt).toLocaleTimeString()}`;
+
+  item.append(url, summary, details);
+  return item;
+}
+
+/**
+ * Puts the saved settings into the form
+ * @param {Object} settings - Extension settings
+ */
+function fillSettingsForm(settings) {
+  document.getElementById('settingsEndpoint').value = settings.endpoint;
+  document.getElementById('settingsApiKey').value = settings.apiKey;
+  document.getElementById('settingsCheckOnHover').checked = settings.checkOnHover;
+  document.getElementById('settingsCheckBeforeNavigation').checked = settings.checkBeforeNavigation;
+}
+
+/**
+ * Saves the settings form through the background worker
+ * @param {Event} event - Form submission event
+ */
+async function saveSettingsFromForm(event) {
+  event.preventDefault();
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'save-settings',
+    settings: {
+      endpoint: document.getElementById('settingsEndpoint').value,
+      apiKey: document.getElementById('settingsApiKey').value,
+      checkOnHover: document.getElementById('settingsCheckOnHover').checked,
+      checkBeforeNavigation: document.getElementById('settingsCheckBeforeNavigation').checked
+    }
+  });
+
+  showPopupStatus(response && response.error ? response.error : 'Settings saved');
+}
+
+/**
+ * Deletes the recent verdicts and the background worker's cache
+ */
+async function clearVerdicts() {
+  await chrome.runtime.sendMessage({ type: 'clear-verdicts' });
+  await renderRecentVerdicts();
+  showPopupStatus('Verdicts cleared');
+}
+
+/**
+ * Shows a short status message under the settings form
+ * @param {string} message - Status message
+ */
+function showPopupStatus(message) {
+  const status = document.getElementById('popupStatus');
+
+  status.textContent = message;
+  setTimeout(() => {
+    status.textContent = '';
+  }, POPUP_CONFIG.statusClearDelay);
+}
+
+initializePopup();
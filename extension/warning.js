@@ -0,0 +1,69 @@
+/**
+ * SecureLink Extension Warning Page
+ * Explains why a page was blocked and lets the user go back or open it anyway
+ */
+
+/**
+ * Reads the blocked URL from the page address
+ * @returns {string} Blocked URL, or an empty string when missing
+ */
+function getBlockedUrl() {
+  return new URLSearchParams(window.location.search).get('url') || '';
+}
+
+/**
+ * Shows the blocked URL and the verdict that blocked it
+ */
+async function initializeWarningPage() {
+  const blockedUrl = getBlockedUrl();
+
+  document.getElementById('warningUrl').textContent = blockedUrl;
+  document.getElementById('warningBack').addEventListener('click', goBackToSafety);
+  document.getElementById('warningProceed').addEventListener('click', () => openBlockedUrl(blockedUrl));
+
+  const verdict = await chrome.runtime.sendMessage({ type: 'check-url', url: blockedUrl });
+  if (verdict) {
+    renderWarningVerdict(verdict);
+  }
+}
+
+/**
+ * Renders the threat type, risk score, engine and reasons
+ * @param {Object} verdict - Verdict summary from the background worker
+ */
+function renderWarningVerdict(verdict) {
+  document.getElementById('warningThreat').textContent = verdict.threatType;
+  document.getElementById('warningRisk').textContent = `${verdict.riskScore} / 100 (${verdict.riskLevel})`;
+  document.getElementById('warningEngine').textContent = verdict.engine;
+  document.getElementById('warningSignals').replaceChildren(...verdict.signals.map(description => {
+    const item = document.createElement('li');
+    item.textContent = description;
+    return item;
+  }));
+}
+
+/**
+ * Leaves the warning page for the previous page, or a blank page when there is none
+ */
+function goBackToSafety() {
+  if (window.history.length > 1) {
+    window.history.back();
+  } else {
+    window.location.replace('about:blank');
+  }
+}
+
+/**
+ * Allows the blocked URL for this browser session and opens it
+ * @param {string} blockedUrl - Blocked URL
+ */
+async function openBlockedUrl(blockedUrl) {
+  if (!blockedUrl) {
+    return;
+  }
+
+  await chrome.runtime.sendMessage({ type: 'allow-url', url: blockedUrl });
+  window.location.replace(blockedUrl);
+}
+
+initializeWarningPage();
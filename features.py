@@ -0,0 +1,30 @@
+import re
+import numpy as np
+from domain_parser import count_subdomains
+
+# 🏷️ أسماء الميزات بنفس ترتيب extract_features_from_url
+FEATURE_NAMES = [
+    "url_length", "num_dots", "num_special_chars", "has_ip", "has_https",
+    "num_parts", "has_encoding", "num_digits", "num_uppercase", "domain_length",
+    "num_subdomains", "has_port", "query_length", "suspicious_words"
+]
+
+# ✨ دالة استخراج الميزات من الرابط
+def extract_features_from_url(url):
+    features = []
+    features.append(len(url))  # طول الرابط
+    features.append(url.count('.'))  # عدد النقاط
+    features.append(sum(url.count(c) for c in ['@', '?', '=', '&', '-', '_']))  # الرموز الخاصة
+    features.append(1 if re.match(r'\d+\.\d+\.\d+\.\d+', url) else 0)  # يحتوي على IP
+    features.append(1 if "https" in url.lower() else 0)  # يحتوي على https
+    features.append(len(url.split('/')))  # عدد الأجزاء
+    features.append(1 if any(tag in url.lower() for tag in ["base64", "javascript:", "data:"]) else 0)  # ترميز
+    features.append(sum(c.isdigit() for c in url))  # عدد الأرقام
+    features.append(sum(c.isupper() for c in url))  # عدد الحروف الكبيرة
+    features.append(len(url.split('/')[2]) if len(url.split('/')) > 2 else 0)  # طول الدومين
+    features.append(count_subdomains(url))  # عدد الساب دومين (حسب Public Suffix List)
+    features.append(1 if re.search(r":\d+", url) else 0)  # يحتوي على بورت
+    features.append(len(url.split('?')[1]) if '?' in url else 0)  # طول الاستعلام
+    suspicious_words = ["login", "verify", "secure", "account", "update", "confirm", "bank", "reset", "free", "click", "offer", "win", "paypal", "ebay"]
+    features.append(1 if any(word in url.lower() for word in suspicious_words) else 0)  # كلمات مشبوهة
+    return np.array(features)
\ No newline at end of file
@@ -0,0 +1,160 @@
+import os
+import re
+import json
+import hashlib
+from datetime import datetime
+import numpy as np
+from sklearn.metrics import accuracy_score, precision_recall_fscore_support, confusion_matrix, roc_curve, auc
+
+# 📁 مكان تقارير التقييم: نسخة لكل تشغيل في metrics/ وآخر تقرير في model_metrics.json
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+METRICS_DIR = os.path.join(BASE_DIR, "metrics")
+LATEST_METRICS_PATH = os.path.join(BASE_DIR, "model_metrics.json")
+MODEL_INFO_PATH = os.path.join(BASE_DIR, "model_info.json")
+METRICS_FORMAT = "securelink-metrics"
+METRICS_FORMAT_VERSION = 1
+METRICS_VERSION_PATTERN = re.compile(r"^\d{8}-\d{6}-[a-z]+$")
+
+# 🏷️ التصنيف الآمن (باقي التصنيفات تُعتبر ضارة في منحنى ROC)
+SAFE_LABEL = "benign"
+MAX_ROC_POINTS = 50
+
+# 🔐 بصمة ملف البيانات لمعرفة أي نسخة دُرّب عليها النموذج
+def dataset_sha256(path):
+    digest = hashlib.sha256()
+    with open(path, "rb") as file:
+        for chunk in iter(lambda: file.read(65536), b""):
+            digest.update(chunk)
+    return digest.hexdigest()
+
+# 🏷️ رقم نسخة التقرير: التاريخ والوقت واسم الخطوة (train أو compare)
+def new_metrics_version(step):
+    return f"{datetime.now().strftime('%Y%m%d-%H%M%S')}-{step}"
+
+# 📊 تقييم مصنف واحد: الدقة، precision/recall/F1، مصفوفة الالتباس ونقاط ROC
+def evaluate_classifier(model, X_test, y_test, labels):
+    y_test = np.asarray(y_test)
+    y_pred = model.predict(X_test)
+    class_ids = list(range(len(labels)))
+    precision, recall, f1, support = precision_recall_fscore_support(y_test, y_pred, labels=class_ids, zero_division=0)
+    macro_precision, macro_recall, macro_f1, _ = precision_recall_fscore_support(
+        y_test, y_pred, labels=class_ids, average="macro", zero_division=0
+    )
+    fpr, tpr, _ = roc_curve(y_test != labels.index(SAFE_LABEL), get_malicious_scores(model, X_test, labels))
+    roc_fpr, roc_tpr = downsample_roc(fpr, tpr)
+
+    return {
+        "accuracy": float(accuracy_score(y_test, y_pred)),
+        "precision": float(macro_precision),
+        "recall": float(macro_recall),
+        "f1": float(macro_f1),
+        "per_class": {
+            label: {
+                "precision": float(precision[i]),
+                "recall": float(recall[i]),
+                "f1": float(f1[i]),
+                "support": int(support[i])
+            }
+            for i, label in enumerate(labels)
+        },
+        "confusion_matrix": confusion_matrix(y_test, y_pred, labels=class_ids).tolist(),
+        "roc": {"fpr": roc_fpr, "tpr": roc_tpr, "auc": float(auc(fpr, tpr))}
+    }
+
+# 🎯 درجة "ضار" لكل رابط: 1 - احتمال الآمن، أو decision_function للمصنفات بدون احتمالات (SVM)
+def get_malicious_scores(model, X_test, labels):
+    safe_index = list(model.classes_).index(labels.index(SAFE_LABEL))
+    if hasattr(model, "predict_proba"):
+        return 1 - model.predict_proba(X_test)[:, safe_index]
+
+    scores = model.decision_function(X_test)
+    if scores.ndim == 1:
+        return -scores if safe_index == 1 else scores
+    return -scores[:, safe_index]
+
+# ✂️ تقليل نقاط ROC لحجم ملف مناسب مع الإبقاء على أول وآخر نقطة
+def downsample_roc(fpr, tpr):
+    indexes = range(len(fpr))
+    if len(fpr) > MAX_ROC_POINTS:
+        indexes = sorted(set(np.linspace(0, len(fpr) - 1, MAX_ROC_POINTS).round().astype(int)))
+    return [round(float(fpr[i]), 4) for i in indexes], [round(float(tpr[i]), 4) for i in indexes]
+
+# 🧾 تجميع التقرير الكامل (accuracy في الأعلى = دقة النموذج المختار)
+def create_metrics_report(version, step, model_file, dataset_path, rows, test_size, feature_names, labels, evaluations, selected_model):
+    return {
+        "format": METRICS_FORMAT,
+        "format_version": METRICS_FORMAT_VERSION,
+        "version": version,
+        "step": step,
+        "evaluated_at": datetime.now().isoformat(timespec="seconds"),
+        "model_file": model_file,
+        "dataset": {
+            "path": os.path.basename(dataset_path),
+            "sha256": dataset_sha256(dataset_path),
+            "rows": int(rows),
+            "test_size": test_size
+        },
+        "feature_names": list(feature_names),
+        "labels": list(labels),
+        "selected_model": selected_model,
+        "accuracy": evaluations[selected_model]["accuracy"],
+        "models": evaluations
+    }
+
+# 💾 حفظ التقرير بنسخته في metrics/ وكآخر تقرير
+def write_metrics_report(report):
+    os.makedirs(METRICS_DIR, exist_ok=True)
+    for path in (get_metrics_report_path(report["version"]), LATEST_METRICS_PATH):
+        with open(path, "w", encoding="utf-8") as file:
+            json.dump(report, file, indent=2)
+
+# 🚀 تسجيل نسخة النموذج الذي يحمّله app.py (model.pkl)
+def record_live_model(version, model_name):
+    with open(MODEL_INFO_PATH, "w", encoding="utf-8") as file:
+        json.dump({
+            "version": version,
+            "model_name": model_name,
+            "model_file": "model.pkl",
+            "trained_at": datetime.now().isoformat(timespec="seconds")
+        }, file, indent=2)
+
+# 📄 مسار تقرير نسخة معينة (يرفع ValueError لاسم نسخة غير صالح)
+def get_metrics_report_path(version):
+    if not METRICS_VERSION_PATTERN.match(version):
+        raise ValueError(f'Invalid metrics version "{version}"')
+    return os.path.join(METRICS_DIR, f"metrics-{version}.json")
+
+# 📖 قراءة ملف JSON (None إذا كان مفقودًا أو تالفًا)
+def read_json_file(path):
+    try:
+        with open(path, encoding="utf-8") as file:
+            return json.load(file)
+    except (FileNotFoundError, ValueError):
+        return None
+
+# 📖 قراءة تقرير نسخة معينة
+def read_metrics_report(version):
+    return read_json_file(get_metrics_report_path(version))
+
+# 📚 ملخص كل التقارير من الأحدث للأقدم
+def list_metrics_reports():
+    if not os.path.isdir(METRICS_DIR):
+        return []
+
+    summaries = []
+    for file_name in sorted(os.listdir(METRICS_DIR), reverse=True):
+        match = re.match(r"^metrics-(.+)\.json$", file_name)
+        report = read_metrics_report(match.group(1)) if match and METRICS_VERSION_PATTERN.match(match.group(1)) else None
+        if isinstance(report, dict) and report.get("format") == METRICS_FORMAT:
+            summaries.append({
+                "version": report["version"],
+                "step": report.get("step"),
+                "evaluated_at": report.get("evaluated_at"),
+                "selected_model": report.get("selected_model"),
+                "accuracy": report.get("accuracy")
+            })
+    return summaries
+
+# 🚀 معلومات النموذج الحي (None قبل أول تشغيل لـ train_model.py)
+def read_live_model_info():
+    return read_json_file(MODEL_INFO_PATH)
\ No newline at end of file
@@ -0,0 +1,42 @@
+import math
+import time
+import threading
+
+# 🪣 حدود الطلبات: سعة الدلو وعدد الرموز التي تُضاف كل ثانية (60 طلبًا في الدقيقة مع دفعة حتى 60)
+RATE_LIMIT_CAPACITY = 60
+RATE_LIMIT_REFILL_PER_SECOND = 1.0
+MAX_TRACKED_BUCKETS = 10000
+
+# 🔐 محاولات كلمة المرور (تسجيل الدخول وإنشاء الحساب): 10 محاولات ثم محاولة كل 30 ثانية
+AUTH_RATE_LIMIT_CAPACITY = 10
+AUTH_RATE_LIMIT_REFILL_PER_SECOND = 1 / 30
+
+# 🔒 الدلاء في الذاكرة: المعرّف -> (الرموز المتبقية، وقت آخر تحديث، السعة، الرموز في الثانية)
+buckets = {}
+buckets_lock = threading.Lock()
+
+# 🎟️ سحب cost رموز من دلو المعرّف (يرجع (مسموح، ثواني الانتظار، الرموز المتبقية))
+def take_token(bucket_id, cost=1, capacity=RATE_LIMIT_CAPACITY, refill_per_second=RATE_LIMIT_REFILL_PER_SECOND):
+    now = time.monotonic()
+    with buckets_lock:
+        if bucket_id not in buckets and len(buckets) >= MAX_TRACKED_BUCKETS:
+            drop_full_buckets(now)
+
+        tokens, updated_at = buckets.get(bucket_id, (capacity, now))[:2]
+        tokens = min(capacity, tokens + (now - updated_at) * refill_per_second)
+
+        if tokens >= cost:
+            buckets[bucket_id] = (tokens - cost, now, capacity, refill_per_second)
+            return True, 0, int(tokens - cost)
+
+        buckets[bucket_id] = (tokens, now, capacity, refill_per_second)
+        return False, math.ceil((cost - tokens) / refill_per_second), 0
+
+# 🧹 حذف الدلاء الممتلئة (لا فرق بينها وبين دلو جديد) حتى لا تكبر الذاكرة بلا حد
+def drop_full_buckets(now):
+    full_ids = [
+        bucket_id for bucket_id, (tokens, updated_at, capacity, refill_per_second) in buckets.items()
+        if tokens + (now - updated_at) * refill_per_second >= capacity
+    ]
+    for bucket_id in full_ids:
+        del buckets[bucket_id]
\ No newline at end of file
@@ -0,0 +1,197 @@
+import http.client
+import ipaddress
+import socket
+import ssl
+import time
+from urllib.parse import urljoin, urlsplit
+
+# 🔁 حدود تتبع التحويلات: أقصى عدد تحويلات، مهلة كل طلب، ومهلة السلسلة كاملة (بالثواني)
+MAX_REDIRECT_HOPS = 10
+REDIRECT_REQUEST_TIMEOUT = 5
+REDIRECT_CHAIN_TIMEOUT = 20
+
+# 📡 حالات التحويل، والحالات التي تعني أن الخادم لا يقبل HEAD فنعيد الطلب بـ GET (بدون قراءة المحتوى)
+REDIRECT_STATUSES = {301, 302, 303, 307, 308}
+HEAD_REJECTED_STATUSES = {403, 405, 501}
+DEFAULT_PORTS = {"http": 80, "https": 443}
+USER_AGENT = "SecureLink-RedirectChecker/1.0"
+
+# 📄 تحميل صفحة لتحليل محتواها: أقصى حجم يُقرأ وأنواع المحتوى المقبولة
+MAX_PAGE_BYTES = 1024 * 1024
+HTML_CONTENT_TYPES = ("text/html", "application/xhtml+xml")
+
+# ⛔ رابط لا يجوز طلبه: بروتوكول غير مدعوم أو عنوان داخلي (حماية SSRF)
+class UnsafeRedirectError(Exception):
+    pass
+
+# 📄 تعذّر تحميل الصفحة لتحليل محتواها (السبب في الرسالة)
+class PageFetchError(Exception):
+    pass
+
+# 📌 اتصال HTTP بعنوان IP تم فحصه مسبقًا، حتى لا يتغير الـ DNS بين الفحص والاتصال
+class PinnedHTTPConnection(http.client.HTTPConnection):
+    def __init__(self, host, port, address, timeout):
+        super().__init__(host, port, timeout=timeout)
+        self.address = address
+
+    def connect(self):
+        self.sock = socket.create_connection((self.address, self.port), self.timeout)
+
+# 🔐 نفس الشيء لـ HTTPS مع التحقق من الشهادة باسم المضيف الأصلي
+class PinnedHTTPSConnection(http.client.HTTPSConnection):
+    def __init__(self, host, port, address, timeout):
+        self.ssl_context = ssl.create_default_context()
+        super().__init__(host, port, timeout=timeout, context=self.ssl_context)
+        self.address = address
+
+    def connect(self):
+        sock = socket.create_connection((self.address, self.port), self.timeout)
+        self.sock = self.ssl_context.wrap_socket(sock, server_hostname=self.host)
+
+# 🌐 هل العنوان عام على الإنترنت؟ (يرفض الشبكات الخاصة وloopback وlink-local والمحجوزة وmulticast)
+def is_public_address(address):
+    ip = ipaddress.ip_address(address.split("%")[0])
+    if ip.version == 6 and ip.ipv4_mapped:
+        ip = ip.ipv4_mapped
+    return ip.is_global and not ip.is_multicast
+
+# 🔎 تحويل المضيف إلى عنوان IP (كل العناوين يجب أن تكون عامة إلا المسموح بها صراحةً)
+def resolve_public_address(host, port, allowed_addresses=()):
+    try:
+        addresses = [info[4][0] for info in socket.getaddrinfo(host, port, type=socket.SOCK_STREAM)]
+    except (socket.gaierror, UnicodeError):
+        raise UnsafeRedirectError(f'Could not resolve "{host}"')
+
+    for address in addresses:
+        if address not in allowed_addresses and not is_public_address(address):
+            raise UnsafeRedirectError(f'"{host}" resolves to a private or reserved address ({address})')
+    return addresses[0]
+
+# 🧩 تقسيم الرابط إلى مضيف ومنفذ ومسار (يرفع UnsafeRedirectError لغير http/https)
+def parse_request_target(url):
+    parts = urlsplit(url)
+    scheme = parts.scheme.lower()
+    if scheme not in DEFAULT_PORTS or not parts.hostname:
+        raise UnsafeRedirectError("Only http and https URLs can be followed")
+
+    try:
+        host = parts.hostname.encode("idna").decode("ascii")
+        port = parts.port or DEFAULT_PORTS[scheme]
+    except (UnicodeError, ValueError):
+        raise UnsafeRedirectError(f'"{url}" has an invalid host or port')
+
+    path = (parts.path or "/") + (f"?{parts.query}" if parts.query else "")
+    return scheme, host, port, path
+
+# 🔌 إرسال طلب إلى عنوان عام فقط (يرجع الاتصال والرد؛ المستدعي يغلق الاتصال)
+def send_request(url, method, timeout, allowed_addresses=()):
+    scheme, host, port, path = parse_request_target(url)
+    address = resolve_public_address(host, port, allowed_addresses)
+    connection_class = PinnedHTTPSConnection if scheme == "https" else PinnedHTTPConnection
+    connection = connection_class(host, port, address, timeout)
+    try:
+        connection.request(method, path, headers={"User-Agent": USER_AGENT, "Accept": "*/*"})
+        return connection, connection.getresponse()
+    except BaseException:
+        connection.close()
+        raise
+
+# 📡 طلب واحد بدون تحميل المحتوى (يرجع رمز الحالة وترويسة Location)
+def request_hop(url, method, timeout, allowed_addresses=()):
+    connection, response = send_request(url, method, timeout, allowed_addresses)
+    try:
+        return response.status, response.getheader("Location")
+    finally:
+        connection.close()
+
+# 🔁 تتبع التحويلات قفزة بقفزة (يرجع القفزات وسبب التوقف، أو None إذا وصلت السلسلة لنهايتها)
+def follow_redirects(url, max_hops=MAX_REDIRECT_HOPS, request_timeout=REDIRECT_REQUEST_TIMEOUT,
+                     chain_timeout=REDIRECT_CHAIN_TIMEOUT, allowed_addresses=()):
+    deadline = time.monotonic() + chain_timeout
+    hops = []
+    current_url = url
+
+    while True:
+        hop = {'url': current_url, 'status': None, 'method': 'HEAD', 'location': None}
+        hops.append(hop)
+        remaining = deadline - time.monotonic()
+        if remaining <= 0:
+            return hops, f'Stopped after {chain_timeout}s'
+
+        try:
+            status, location = request_hop(current_url, 'HEAD', min(request_timeout, remaining), allowed_addresses)
+            if status in HEAD_REJECTED_STATUSES:
+                hop['method'] = 'GET'
+                status, location = request_hop(current_url, 'GET', min(request_timeout, remaining), allowed_addresses)
+        except UnsafeRedirectError as e:
+            return hops, str(e)
+        except (OSError, http.client.HTTPException) as e:
+            return hops, f'Request failed: {e}'
+
+        hop['status'] = status
+        if status not in REDIRECT_STATUSES or not location:
+            return hops, None
+
+        next_url = urljoin(current_url, location)
+        hop['location'] = next_url
+        if any(previous['url'] == next_url for previous in hops):
+            return hops, 'Redirect loop detected'
+        if len(hops) > max_hops:
+            return hops, f'Stopped after {max_hops} redirects'
+        current_url = next_url
+
+# 🧠 تصنيف كل قفزة واختيار أسوأ حكم: أعلى احتمال بين القفزات الضارة، وإلا الرابط الأخير
+def expand_url(url, classify, safe_labels, **options):
+    hops, error = follow_redirects(url, **options)
+    for hop in hops:
+        result = classify(hop['url'])
+        hop['prediction'] = result['prediction']
+        hop['probability'] = result['probability']
+
+    dangerous = [index for index, hop in enumerate(hops) if hop['prediction'].lower() not in safe_labels]
+    worst_index = max(dangerous, key=lambda index: hops[index]['probability']) if dangerous else len(hops) - 1
+
+    return {
+        'url': url,
+        'final_url': hops[-1]['url'],
+        'hops': hops,
+        'complete': error is None,
+        'error': error,
+        'worst_hop': worst_index,
+        'prediction': hops[worst_index]['prediction'],
+        'probability': hops[worst_index]['probability']
+    }
+
+# 📥 تحميل صفحة HTML بنفس الحماية: تتبع التحويلات ثم GET للرابط الأخير بحد أقصى للحجم
+def fetch_page(url, max_bytes=MAX_PAGE_BYTES, request_timeout=REDIRECT_REQUEST_TIMEOUT, allowed_addresses=(), **options):
+    hops, error = follow_redirects(url, request_timeout=request_timeout, allowed_addresses=allowed_addresses, **options)
+    if error:
+        raise PageFetchError(error)
+
+    final_url = hops[-1]['url']
+    try:
+        connection, response = send_request(final_url, 'GET', request_timeout, allowed_addresses)
+    except UnsafeRedirectError as e:
+        raise PageFetchError(str(e))
+    except (OSError, http.client.HTTPException) as e:
+        raise PageFetchError(f'Request failed: {e}')
+
+    try:
+        if not 200 <= response.status < 300:
+            raise PageFetchError(f'Page returned HTTP {response.status}')
+        content_type = response.headers.get_content_type()
+        if content_type not in HTML_CONTENT_TYPES:
+            raise PageFetchError(f'Page is not HTML ({content_type})')
+
+        body = response.read(max_bytes + 1)
+        charset = response.headers.get_content_charset() or "utf-8"
+    except (OSError, http.client.HTTPException) as e:
+        raise PageFetchError(f'Request failed: {e}')
+    finally:
+        connection.close()
+
+    try:
+        html = body[:max_bytes].decode(charset, errors="replace")
+    except LookupError:
+        html = body[:max_bytes].decode("utf-8", errors="replace")
+    return {'url': final_url, 'html': html, 'truncated': len(body) > max_bytes}
\ No newline at end of file
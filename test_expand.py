@@ -0,0 +1,175 @@
+import sys
+import threading
+import time
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from redirects import expand_url, follow_redirects, is_public_address
+
+# 🧪 فحص تتبع التحويلات ضد خادم HTTP محلي وهمي (بدون إنترنت)
+# الاستخدام: python test_expand.py
+
+# 🏠 الخادم الوهمي على loopback، لذا نسمح بعنوانه صراحةً في الفحوصات (وإلا ستحجبه حماية SSRF)
+STUB_ADDRESS = "127.0.0.1"
+ALLOW_STUB = {"allowed_addresses": (STUB_ADDRESS,)}
+LARGE_BODY_SIZE = 50 * 1024 * 1024
+
+# 🔀 المسارات: مسار -> (الحالة، Location)
+STUB_ROUTES = {
+    "/short": (301, "/middle"),
+    "/middle": (302, "http://{host}/final"),
+    "/final": (200, None),
+    "/loop-a": (302, "/loop-b"),
+    "/loop-b": (302, "/loop-a"),
+    "/to-metadata": (302, "http://169.254.169.254/latest/meta-data/"),
+    "/to-private": (302, "http://10.0.0.1/admin"),
+    "/to-loopback-v6": (302, "http://[::1]/"),
+    "/to-file": (302, "file:///etc/passwd"),
+}
+
+# 🎭 معالج الخادم الوهمي
+class StubHandler(BaseHTTPRequestHandler):
+    def log_message(self, format, *args):
+        pass
+
+    def do_HEAD(self):
+        self.respond(send_body=False)
+
+    def do_GET(self):
+        self.respond(send_body=True)
+
+    def respond(self, send_body):
+        host = f"{STUB_ADDRESS}:{self.server.server_port}"
+        if self.path.startswith("/chain/"):
+            remaining = int(self.path.split("/")[-1])
+            status, location = (302, f"/chain/{remaining - 1}") if remaining > 0 else (200, None)
+        elif self.path == "/no-head":
+            if not send_body:
+                return self.send_simple(405, None)
+            status, location = 302, "/large"
+        elif self.path == "/large":
+            return self.send_large_body(send_body)
+        elif self.path == "/slow":
+            time.sleep(2)
+            status, location = 200, None
+        else:
+            status, location = STUB_ROUTES.get(self.path, (404, None))
+        self.send_simple(status, location.format(host=host) if location else None)
+
+    def send_simple(self, status, location):
+        self.send_response(status)
+        if location:
+            self.send_header("Location", location)
+        self.send_header("Content-Length", "0")
+        self.end_headers()
+
+    # 🐘 محتوى ضخم يُرسل ببطء: إذا حاول المتتبع قراءته سيتأخر كثيرًا
+    def send_large_body(self, send_body):
+        self.send_response(200)
+        self.send_header("Content-Length", str(LARGE_BODY_SIZE))
+        self.end_headers()
+        if not send_body:
+            return
+        try:
+            for _ in range(LARGE_BODY_SIZE // 65536):
+                self.wfile.write(b"x" * 65536)
+                time.sleep(0.01)
+        except OSError:
+            pass
+
+# ✅ الفحوصات: كل فحص يأخذ الرابط الأساسي للخادم الوهمي
+def check_records_every_hop(base):
+    hops, error = follow_redirects(f"{base}/short", **ALLOW_STUB)
+    assert error is None, error
+    assert [hop["status"] for hop in hops] == [301, 302, 200], hops
+    assert [hop["url"] for hop in hops] == [f"{base}/short", f"{base}/middle", f"{base}/final"], hops
+    assert hops[0]["location"] == f"{base}/middle" and hops[-1]["location"] is None, hops
+    assert all(hop["method"] == "HEAD" for hop in hops), hops
+
+def check_get_fallback_without_body(base):
+    started_at = time.monotonic()
+    hops, error = follow_redirects(f"{base}/no-head", **ALLOW_STUB)
+    assert error is None, error
+    assert [(hop["method"], hop["status"]) for hop in hops] == [("GET", 302), ("HEAD", 200)], hops
+    assert time.monotonic() - started_at < 2, "the response body was downloaded"
+
+def check_hop_limit(base):
+    hops, error = follow_redirects(f"{base}/chain/20", max_hops=3, **ALLOW_STUB)
+    assert error == "Stopped after 3 redirects", error
+    assert len(hops) == 4, hops
+
+def check_redirect_loop(base):
+    hops, error = follow_redirects(f"{base}/loop-a", **ALLOW_STUB)
+    assert error == "Redirect loop detected", error
+    assert len(hops) == 2, hops
+
+def check_request_timeout(base):
+    started_at = time.monotonic()
+    hops, error = follow_redirects(f"{base}/slow", request_timeout=0.5, **ALLOW_STUB)
+    assert error and error.startswith("Request failed"), error
+    assert hops[0]["status"] is None, hops
+    assert time.monotonic() - started_at < 1.5, "the request timeout was not applied"
+
+def check_loopback_blocked_by_default(base):
+    hops, error = follow_redirects(f"{base}/short")
+    assert error and "private or reserved" in error, error
+    assert hops[0]["status"] is None, hops
+
+def check_redirects_to_private_targets_blocked(base):
+    for path in ["/to-metadata", "/to-private", "/to-loopback-v6"]:
+        hops, error = follow_redirects(f"{base}{path}", **ALLOW_STUB)
+        assert error and "private or reserved" in error, (path, error)
+        assert hops[0]["status"] == 302 and hops[-1]["status"] is None, (path, hops)
+
+def check_other_schemes_blocked(base):
+    hops, error = follow_redirects(f"{base}/to-file", **ALLOW_STUB)
+    assert error == "Only http and https URLs can be followed", error
+    assert hops[-1]["url"] == "file:///etc/passwd", hops
+
+def check_public_address_ranges(base):
+    for address in ["8.8.8.8", "1.1.1.1", "2606:4700:4700::1111"]:
+        assert is_public_address(address), address
+    for address in ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1",
+                    "0.0.0.0", "224.0.0.1", "::1", "fc00::1", "fe80::1%1", "::ffff:127.0.0.1", "::ffff:10.0.0.1"]:
+        assert not is_public_address(address), address
+
+def check_worst_verdict(base):
+    labels = {f"{base}/short": ("benign", 0.9), f"{base}/middle": ("phishing", 0.7), f"{base}/final": ("malware", 0.95)}
+    classify = lambda url: dict(zip(("prediction", "probability"), labels[url]))
+    result = expand_url(f"{base}/short", classify, ["benign", "safe"], **ALLOW_STUB)
+    assert result["complete"] and result["final_url"] == f"{base}/final", result
+    assert (result["worst_hop"], result["prediction"], result["probability"]) == (2, "malware", 0.95), result
+    assert [hop["prediction"] for hop in result["hops"]] == ["benign", "phishing", "malware"], result
+
+    safe = expand_url(f"{base}/short", lambda url: {"prediction": "benign", "probability": 0.8}, ["benign"], **ALLOW_STUB)
+    assert (safe["worst_hop"], safe["prediction"]) == (2, "benign"), safe
+
+CHECKS = [
+    check_records_every_hop, check_get_fallback_without_body, check_hop_limit, check_redirect_loop,
+    check_request_timeout, check_loopback_blocked_by_default, check_redirects_to_private_targets_blocked,
+    check_other_schemes_blocked, check_public_address_ranges, check_worst_verdict,
+]
+
+# 🚀 تشغيل الخادم الوهمي وكل الفحوصات
+def run_checks():
+    server = ThreadingHTTPServer((STUB_ADDRESS, 0), StubHandler)
+    server.daemon_threads = True
+    threading.Thread(target=server.serve_forever, daemon=True).start()
+    base = f"http://{STUB_ADDRESS}:{server.server_port}"
+
+    failures = 0
+    try:
+        for check in CHECKS:
+            try:
+                check(base)
+                print(f"✅ {check.__name__}")
+            except AssertionError as e:
+                failures += 1
+                print(f"❌ {check.__name__}: {e}")
+    finally:
+        server.shutdown()
+        server.server_close()
+
+    print(f"{len(CHECKS) - failures}/{len(CHECKS)} redirect checks passed")
+    return failures
+
+if __name__ == "__main__":
+    sys.exit(1 if run_checks() else 0)
\ No newline at end of file
@@ -0,0 +1,113 @@
+/**
+ * Link Extraction Check
+ * Runs the link extractor from script.js on pasted HTML and email messages with hostile
+ * character references and non-BMP characters, which must decode without throwing
+ *
+ * Usage:
+ *   node test_extract.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_SUFFIX_LIST_PATH = path.join(__dirname, 'public_suffix_list.dat');
+const SCRIPT_PATH = path.join(__dirname, 'script.js');
+
+/**
+ * Loads script.js into a sandbox; the extractor only needs text encoding and URL parsing
+ * @returns {Object} Sandbox context exposing the script's functions
+ */
+function loadScriptContext() {
+  const context = vm.createContext({
+    console: console,
+    URL: URL,
+    TextEncoder: TextEncoder,
+    TextDecoder: TextDecoder,
+    atob: atob,
+    fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    window: {},
+    localStorage: { getItem: () => null, setItem: () => {}, removeItem: () => {} },
+    document: {
+      addEventListener: () => {},
+      createElement: () => ({}),
+      getElementById: () => null
+    }
+  });
+
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context);
+  context.setPublicSuffixRules(context.parsePublicSuffixList(fs.readFileSync(PUBLIC_SUFFIX_LIST_PATH, 'utf8')));
+  return context;
+}
+
+/**
+ * Gets the URLs the extractor finds in some content
+ * @param {Object} context - Sandbox context
+ * @param {string} rawText - Pasted content
+ * @returns {string[]} Extracted URLs
+ */
+function extractUrls(context, rawText) {
+  return Array.from(context.extractLinks(rawText), link => link.url);
+}
+
+const checks = {
+  'numeric entities past U+10FFFF become U+FFFD instead of throwing': context => {
+    assert.strictEqual(context.decodeHtmlEntities('&#99999999;'), '\uFFFD');
+    assert.strictEqual(context.decodeHtmlEntities('&#x110000;'), '\uFFFD');
+    assert.strictEqual(context.decodeHtmlEntities(`&#${'9'.repeat(400)};`), '\uFFFD');
+    assert.strictEqual(context.decodeHtmlEntities('&#xD800;&#0;'), '\uFFFD\uFFFD');
+  },
+
+  'numeric and named entities in range still decode': context => {
+    assert.strictEqual(context.decodeHtmlEntities('&#x61;&#98;&amp;&#x10FFFF;&#128512;'), 'ab&\u{10FFFF}\u{1F600}');
+  },
+
+  'links around out-of-range entities are still extracted': context => {
+    const urls = extractUrls(context, [
+      '<a href="https://evil.example.com/&#99999999;">https://bank.example.com</a>',
+      '<img src="https://cdn.example.com/&#x110000;.png">',
+      'Plain https://plain.example.com/login&#x110000;'
+    ].join('\n'));
+
+    assert.ok(urls.includes('https://evil.example.com/%EF%BF%BD'), urls.join(', '));
+    assert.ok(urls.includes('https://cdn.example.com/%EF%BF%BD.png'), urls.join(', '));
+    assert.ok(urls.some(url => url.startsWith('https://plain.example.com/login')), urls.join(', '));
+  },
+
+  'quoted-printable keeps characters outside the BMP whole': context => {
+    assert.strictEqual(context.decodeQuotedPrintable('\u{1F600} caf=C3=A9 =F0=9F=94=92'), '\u{1F600} café \u{1F512}');
+
+    const message = [
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '\u{1F512} Verify your account: https://login.example.com/verify?id=3D42'
+    ].join('\r\n');
+
+    assert.ok(context.decodeEmailMessage(message).startsWith('\u{1F512} Verify'));
+    assert.deepStrictEqual(extractUrls(context, message), ['https://login.example.com/verify?id=42']);
+  }
+};
+
+/**
+ * Runs every check in a fresh sandbox and reports failures
+ */
+async function runExtractChecks() {
+  let failures = 0;
+
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check(loadScriptContext());
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures += 1;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`${Object.keys(checks).length - failures}/${Object.keys(checks).length} extraction checks passed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+runExtractChecks();
@@ -0,0 +1,72 @@
+/**
+ * Client Model Parity Check
+ * Compares the in-browser model against the Python predictions saved by export_model.py
+ *
+ * Usage:
+ *   python train_model.py
+ *   python export_model.py
+ *   node test_parity.js
+ *
+ * model.json and parity_sample.json are not committed; without them the check is skipped
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODEL_PATH = path.join(__dirname, 'model.json');
+const PARITY_SAMPLE_PATH = path.join(__dirname, 'parity_sample.json');
+const PUBLIC_SUFFIX_LIST_PATH = path.join(__dirname, 'public_suffix_list.dat');
+const SCRIPT_PATH = path.join(__dirname, 'script.js');
+
+/**
+ * Loads script.js into a sandbox with the minimal browser globals it touches at load time
+ * and installs the bundled Public Suffix List the browser would fetch
+ * @returns {Object} Sandbox context exposing the script's functions
+ */
+function loadScriptContext() {
+  const context = vm.createContext({
+    console: console,
+    URL: URL,
+    window: {},
+    localStorage: { getItem: () => null, setItem: () => {}, removeItem: () => {} },
+    document: { addEventListener: () => {} }
+  });
+
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context);
+  context.setPublicSuffixRules(context.parsePublicSuffixList(fs.readFileSync(PUBLIC_SUFFIX_LIST_PATH, 'utf8')));
+  return context;
+}
+
+/**
+ * Runs every sample URL through the JS model and reports mismatches
+ */
+function runParityCheck() {
+  const missingFiles = [MODEL_PATH, PARITY_SAMPLE_PATH].filter(filePath => !fs.existsSync(filePath));
+
+  if (missingFiles.length > 0) {
+    const fileNames = missingFiles.map(filePath => path.basename(filePath)).join(' and ');
+    console.log(`⏭️  Skipped: ${fileNames} not found. Run "python train_model.py && python export_model.py" first`);
+    return;
+  }
+
+  const context = loadScriptContext();
+  const model = context.validateClientModel(JSON.parse(fs.readFileSync(MODEL_PATH, 'utf8')));
+  const samples = JSON.parse(fs.readFileSync(PARITY_SAMPLE_PATH, 'utf8'));
+
+  const mismatches = samples.filter(sample => {
+    const featureVector = context.getLexicalFeatureVector(context.extractLexicalFeatures(sample.url));
+    const prediction = context.predictWithClientModel(model, featureVector);
+
+    if (prediction.label !== sample.prediction) {
+      console.log(`❌ ${sample.url}: expected ${sample.prediction}, got ${prediction.label}`);
+      return true;
+    }
+    return false;
+  });
+
+  console.log(`${samples.length - mismatches.length}/${samples.length} predictions match the Python model`);
+  process.exitCode = mismatches.length === 0 ? 0 : 1;
+}
+
+runParityCheck();
@@ -0,0 +1,180 @@
+/**
+ * Safe Rendering Regression Check
+ * Feeds hostile URLs through the html tag, the result panel and the history modal,
+ * and fails if any of them reaches the page as markup
+ *
+ * Usage:
+ *   node test_render.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PUBLIC_SUFFIX_LIST_PATH = path.join(__dirname, 'public_suffix_list.dat');
+const SCRIPT_PATH = path.join(__dirname, 'script.js');
+
+// URLs a user could paste, import or sync that try to break out of text or attributes
+const HOSTILE_URLS = [
+  'https://x.com/#<img src=x onerror=alert(1)>',
+  'https://x.com/"><script>alert(document.cookie)</script>',
+  "https://x.com/?q='onmouseover='alert(1)",
+  'https://x.com/`${alert(1)}`',
+  'https://x.com/&lt;img src=x onerror=alert(1)&gt;',
+  'javascript:alert(1)//<svg onload=alert(1)>'
+];
+
+/**
+ * Element stand-in that records every innerHTML write
+ */
+class FakeElement {
+  constructor(tagName, htmlWrites) {
+    this.tagName = tagName;
+    this.htmlWrites = htmlWrites;
+    this.attributes = {};
+    this.children = [];
+    this.textContent = '';
+    this.className = '';
+  }
+
+  set innerHTML(markup) {
+    this.htmlWrites.push(markup);
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  append(...children) {
+    this.children.push(...children);
+  }
+
+  appendChild(child) {
+    this.children.push(child);
+  }
+
+  addEventListener() {}
+}
+
+/**
+ * Loads script.js into a sandbox whose document creates FakeElements
+ * @returns {Object} Sandbox context exposing the script's functions and the recorded innerHTML writes
+ */
+function loadScriptContext() {
+  const htmlWrites = [];
+  const elementsById = {};
+  const context = vm.createContext({
+    console: console,
+    URL: URL,
+    fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    window: {},
+    localStorage: { getItem: () => null, setItem: () => {}, removeItem: () => {} },
+    document: {
+      addEventListener: () => {},
+      createElement: tagName => new FakeElement(tagName, htmlWrites),
+      getElementById: id => {
+        elementsById[id] = elementsById[id] || new FakeElement('div', htmlWrites);
+        return elementsById[id];
+      }
+    }
+  });
+
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context);
+  context.setPublicSuffixRules(context.parsePublicSuffixList(fs.readFileSync(PUBLIC_SUFFIX_LIST_PATH, 'utf8')));
+  context.htmlWrites = htmlWrites;
+  return context;
+}
+
+/**
+ * Fails when markup contains a tag or attribute break-out from an interpolated value
+ * @param {string} markup - Rendered markup with the template's own tags removed
+ * @param {string} url - Hostile URL that was interpolated
+ */
+function assertNoMarkup(markup, url) {
+  assert.ok(!/[<>"'`]/.test(markup), `unescaped markup for ${url}: ${markup}`);
+}
+
+const checks = {
+  'escapeHtml leaves no markup characters': context => {
+    HOSTILE_URLS.forEach(url => assertNoMarkup(context.escapeHtml(url), url));
+    assert.strictEqual(context.escapeHtml('&lt;'), '&amp;lt;');
+    assert.strictEqual(context.escapeHtml(null), '');
+  },
+
+  'html escapes values in content and attributes': context => {
+    HOSTILE_URLS.forEach(url => {
+      const markup = context.html`<a title="${url}">${url}</a>`.toString();
+      assertNoMarkup(markup.replace(/^<a title="/, '').replace(/">/, '').replace(/<\/a>$/, ''), url);
+    });
+  },
+
+  'html keeps nested templates and escapes arrays item by item': context => {
+    const items = HOSTILE_URLS.map(url => context.html`<li>${url}</li>`);
+    const markup = context.html`<ul>${items}</ul>`.toString();
+
+    assert.strictEqual((markup.match(/<li>/g) || []).length, HOSTILE_URLS.length);
+    assertNoMarkup(markup.replace(/<\/?(ul|li)>/g, ''), 'list');
+  },
+
+  'renderHtml refuses plain strings': context => {
+    const element = new FakeElement('div', []);
+
+    assert.throws(() => context.renderHtml(element, HOSTILE_URLS[0]), context.TypeError);
+    assert.throws(() => context.renderHtml(element, { markup: HOSTILE_URLS[0] }), context.TypeError);
+  },
+
+  'threat level badge escapes the level': context => {
+    HOSTILE_URLS.forEach(url => {
+      context.renderThreatLevel(url);
+      const markup = context.htmlWrites.pop();
+      assertNoMarkup(markup.replace(/^<span class="/, '').replace(/">/, '').replace(/<\/span>$/, ''), url);
+    });
+  },
+
+  'history items put hostile URLs in text only': async context => {
+    for (const url of HOSTILE_URLS) {
+      const analysisResult = await context.runDetectionEngines(url, {
+        progressTracker: context.createSilentProgressTracker(),
+        offline: true
+      });
+      const item = context.createHistoryItem(url, analysisResult, 0);
+      const element = context.createHistoryItemElement(item);
+      const [summary] = element.children;
+
+      assert.strictEqual(summary.children[0].textContent, url);
+      analysisResult.signals.forEach(signal => context.createSignalListItem(signal));
+    }
+    assert.deepStrictEqual(context.htmlWrites, []);
+  },
+
+  'script.js writes innerHTML only inside renderHtml': () => {
+    const source = fs.readFileSync(SCRIPT_PATH, 'utf8');
+
+    assert.strictEqual((source.match(/\.innerHTML\s*=/g) || []).length, 1);
+    assert.ok(/element\.innerHTML = markup\.markup;/.test(source));
+    assert.ok(!/insertAdjacentHTML|outerHTML\s*=|document\.write/.test(source));
+  }
+};
+
+/**
+ * Runs every check in a fresh sandbox and reports failures
+ */
+async function runRenderChecks() {
+  let failures = 0;
+
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check(loadScriptContext());
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures += 1;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`${Object.keys(checks).length - failures}/${Object.keys(checks).length} rendering checks passed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+runRenderChecks();
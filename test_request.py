@@ -1,13 +1,18 @@
+import os
 import requests
 
 # 🔗 الرابط المراد اختباره
 url_to_test = "https://www.google.com"
 
+# 🔑 مفتاح API من صفحة الإعدادات (اختياري ما لم يُشغَّل السيرفر مع SECURELINK_REQUIRE_API_KEY=1)
+api_key = os.environ.get("SECURELINK_API_KEY")
+
 # 🚀 إرسال الطلب إلى السيرفر
 try:
     response = requests.post(
         "http://127.0.0.1:5000/predict",
-        json={"url": url_to_test}
+        json={"url": url_to_test},
+        headers={"X-API-Key": api_key} if api_key else {}
     )
 
     # ✅ محاولة قراءة الرد بصيغة JSON
@@ -0,0 +1,179 @@
+/**
+ * Form Validation Check
+ * Runs the login and signup rules and the password strength meter from script.js
+ * against passwords and form values with known results
+ *
+ * Usage:
+ *   node test_validation.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, 'script.js');
+
+// A password with all four character classes and strong length, scored 4
+const STRONG_PASSWORD = 'Tr0ub4dor&3xyz';
+
+/**
+ * Loads script.js into a sandbox; the validation rules do not touch the DOM
+ * @returns {Object} Sandbox context exposing the script's functions
+ */
+function loadScriptContext() {
+  const context = vm.createContext({
+    console: console,
+    URL: URL,
+    fetch: () => Promise.reject(new TypeError('Failed to fetch')),
+    window: {},
+    localStorage: { getItem: () => null, setItem: () => {}, removeItem: () => {} },
+    document: {
+      addEventListener: () => {},
+      createElement: () => ({}),
+      getElementById: () => null
+    }
+  });
+
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context);
+  return context;
+}
+
+/**
+ * Copies a value created in the sandbox so it compares equal to plain objects here
+ * @param {*} value - JSON-compatible value from the sandbox
+ * @returns {*} Same value with this realm's prototypes
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+const checks = {
+  'common passwords score zero whatever their length': context => {
+    ['password', 'Password123', 'QWERTYUIOP', 'securelink'].forEach(password => {
+      const strength = context.getPasswordStrength(password);
+
+      assert.strictEqual(strength.score, 0, password);
+      assert.strictEqual(strength.label, 'Very weak', password);
+      assert.strictEqual(strength.suggestions[0], 'Avoid common or repeated passwords', password);
+    });
+  },
+
+  'a single repeated character scores zero': context => {
+    ['zzzzzzzzzzzzzzzz', '!!!!!!!!!!!!', 'AAAAAAAA'].forEach(password => {
+      const strength = context.getPasswordStrength(password);
+
+      assert.strictEqual(strength.score, 0, password);
+      assert.strictEqual(strength.suggestions[0], 'Avoid common or repeated passwords', password);
+    });
+    assert.ok(context.getPasswordStrength('zzzzzzzzzzzzzzzy').score > 0);
+  },
+
+  'passwords containing the username are capped at weak': context => {
+    const strength = context.getPasswordStrength('Alice-Secure#2024', 'alice');
+
+    assert.strictEqual(context.getPasswordStrength('Alice-Secure#2024').score, 4);
+    assert.strictEqual(strength.score, 1);
+    assert.strictEqual(strength.label, 'Weak');
+    assert.strictEqual(strength.suggestions[0], 'Do not include your username');
+    assert.strictEqual(context.getPasswordStrength('abcdefgh', 'abc').score, 1);
+    assert.strictEqual(context.getPasswordStrength('Al-Secure#2024', 'al').score, 4);
+  },
+
+  'length and character classes add up to the score': context => {
+    const expectedScores = {
+      abc: 0,
+      abcdefgh: 1,
+      abcdefghijkl: 2,
+      abcdEF12: 2,
+      'abcdEF1!': 3,
+      abcdefgHIJ12: 3,
+      'abcdefgHIJ1!': 4
+    };
+
+    Object.entries(expectedScores).forEach(([password, score]) => {
+      assert.strictEqual(context.getPasswordStrength(password).score, score, password);
+    });
+    assert.deepStrictEqual(toPlain(context.getPasswordStrength('abcdefgHIJ1!')), {
+      score: 4,
+      label: 'Very strong',
+      suggestions: []
+    });
+    assert.deepStrictEqual(toPlain(context.getPasswordStrength('abcdefgh').suggestions), [
+      'Use 12 or more characters',
+      'Mix upper and lower case letters, digits and symbols'
+    ]);
+  },
+
+  'validateLoginForm needs a username and a password': context => {
+    assert.deepStrictEqual(toPlain(context.validateLoginForm({ username: '', password: '' })), {
+      username: 'Enter your username or email',
+      password: 'Enter your password'
+    });
+    assert.deepStrictEqual(toPlain(context.validateLoginForm({ username: 'alice', password: '' })), {
+      password: 'Enter your password'
+    });
+    assert.deepStrictEqual(toPlain(context.validateLoginForm({ username: 'alice@example.com', password: 'x' })), {});
+  },
+
+  'validateSignupForm reports every invalid field': context => {
+    assert.deepStrictEqual(toPlain(context.validateSignupForm({
+      username: 'a!',
+      email: 'alice.example.com',
+      password: 'short',
+      confirmPassword: ''
+    })), {
+      username: 'Use 3-32 letters, digits, dots, dashes or underscores',
+      email: 'Enter an email address like name@example.com',
+      password: 'Use at least 8 characters',
+      confirmPassword: 'Repeat your password'
+    });
+    assert.deepStrictEqual(toPlain(context.validateSignupForm({})), {
+      username: 'Enter a username',
+      email: 'Enter your email address',
+      password: 'Enter a password',
+      confirmPassword: 'Repeat your password'
+    });
+  },
+
+  'validateSignupForm checks password strength and confirmation': context => {
+    const values = {
+      username: 'alice',
+      email: 'alice@example.com',
+      password: STRONG_PASSWORD,
+      confirmPassword: STRONG_PASSWORD
+    };
+    const passwordError = password => context.validateSignupForm({ ...values, password: password }).password;
+
+    assert.deepStrictEqual(toPlain(context.validateSignupForm(values)), {});
+    assert.strictEqual(passwordError('password123'), 'Password is too weak. Avoid common or repeated passwords');
+    assert.strictEqual(passwordError('alice-Pass-1234'), 'Password is too weak. Do not include your username');
+    assert.strictEqual(passwordError(`A1!${'a'.repeat(130)}`), 'Use at most 128 characters');
+    assert.strictEqual(
+      context.validateSignupForm({ ...values, confirmPassword: `${STRONG_PASSWORD}!` }).confirmPassword,
+      'Passwords do not match'
+    );
+  }
+};
+
+/**
+ * Runs every check in a fresh sandbox and reports failures
+ */
+async function runValidationChecks() {
+  let failures = 0;
+
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      await check(loadScriptContext());
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failures += 1;
+      console.log(`❌ ${name}: ${error.message}`);
+    }
+  }
+
+  console.log(`${Object.keys(checks).length - failures}/${Object.keys(checks).length} validation checks passed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+runValidationChecks();
@@ -3,10 +3,16 @@ import numpy as np
 import re
 from sklearn.preprocessing import StandardScaler, LabelEncoder
 from sklearn.ensemble import RandomForestClassifier
+from sklearn.model_selection import train_test_split
 import joblib
+from domain_parser import count_subdomains
+from model_metrics import evaluate_classifier, new_metrics_version, create_metrics_report, write_metrics_report, record_live_model
 
 # 🧠 تحميل البيانات
-df = pd.read_csv("malicious_url.csv")
+DATASET_PATH = "malicious_url.csv"
+TEST_SIZE = 0.2
+MODEL_NAME = "Random Forest"
+df = pd.read_csv(DATASET_PATH)
 
 # 6✨ استخراج الميزات من الرابط
 def extract_features(df):
@@ -20,7 +26,7 @@ def extract_features(df):
     df["num_digits"] = df["url"].apply(lambda x: sum(c.isdigit() for c in x))
     df["num_uppercase"] = df["url"].apply(lambda x: sum(c.isupper() for c in x))
     df["domain_length"] = df["url"].apply(lambda x: len(x.split('/')[2]) if len(x.split('/')) > 2 else 0)
-    df["num_subdomains"] = df["url"].apply(lambda x: len(x.split('.')) - 2 if len(x.split('.')) > 2 else 0)
+    df["num_subdomains"] = df["url"].apply(count_subdomains)  # حسب Public Suffix List
     df["has_port"] = df["url"].apply(lambda x: 1 if re.search(r":\d+", x) else 0)
     df["query_length"] = df["url"].apply(lambda x: len(x.split('?')[1]) if '?' in x else 0)
     suspicious_words = ["login", "verify", "secure", "account", "update", "confirm", "bank", "reset", "free", "click", "offer", "win", "paypal", "ebay"]
@@ -42,6 +48,13 @@ y_encoded = le.fit_transform(y)
 scaler = StandardScaler()
 X_scaled = scaler.fit_transform(X)
 
+# 📊 تقييم نفس الإعدادات على 20% من البيانات قبل التدريب النهائي
+X_train, X_test, y_train, y_test = train_test_split(X_scaled, y_encoded, test_size=TEST_SIZE, random_state=42, stratify=y_encoded)
+evaluation_model = RandomForestClassifier(n_estimators=100, random_state=42)
+evaluation_model.fit(X_train, y_train)
+evaluation = evaluate_classifier(evaluation_model, X_test, y_test, le.classes_.tolist())
+print(f"📊 Held-out accuracy: {evaluation['accuracy'] * 100:.2f}%")
+
 # 🧠 تدريب النموذج
 model = RandomForestClassifier(n_estimators=100, random_state=42)
 model.fit(X_scaled, y_encoded)
@@ -50,4 +63,13 @@ model.fit(X_scaled, y_encoded)
 joblib.dump(model, "model.pkl")
 joblib.dump(scaler, "scaler.pkl")
 joblib.dump(le, "label_encoder.pkl")
+
+# 📝 حفظ تقرير التقييم وتسجيل نسخته كنسخة النموذج الحي
+version = new_metrics_version("train")
+write_metrics_report(create_metrics_report(
+    version, "train_model.py", "model.pkl", DATASET_PATH, len(df), TEST_SIZE,
+    X.columns.tolist(), le.classes_.tolist(), {MODEL_NAME: evaluation}, MODEL_NAME
+))
+record_live_model(version, MODEL_NAME)
+print(f"📝 Metrics {version} saved and recorded as the live model")
 print("✅ Training complete. Model saved with enhanced features.")
\ No newline at end of file